@@ -0,0 +1,133 @@
+/* eslint-disable no-restricted-globals */
+// --- Service Worker ---
+// Keeps the app shell available offline and shows the daily revision
+// reminder (see src/reminders.js). The app posts:
+//   { type: 'reminder-state', settings, schedule }  whenever either changes
+//   { type: 'check' }  at the reminder time, while it is open
+//   { type: 'test' }   from the settings page
+// and Periodic Background Sync fires 'due-reminder' for the installed app.
+const SHELL_CACHE = 'cp-shell-v1';
+const STATE_CACHE = 'cp-reminders';
+const STATE_URL = '/reminder-state.json';
+const REMINDER_TAG = 'cp-due-reminder';
+const NAMES_IN_BODY = 3;
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith('cp-shell-') && name !== SHELL_CACHE).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Pages come from the network first, falling back to the last copy of the
+// shell; hashed build assets never change, so they're served from the cache.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(SHELL_CACHE).then(cache => cache.put('/index.html', copy));
+      }
+      return response;
+    }).catch(async () => (await caches.match('/index.html', { cacheName: SHELL_CACHE })) || Response.error()));
+  } else if (url.pathname.startsWith('/static/')) {
+    event.respondWith(caches.match(request, { cacheName: SHELL_CACHE }).then(cached => cached || fetch(request).then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+      }
+      return response;
+    })));
+  }
+});
+
+// --- Reminder State ---
+// { settings: { enabled, time, quietDays }, schedule: [{ name, date }], lastShown }
+// where `lastShown` is the local date the reminder last went out.
+async function readState() {
+  const response = await caches.match(STATE_URL, { cacheName: STATE_CACHE });
+  return response ? response.json() : null;
+}
+
+async function writeState(state) {
+  const cache = await caches.open(STATE_CACHE);
+  await cache.put(STATE_URL, new Response(JSON.stringify(state), { headers: { 'Content-Type': 'application/json' } }));
+}
+
+// Revision dates are UTC date keys, like in the app; the reminder time and
+// quiet days follow the local clock.
+const utcToday = () => new Date().toISOString().slice(0, 10);
+const pad = (n) => String(n).padStart(2, '0');
+const localToday = (now) => `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+const localTime = (now) => `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+
+function reminderText(due) {
+  const names = due.slice(0, NAMES_IN_BODY).map(item => item.name).join(', ');
+  const more = due.length > NAMES_IN_BODY ? ` and ${due.length - NAMES_IN_BODY} more` : '';
+  return {
+    title: `${due.length} ${due.length === 1 ? "problem" : "problems"} due for revision`,
+    body: `${names}${more}`,
+  };
+}
+
+async function updateBadge(count) {
+  if (!self.navigator.setAppBadge) return;
+  try {
+    await (count > 0 ? self.navigator.setAppBadge(count) : self.navigator.clearAppBadge());
+  } catch (e) { /* badges aren't available to this app */ }
+}
+
+// Shows today's reminder once, after the reminder time and not on a quiet
+// day. A test shows straight away, even with nothing due.
+async function showReminder({ test = false } = {}) {
+  const state = await readState();
+  if (!state) return;
+  const now = new Date();
+  const due = state.schedule.filter(item => item.date <= utcToday());
+  await updateBadge(due.length);
+  if (test) {
+    const text = due.length > 0 ? reminderText(due) : { title: "Nothing due for revision", body: "Reminders are working. You're all caught up." };
+    await self.registration.showNotification(text.title, { body: text.body, tag: REMINDER_TAG, icon: '/logo192.png', data: { url: '/revise' } });
+    return;
+  }
+  const { enabled, time, quietDays } = state.settings;
+  if (!enabled || state.lastShown === localToday(now) || localTime(now) < time || quietDays.includes(now.getDay())) return;
+  await writeState({ ...state, lastShown: localToday(now) });
+  if (due.length === 0) return;
+  const { title, body } = reminderText(due);
+  await self.registration.showNotification(title, { body, tag: REMINDER_TAG, icon: '/logo192.png', data: { url: '/revise' } });
+}
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+  if (message.type === 'reminder-state') {
+    event.waitUntil(readState().then(previous => writeState({ settings: message.settings, schedule: message.schedule, lastShown: previous?.lastShown || null })));
+  } else if (message.type === 'check') {
+    event.waitUntil(showReminder());
+  } else if (message.type === 'test') {
+    event.waitUntil(showReminder({ test: true }));
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'due-reminder') event.waitUntil(showReminder());
+});
+
+// Clicking the reminder opens the revision queue, in an existing window when
+// there is one (the app routes the message itself, without a reload).
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/';
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length === 0) return self.clients.openWindow(url);
+    const client = await windows[0].focus();
+    client.postMessage({ type: 'navigate', url });
+  })());
+});
@@ -1,29 +1,46 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-
-// --- API Base URLs ---
-const API_BASE = 'http://localhost:8080/api';
-const PROBLEMS_API_URL = `${API_BASE}/problems`;
-const LINKS_API_URL = `${API_BASE}/links`;
-const USERS_API_URL = `${API_BASE}/users`;
-
-// --- Helper Functions for Dates ---
-const SR_INTERVALS_DAYS = [2, 3, 5, 7, 11, 20, 30];
-
-function getTodayDate() {
-  return new Date().toISOString().split('T')[0];
-}
-
-function getNextRevisionDate(revisionLevel, baseDate = Date.now()) {
-  if (revisionLevel >= SR_INTERVALS_DAYS.length) return null;
-  const daysToAdd = SR_INTERVALS_DAYS[revisionLevel];
-  const newDate = new Date(baseDate);
-  newDate.setDate(newDate.getDate() + daysToAdd);
-  return newDate.toISOString().split('T')[0];
-}
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo, useDeferredValue, useId } from 'react';
+import { PROBLEM_SOURCES, PROBLEM_DIFFICULTIES, PROBLEM_STATUSES } from './constants';
+import { REVIEW_GRADES, getTodayDate, addDays, migrateSchedule, scheduleReview, resetSchedule, formatInterval } from './scheduler';
+import { PROBLEMS_API_URL, LINKS_API_URL, LISTS_API_URL, CONTESTS_API_URL, USERS_API_URL, apiRequest, ApiError, setUnauthorizedHandler } from './api';
+import { notify, subscribeToToasts } from './notifications';
+import { loadSession, saveSession, clearSession, sessionFromAuthResponse } from './auth';
+import { toDateKey, shiftDateKey, weekStartKey, problemsAddedPerWeek, ratingHistogram, countBy, dailyActivity, revisionStreak, dueForecast } from './stats';
+import { Routes, Route, Navigate, Link, useNavigate, useLocation, useParams, useSearchParams, matchPath } from 'react-router-dom';
+import { parseProblemUrl, normalizeUrl, problemKey } from './platforms';
+import { NOTE_LANGUAGES, renderMarkdown, notesSummary } from './markdown';
+import { importSubmissionHistory } from './submissionImporters';
+import {
+  EXPORT_FIELDS, problemsToCsv, problemsToMarkdown, createBackupBundle, parseImportFile, guessColumnMapping,
+  csvRowsToProblems, buildImportPreview, mergeProblems, overwriteProblem,
+} from './importExport';
+import { normalizeTag, normalizeTags, collectTags, matchesTags } from './tags';
+import { DEFAULT_LIST_QUERY, parseListQuery, listQueryToSearchParams, sortProblems, problemPageSearchParams } from './listQuery';
+import { parseSearchQuery, matchesSearch } from './searchQuery';
+import {
+  REVIEW_OUTCOMES, recordReview, canUndoLastReview, undoLastReview, reviewCount, daysOverdue, formatDuration,
+  reviewsOnDate, buildSessionQueue,
+} from './revisionHistory';
+import { STORES, openLocalStore, readAll, replaceAll } from './localStore';
+import {
+  isLocalId, createLocalId, queueOperation, loadPendingOperations, countPendingOperations,
+  applyPendingOperations, sendOperation, replayPendingOperations, loadConflicts, resolveConflict, remapReferences,
+} from './syncQueue';
+import {
+  problemStatus, applyStatusSchedule, listProblems, listProgress, moveItem, listToExport, parseListFile, planListImport,
+} from './problemLists';
+import {
+  CONTEST_RESULTS, contestResultStatus, sortContests, contestProblems, contestSummary, pendingUpsolves, ratingHistory,
+} from './contests';
+import { buildRecommendations } from './recommendations';
+import { findExistingProblem, findDuplicateGroups, mergeDuplicateGroup } from './duplicates';
+import { SHORTCUTS, shortcutAction, rankCommands } from './shortcuts';
+import { THEME_MODES, DEFAULT_PREFERENCES, normalizePreferences, loadLocalPreferences, saveLocalPreferences, reconcilePreferences, glassVariables, compressBackgroundImage } from './preferences';
+import { calendarDays, shiftPeriod, problemsByDate, spreadBacklog, scheduleToIcs } from './calendar';
+import { USE_MOCK_GROUPS, groupsClient, normalizeInviteCode, shareableProblem, progressReport, groupProgressRows, weeklyLeaderboard } from './groups';
+import { WEEKDAYS, DEFAULT_REMINDERS, normalizeReminders, reminderSchedule, dueInSchedule, nextReminderAt, notificationPermission, requestNotificationPermission, sendToServiceWorker, setBackgroundReminders, updateAppBadge } from './reminders';
+import { sortLinks, groupLinks, linkGroupNames, moveLink, shiftLink, nextLinkPosition, normalizeLinkLogo, linkLogo, letterIcon } from './quickLinks';
 
 // --- Constants ---
-const PROBLEM_SOURCES = ["LeetCode", "Codeforces", "AtCoder", "HackerRank", "Other"];
-const PROBLEM_DIFFICULTIES = ["Easy", "Medium", "Hard"];
 const ACCENT_COLORS = [
   { name: 'Blue', hue: '210' },
   { name: 'Green', hue: '145' },
@@ -32,6 +49,20 @@ const ACCENT_COLORS = [
   { name: 'Orange', hue: '30' },
 ];
 
+const SYNC_RETRY_INTERVAL_MS = 30 * 1000;
+const PREFERENCES_SAVE_DELAY_MS = 800;
+
+// Top navigation; `patterns` are the routes that highlight each tab.
+const NAV_TABS = [
+  { path: '/', label: "Problems", patterns: ['/', '/problems/*'] },
+  { path: '/revise', label: "Revise", patterns: ['/revise/*'] },
+  { path: '/lists', label: "Lists", patterns: ['/lists/*'] },
+  { path: '/contests', label: "Contests", patterns: ['/contests/*'] },
+  { path: '/groups', label: "Groups", patterns: ['/groups/*'] },
+  { path: '/dashboard', label: "Dashboard", patterns: ['/dashboard'] },
+  { path: '/settings', label: "Settings", patterns: ['/settings'] },
+];
+
 // --- Custom Hooks ---
 function useLocalStorageState(key, defaultValue) {
   const [state, setState] = useState(() => {
@@ -56,6 +87,39 @@ function useLocalStorageState(key, defaultValue) {
   return [state, setState];
 }
 
+// Tracks the status of named async operations, e.g. 'loadLinks' or 'deleteProblem:42'.
+// runOperation resolves to true on success and false on failure.
+function useOperations() {
+  const [operations, setOperations] = useState({});
+  const runOperation = useCallback(async (key, task) => {
+    setOperations(ops => ({ ...ops, [key]: { status: 'pending', error: null } }));
+    try {
+      await task();
+      setOperations(ops => ({ ...ops, [key]: { status: 'success', error: null } }));
+      return true;
+    } catch (err) {
+      if (!(err instanceof ApiError)) console.error(err);
+      setOperations(ops => ({ ...ops, [key]: { status: 'error', error: err } }));
+      return false;
+    }
+  }, []);
+  return [operations, runOperation];
+}
+
+// Tracks a CSS media query, e.g. the OS dark mode setting.
+function useMediaQuery(query) {
+  const [matches, setMatches] = useState(() => !!window.matchMedia?.(query).matches);
+  useEffect(() => {
+    const list = window.matchMedia?.(query);
+    if (!list) return;
+    const handleChange = () => setMatches(list.matches);
+    handleChange();
+    list.addEventListener('change', handleChange);
+    return () => list.removeEventListener('change', handleChange);
+  }, [query]);
+  return matches;
+}
+
 function useClickOutside(ref, callback) {
   useEffect(() => {
     function handleClickOutside(event) {
@@ -68,26 +132,45 @@ function useClickOutside(ref, callback) {
   }, [ref, callback]);
 }
 
+// Fetches one page of problems from the server (Spring Data page format:
+// { content, totalElements, totalPages, number }) whenever the request or
+// `reloadKey` changes. Returns { data, status, error }.
+function useServerPage(url, { enabled, reloadKey }) {
+  const [state, setState] = useState({ data: null, status: 'idle', error: null });
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let cancelled = false;
+    setState(s => ({ ...s, status: 'pending', error: null }));
+    apiRequest(url, { silent: true })
+      .then(data => { if (!cancelled) setState({ data, status: 'success', error: null }); })
+      .catch(error => { if (!cancelled) setState(s => ({ ...s, status: 'error', error })); });
+    return () => { cancelled = true; };
+  }, [url, enabled, reloadKey]);
+  return state;
+}
+
 // --- Reusable Glass Button ---
-function GlassButton({ onClick, children, className = '', type = 'button', disabled = false }) {
+// Other props (aria-*, title, ...) go straight to the <button>.
+function GlassButton({ onClick, children, className = '', type = 'button', disabled = false, ...rest }) {
   const isAccent = className.includes('bg-accent-light');
   const accentStyle = isAccent ? {
     backgroundColor: `hsl(var(--accent-hue) 80% 60% / 0.1)`,
     borderColor: `hsl(var(--accent-hue) 80% 60% / 0.3)`,
-    color: `hsl(var(--accent-hue) 80% 30%)`,
+    color: `hsl(var(--accent-hue) 80% var(--accent-text-l))`,
   } : {};
 
   return (
     <button
+      {...rest}
       type={type}
       onClick={onClick}
       style={accentStyle}
       disabled={disabled}
       className={`px-4 py-1.5 text-sm font-medium
-                  bg-white/30 backdrop-blur-xl 
-                  border border-gray-300/50 
+                  bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl 
+                  border border-gray-300/50 dark:border-slate-600/50 
                   rounded-md shadow-lg transition-all 
-                  hover:bg-white/50 hover:backdrop-blur-2xl hover:shadow-xl
+                  hover:bg-white/50 dark:hover:bg-slate-800/50 hover:backdrop-blur-2xl hover:shadow-xl
                   disabled:opacity-50 disabled:cursor-not-allowed
                   ${className}`}
     >
@@ -97,49 +180,116 @@ function GlassButton({ onClick, children, className = '', type = 'button', disab
 }
 
 // --- Custom Glass Dropdown ---
+const optionValue = (option) => (typeof option === 'object' ? option.value : option);
+const optionLabel = (option) => (typeof option === 'object' ? option.label : option);
+
+// A listbox-style select. The button keeps focus while the list is open and
+// points at the highlighted option with aria-activedescendant; arrows, Home
+// and End move, Enter/Space pick, Escape and Tab close, and typing jumps to
+// the first option starting with the typed text.
 function GlassDropdown({ label, options, selectedValue, onChange }) {
   const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
   const ref = useRef(null);
+  const listRef = useRef(null);
+  const typeahead = useRef({ text: '', timer: null });
+  const id = useId();
   useClickOutside(ref, () => setIsOpen(false));
 
+  const selectedIndex = options.findIndex(opt => optionValue(opt) === selectedValue);
+  const selectedOption = options[selectedIndex];
+  const displayLabel = selectedOption !== undefined ? optionLabel(selectedOption) : selectedValue;
+
+  useEffect(() => {
+    if (isOpen && activeIndex >= 0) listRef.current?.children[activeIndex]?.scrollIntoView?.({ block: 'nearest' });
+  }, [isOpen, activeIndex]);
+  useEffect(() => () => clearTimeout(typeahead.current.timer), []);
+
+  const open = (index = selectedIndex) => {
+    setActiveIndex(index === -1 ? 0 : index);
+    setIsOpen(true);
+  };
   const handleSelect = (option) => {
-    const newValue = typeof option === 'object' ? option.value : option;
-    onChange(newValue);
+    onChange(optionValue(option));
     setIsOpen(false);
   };
 
-  let displayLabel = selectedValue;
-  const selectedOption = options.find(opt => (typeof opt === 'object' ? opt.value === selectedValue : opt === selectedValue));
-  if (selectedOption) {
-    displayLabel = typeof selectedOption === 'object' ? selectedOption.label : selectedOption;
-  }
+  const findByPrefix = (char) => {
+    const state = typeahead.current;
+    clearTimeout(state.timer);
+    state.text += char.toLowerCase();
+    state.timer = setTimeout(() => { state.text = ''; }, 600);
+    // With nothing selected (-1) the search starts at the first option.
+    const from = Math.max(isOpen ? activeIndex : selectedIndex, 0);
+    // Repeating one letter cycles through the options that start with it.
+    const cycling = state.text.length > 1 && [...state.text].every(c => c === state.text[0]);
+    const prefix = cycling ? state.text[0] : state.text;
+    const ordered = [...options.keys()].map(i => (from + (cycling ? 1 : 0) + i + options.length) % options.length);
+    return ordered.find(i => String(optionLabel(options[i])).toLowerCase().startsWith(prefix)) ?? -1;
+  };
+
+  const handleKeyDown = (e) => {
+    const last = options.length - 1;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!isOpen) return open(e.altKey || selectedIndex !== -1 ? selectedIndex : e.key === 'ArrowDown' ? 0 : last);
+      setActiveIndex(i => (e.key === 'ArrowDown' ? Math.min(last, i + 1) : Math.max(0, i - 1)));
+    } else if (e.key === 'Home' || e.key === 'End') {
+      e.preventDefault();
+      if (isOpen) setActiveIndex(e.key === 'Home' ? 0 : last); else open(e.key === 'Home' ? 0 : last);
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      if (!isOpen) open();
+      else if (options[activeIndex] !== undefined) handleSelect(options[activeIndex]);
+    } else if (e.key === 'Escape' && isOpen) {
+      e.preventDefault();
+      e.stopPropagation();
+      setIsOpen(false);
+    } else if (e.key === 'Tab') {
+      setIsOpen(false);
+    } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+      const index = findByPrefix(e.key);
+      if (index === -1) return;
+      if (isOpen) setActiveIndex(index); else onChange(optionValue(options[index]));
+    }
+  };
 
   return (
     <div className="relative" ref={ref}>
-      <label className="block text-sm font-medium text-gray-700">{label}</label>
+      <label id={`${id}-label`} htmlFor={`${id}-button`} className="block text-sm font-medium text-gray-700 dark:text-slate-300">{label}</label>
       <button
+        id={`${id}-button`}
         type="button"
-        onClick={() => setIsOpen(!isOpen)}
-        className="mt-1 block w-full px-3 py-2 border border-gray-400/30 bg-white/50 text-gray-900 rounded-md text-sm text-left
+        onClick={() => (isOpen ? setIsOpen(false) : open())}
+        onKeyDown={handleKeyDown}
+        aria-haspopup="listbox"
+        aria-expanded={isOpen}
+        aria-controls={isOpen ? `${id}-listbox` : undefined}
+        aria-activedescendant={isOpen && activeIndex >= 0 ? `${id}-option-${activeIndex}` : undefined}
+        className="mt-1 block w-full px-3 py-2 border border-gray-400/30 dark:border-slate-500/30 bg-white/50 dark:bg-slate-800/50 text-gray-900 dark:text-slate-100 rounded-md text-sm text-left
                    focus:outline-none focus:ring-2 focus:ring-blue-500 flex justify-between items-center"
       >
         <span>{displayLabel}</span>
-        <svg className="w-4 h-4 text-gray-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor">
+        <svg className="w-4 h-4 text-gray-600 dark:text-slate-400" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" aria-hidden="true">
           <path strokeLinecap="round" strokeLinejoin="round" d="M8.25 15L12 18.75 15.75 15m-7.5-6L12 5.25 15.75 9" />
         </svg>
       </button>
       {isOpen && (
-        <div className="absolute z-10 w-full mt-1 bg-white/70 backdrop-blur-xl border border-gray-300/50 rounded-md shadow-lg overflow-hidden max-h-60 overflow-y-auto">
-          {options.map(option => {
-            const label = typeof option === 'object' ? option.label : option;
-            const value = typeof option === 'object' ? option.value : option;
+        <div ref={listRef} id={`${id}-listbox`} role="listbox" aria-labelledby={`${id}-label`} className="absolute z-10 w-full mt-1 bg-white/70 dark:bg-slate-800/70 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-md shadow-lg overflow-hidden max-h-60 overflow-y-auto">
+          {options.map((option, index) => {
+            const value = optionValue(option);
             return (
               <div
                 key={value}
+                id={`${id}-option-${index}`}
+                role="option"
+                aria-selected={selectedValue === value}
                 onClick={() => handleSelect(option)}
-                className={`px-3 py-2 text-sm text-gray-800 cursor-pointer hover:bg-black/10 ${selectedValue === value ? 'bg-black/5 font-bold' : ''}`}
+                onMouseMove={() => setActiveIndex(index)}
+                className={`px-3 py-2 text-sm text-gray-800 dark:text-slate-200 cursor-pointer ${index === activeIndex ? 'bg-black/10 dark:bg-white/10' : selectedValue === value ? 'bg-black/5 dark:bg-white/5' : ''} ${selectedValue === value ? 'font-bold' : ''}`}
               >
-                {label}
+                {optionLabel(option)}
               </div>
             );
           })}
@@ -153,11 +303,11 @@ function GlassDropdown({ label, options, selectedValue, onChange }) {
 function GlassInput({ label, id, ...props }) {
   return (
     <div className={props.wrapperClass}>
-      {label && <label htmlFor={id} className="block text-sm font-medium text-gray-700">{label}</label>}
+      {label && <label htmlFor={id} className="block text-sm font-medium text-gray-700 dark:text-slate-300">{label}</label>}
       <input
         id={id}
         {...props}
-        className={`mt-1 block w-full px-3 py-2 border border-gray-400/30 bg-white/50 text-gray-900 rounded-md text-sm placeholder:text-gray-500 focus:outline-none focus:ring-2 focus:ring-[hsl(var(--accent-hue)_80%_60%)] ${props.className || ''}`}
+        className={`mt-1 block w-full px-3 py-2 border border-gray-400/30 dark:border-slate-500/30 bg-white/50 dark:bg-slate-800/50 text-gray-900 dark:text-slate-100 rounded-md text-sm placeholder:text-gray-500 focus:outline-none focus:ring-2 focus:ring-[hsl(var(--accent-hue)_80%_60%)] ${props.className || ''}`}
       />
     </div>
   );
@@ -166,13 +316,13 @@ function GlassInput({ label, id, ...props }) {
 function GlassToggle({ label, enabled, setEnabled }) {
   return (
     <div className="flex items-center justify-between">
-      <span className="text-sm font-medium text-gray-700">{label}</span>
+      <span className="text-sm font-medium text-gray-700 dark:text-slate-300">{label}</span>
       <button
         type="button"
         onClick={() => setEnabled(!enabled)}
         className={`relative inline-flex h-6 w-11 flex-shrink-0 cursor-pointer rounded-full border-2 border-transparent 
                     transition-colors duration-200 ease-in-out focus:outline-none focus:ring-2 focus:ring-[hsl(var(--accent-hue)_80%_60%)] focus:ring-offset-2
-                    ${enabled ? 'bg-[hsl(var(--accent-hue)_80%_60%)]' : 'bg-gray-200'}`}
+                    ${enabled ? 'bg-[hsl(var(--accent-hue)_80%_60%)]' : 'bg-gray-200 dark:bg-gray-700'}`}
       >
         <span className={`pointer-events-none inline-block h-5 w-5 transform rounded-full bg-white shadow ring-0 transition duration-200 ease-in-out ${enabled ? 'translate-x-5' : 'translate-x-0'}`} />
       </button>
@@ -180,129 +330,518 @@ function GlassToggle({ label, enabled, setEnabled }) {
   );
 }
 
+// --- Tags ---
+function TagChips({ tags, onRemove, className = '' }) {
+  if (!tags || tags.length === 0) return null;
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {tags.map(tag => (
+        <span key={tag} className="inline-flex items-center gap-1 px-2 py-0.5 text-xs rounded-full border" style={{ backgroundColor: `hsl(var(--accent-hue) 80% 60% / 0.1)`, borderColor: `hsl(var(--accent-hue) 80% 60% / 0.3)`, color: `hsl(var(--accent-hue) 80% var(--accent-text-l))` }}>
+          {tag}
+          {onRemove && <button type="button" onClick={() => onRemove(tag)} className="opacity-60 hover:opacity-100 leading-none" aria-label={`Remove ${tag}`}>&times;</button>}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Multi-select tag input with autocomplete. With allowNew={false} it only
+// accepts tags from `suggestions` (used for filtering).
+function TagInput({ label, id, tags, onChange, suggestions, allowNew = true, placeholder = "Add a tag..." }) {
+  const [input, setInput] = useState("");
+  const [isOpen, setIsOpen] = useState(false);
+  const ref = useRef(null);
+  useClickOutside(ref, () => setIsOpen(false));
+
+  const query = normalizeTag(input);
+  const matches = suggestions.filter(tag => !tags.includes(tag) && tag.includes(query)).slice(0, 8);
+
+  const addTag = (raw) => {
+    const tag = normalizeTag(raw);
+    if (!tag || tags.includes(tag) || (!allowNew && !suggestions.includes(tag))) return;
+    onChange([...tags, tag]);
+    setInput("");
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(allowNew ? input : matches[0] || input);
+    } else if (e.key === 'Backspace' && !input && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative" ref={ref}>
+      {label && <label htmlFor={id} className="block text-sm font-medium text-gray-700 dark:text-slate-300">{label}</label>}
+      <div className="mt-1 flex flex-wrap items-center gap-1 px-2 py-1.5 border border-gray-400/30 dark:border-slate-500/30 bg-white/50 dark:bg-slate-800/50 rounded-md focus-within:ring-2 focus-within:ring-[hsl(var(--accent-hue)_80%_60%)]">
+        <TagChips tags={tags} onRemove={(tag) => onChange(tags.filter(t => t !== tag))} />
+        <input
+          id={id}
+          type="text"
+          value={input}
+          onChange={(e) => { setInput(e.target.value); setIsOpen(true); }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder={tags.length === 0 ? placeholder : ""}
+          className="flex-1 min-w-[6rem] bg-transparent text-sm text-gray-900 dark:text-slate-100 placeholder:text-gray-500 focus:outline-none py-0.5"
+        />
+      </div>
+      {isOpen && matches.length > 0 && (
+        <div className="absolute z-10 w-full mt-1 bg-white/70 dark:bg-slate-800/70 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-md shadow-lg max-h-48 overflow-y-auto">
+          {matches.map(tag => (
+            <div key={tag} onMouseDown={(e) => { e.preventDefault(); addTag(tag); }} className="px-3 py-1.5 text-sm text-gray-800 dark:text-slate-200 cursor-pointer hover:bg-black/10 dark:hover:bg-white/10">{tag}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // --- Background Uploader ---
+// Uploads are downscaled and recompressed before they're stored (see compressBackgroundImage).
 function BackgroundUploader({ onBackgroundChange, onBackgroundClear }) {
   const fileInputRef = useRef(null);
-  const handleFileChange = (event) => {
+  const [isProcessing, setIsProcessing] = useState(false);
+  const handleFileChange = async (event) => {
     const file = event.target.files[0];
+    event.target.value = '';
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        onBackgroundChange(e.target.result);
-      } catch (err) { console.error("Error reading file:", err); }
-    };
-    reader.readAsDataURL(file);
+    setIsProcessing(true);
+    try {
+      onBackgroundChange(await compressBackgroundImage(file));
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setIsProcessing(false);
+    }
   };
   return (
-    <div className="flex items-center justify-between gap-4 p-3 bg-white/30 rounded-lg">
+    <div className="flex items-center justify-between gap-4 p-3 bg-white/30 dark:bg-slate-800/30 rounded-lg">
       <div>
-        <h4 className="font-medium text-gray-800">Background Image</h4>
-        <p className="text-xs text-gray-600">Upload a custom image.</p>
+        <h4 className="font-medium text-gray-800 dark:text-slate-200">Background Image</h4>
+        <p className="text-xs text-gray-600 dark:text-slate-400">Upload a custom image. Large images are scaled down.</p>
       </div>
       <div className="flex gap-3">
         <input type="file" ref={fileInputRef} className="hidden" accept="image/*" onChange={handleFileChange} />
-        <GlassButton onClick={() => fileInputRef.current && fileInputRef.current.click()}>Upload</GlassButton>
-        <GlassButton onClick={onBackgroundClear} className="bg-red-500/10 border-red-500/30 text-red-800 hover:bg-red-500/20">Clear</GlassButton>
+        <GlassButton onClick={() => fileInputRef.current && fileInputRef.current.click()} disabled={isProcessing}>{isProcessing ? "Processing..." : "Upload"}</GlassButton>
+        <GlassButton onClick={onBackgroundClear} className="bg-red-500/10 border-red-500/30 text-red-800 dark:text-red-300 hover:bg-red-500/20">Clear</GlassButton>
       </div>
     </div>
   );
 }
 
-// --- SettingsModal ---
-function SettingsModal({ 
-  isOpen, onClose, customHeading, setCustomHeading, accentHue, setAccentHue, 
-  animationsOn, setAnimationsOn, onBackgroundChange, onBackgroundClear, 
-  links, handleAddLink, handleDeleteLink, handleChangePassword,
-  user // Passed user to show account options only if logged in
-}) {
-  const modalRef = useRef(null);
-  useClickOutside(modalRef, onClose);
-  const [showAddForm, setShowAddForm] = useState(false);
-  const [newName, setNewName] = useState("");
-  const [newUrl, setNewUrl] = useState("");
-  const [newLogo, setNewLogo] = useState("");
-  const [headingInput, setHeadingInput] = useState(customHeading);
+// --- Toaster ---
+const TOAST_STYLES = {
+  error: 'bg-red-500/10 border-red-500/30 text-red-800 dark:text-red-300',
+  success: 'bg-green-500/10 border-green-500/30 text-green-800 dark:text-green-300',
+  info: 'bg-white/50 dark:bg-slate-800/50 border-gray-300/50 dark:border-slate-600/50 text-gray-800 dark:text-slate-200',
+};
 
-  if (!isOpen) return null;
-  
-  const renderLogo = (link) => link.logoSvg ? <span className="w-5 h-5 mr-2" dangerouslySetInnerHTML={{ __html: link.logoSvg }} /> : <span className="w-5 h-5 mr-2 text-gray-600">●</span>;
+function Toaster() {
+  const [toasts, setToasts] = useState([]);
+  const dismiss = useCallback((id) => setToasts(t => t.filter(toast => toast.id !== id)), []);
+
+  useEffect(() => subscribeToToasts((toast) => {
+    setToasts(t => [...t, toast]);
+    if (toast.duration) setTimeout(() => dismiss(toast.id), toast.duration);
+  }), [dismiss]);
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 w-80 max-w-[calc(100vw-2rem)]" role="status" aria-live="polite">
+      {toasts.map(toast => (
+        <div key={toast.id} className={`flex items-start justify-between gap-3 p-3 text-sm backdrop-blur-xl border rounded-md shadow-lg anim-fade-in-up ${TOAST_STYLES[toast.type] || TOAST_STYLES.info}`}>
+          <span>{toast.message}</span>
+          <button onClick={() => dismiss(toast.id)} className="opacity-60 hover:opacity-100 leading-none text-lg" aria-label="Dismiss">&times;</button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// --- Auth Forms ---
+function AuthScreen({ onLogin, onRegister, notice }) {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const isRegister = mode === 'register';
+
+  const switchMode = () => { setMode(isRegister ? 'login' : 'register'); setError(null); setConfirmPassword(""); };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isRegister && password !== confirmPassword) { setError("Passwords do not match."); return; }
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      await (isRegister ? onRegister : onLogin)(username.trim(), password);
+    } catch (err) {
+      setError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="max-w-sm mx-auto mt-12 p-6 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl anim-fade-in-up">
+      <h2 className="text-xl font-bold text-gray-900 dark:text-slate-100 mb-4">{isRegister ? "Create an Account" : "Log In"}</h2>
+      {notice && <p className="mb-3 p-2 text-sm text-yellow-800 dark:text-amber-300 bg-yellow-500/10 border border-yellow-500/30 rounded-md">{notice}</p>}
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <GlassInput label="Username" id="authUsername" type="text" value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username" required autoFocus />
+        <GlassInput label="Password" id="authPassword" type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete={isRegister ? "new-password" : "current-password"} required minLength={isRegister ? 8 : undefined} />
+        {isRegister && <GlassInput label="Confirm Password" id="authConfirmPassword" type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} autoComplete="new-password" required />}
+        {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+        <GlassButton type="submit" disabled={isSubmitting} className="w-full bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover">
+          {isSubmitting ? "Please wait..." : isRegister ? "Register" : "Log In"}
+        </GlassButton>
+      </form>
+      <p className="mt-4 text-sm text-gray-600 dark:text-slate-400 text-center">
+        {isRegister ? "Already have an account?" : "New here?"}{' '}
+        <button type="button" onClick={switchMode} className="text-blue-600 dark:text-blue-400 hover:underline font-medium">{isRegister ? "Log in" : "Create an account"}</button>
+      </p>
+    </div>
+  );
+}
+
+function ChangePasswordForm({ onChangePassword }) {
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [message, setMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) { setMessage({ type: 'error', text: "New passwords do not match." }); return; }
+    if (newPassword === currentPassword) { setMessage({ type: 'error', text: "New password must differ from the current one." }); return; }
+    try {
+      await onChangePassword(currentPassword, newPassword);
+      setCurrentPassword(""); setNewPassword(""); setConfirmPassword("");
+      setMessage({ type: 'success', text: "Password updated successfully!" });
+    } catch (err) { setMessage({ type: 'error', text: err.message }); }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-3">
+      <GlassInput label="Current Password" id="currentPassword" type="password" value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} autoComplete="current-password" required />
+      <GlassInput label="New Password" id="newPassword" type="password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} autoComplete="new-password" minLength={8} required />
+      <GlassInput label="Confirm New Password" id="confirmNewPassword" type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} autoComplete="new-password" required />
+      <div className="md:col-span-3 flex items-center gap-3">
+        <GlassButton type="submit" className="bg-red-500/10 border-red-500/30 text-red-800 dark:text-red-300 hover:bg-red-500/20">Change My Password</GlassButton>
+        {message && <span className={`text-sm ${message.type === 'error' ? 'text-red-600 dark:text-red-400' : 'text-green-700 dark:text-green-300'}`}>{message.text}</span>}
+      </div>
+    </form>
+  );
+}
+
+// --- Quick Links ---
+// SVG logos are sanitized again on render since older links were saved unchecked.
+// Image logos (and favicons) that fail to load fall back to a letter icon.
+function LinkLogo({ link }) {
+  const logo = useMemo(() => linkLogo(link), [link]);
+  const [failedSrc, setFailedSrc] = useState(null);
+  if (logo.kind === 'svg') return <span className="w-5 h-5 mr-2 shrink-0 [&>svg]:w-full [&>svg]:h-full" aria-hidden="true" dangerouslySetInnerHTML={{ __html: logo.markup }} />;
+  if (logo.kind === 'image' && failedSrc !== logo.src) return <img src={logo.src} alt="" onError={() => setFailedSrc(logo.src)} loading="lazy" referrerPolicy="no-referrer" className="w-5 h-5 mr-2 shrink-0 object-contain" />;
+  const { letter, hue } = letterIcon(link.name || link.url);
+  return <span aria-hidden="true" className="w-5 h-5 mr-2 shrink-0 flex items-center justify-center rounded text-[0.65rem] font-bold text-white" style={{ backgroundColor: `hsl(${hue}, 55%, 45%)` }}>{letter}</span>;
+}
+
+function QuickLinkForm({ link = null, groupNames, onSubmit, onCancel, isSaving }) {
+  const formId = useId();
+  const [name, setName] = useState(link?.name || '');
+  const [url, setUrl] = useState(link?.url || '');
+  const [logo, setLogo] = useState(link?.logoSvg || '');
+  const [group, setGroup] = useState(link?.group || '');
+  const draft = useMemo(() => ({ name, url, logoSvg: logo }), [name, url, logo]);
+  const rejectedSvg = logo.trim().startsWith('<') && !normalizeLinkLogo(logo);
 
-  const handleAddLinkFormSubmit = async (e) => {
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ name: name.trim(), url: url.trim(), logoSvg: normalizeLinkLogo(logo), group: group.trim() });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 p-4 bg-black/5 dark:bg-white/5 rounded-lg grid grid-cols-1 md:grid-cols-2 gap-3">
+      <GlassInput id={`${formId}-name`} type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Site Name" aria-label="Site name" required />
+      <GlassInput id={`${formId}-url`} type="url" value={url} onChange={(e) => setUrl(e.target.value)} placeholder="Full URL" aria-label="URL" required />
+      <GlassInput id={`${formId}-group`} type="text" value={group} onChange={(e) => setGroup(e.target.value)} placeholder="Group (Optional)" aria-label="Group" list={`${formId}-groups`} />
+      <datalist id={`${formId}-groups`}>{groupNames.map(groupName => <option key={groupName} value={groupName} />)}</datalist>
+      <div className="flex items-center">
+        <div className="flex-1"><GlassInput id={`${formId}-logo`} type="text" value={logo} onChange={(e) => setLogo(e.target.value)} placeholder="Logo SVG or image URL (Optional)" aria-label="Logo" /></div>
+        <span className="ml-2 mt-1 flex items-center" title="Logo preview"><LinkLogo link={draft} /></span>
+      </div>
+      {rejectedSvg && <p className="md:col-span-2 text-xs text-red-700 dark:text-red-300">That SVG has nothing that can be shown safely, so a letter icon will be used.</p>}
+      {!logo.trim() && <p className="md:col-span-2 text-xs text-gray-600 dark:text-slate-400">Without a logo the site's favicon is used, or a letter icon if it has none.</p>}
+      <div className="md:col-span-2 flex gap-3">
+        <GlassButton type="submit" disabled={isSaving} className="bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover">{isSaving ? "Saving..." : "Save Link"}</GlassButton>
+        <GlassButton onClick={onCancel}>Cancel</GlassButton>
+      </div>
+    </form>
+  );
+}
+
+// Links listed by group, each editable in place. Rows can be dragged onto
+// another row (to go before it) or onto a group's empty space (to go last in
+// it); the arrow buttons do the same from the keyboard.
+function QuickLinksManager({ links, onUpdateLink, onDeleteLink, onReorderLinks, operations }) {
+  const [editingId, setEditingId] = useState(null);
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const groups = groupLinks(links);
+  const groupNames = linkGroupNames(links);
+  const isReordering = operations.reorderLinks?.status === 'pending';
+
+  const handleDrop = (e, target) => {
     e.preventDefault();
-    await handleAddLink(newName, newUrl, newLogo);
-    setNewName(""); setNewUrl(""); setNewLogo(""); setShowAddForm(false);
+    e.stopPropagation();
+    setDropTarget(null);
+    if (draggedId !== null) onReorderLinks(moveLink(links, draggedId, target));
+    setDraggedId(null);
+  };
+
+  const handleEditSubmit = async (link, values) => {
+    if (await onUpdateLink({ ...link, ...values })) setEditingId(null);
+  };
+
+  if (links.length === 0) return <p className="text-sm text-gray-600 dark:text-slate-400">No quick links yet.</p>;
+  return (
+    <div className="space-y-3">
+      {groups.map(group => (
+        <div
+          key={group.name}
+          onDragOver={(e) => { if (draggedId === null) return; e.preventDefault(); setDropTarget(`group:${group.name}`); }}
+          onDragLeave={() => setDropTarget(target => (target === `group:${group.name}` ? null : target))}
+          onDrop={(e) => handleDrop(e, { group: group.name })}
+          className={`space-y-2 rounded-md ${dropTarget === `group:${group.name}` ? 'ring-2 ring-[hsl(var(--accent-hue)_80%_60%)]' : ''}`}
+        >
+          {(group.name || groups.length > 1) && <h4 className="text-xs font-semibold uppercase tracking-wide text-gray-600 dark:text-slate-400">{group.name || "Ungrouped"}</h4>}
+          {group.links.map((link, index) => editingId === link.id ? (
+            <QuickLinkForm key={link.id} link={link} groupNames={groupNames} onSubmit={(values) => handleEditSubmit(link, values)} onCancel={() => setEditingId(null)} isSaving={operations[`updateLink:${link.id}`]?.status === 'pending'} />
+          ) : (
+            <div
+              key={link.id}
+              draggable
+              onDragStart={(e) => { e.dataTransfer.setData('text/plain', String(link.id)); e.dataTransfer.effectAllowed = 'move'; setDraggedId(link.id); }}
+              onDragEnd={() => { setDraggedId(null); setDropTarget(null); }}
+              onDragOver={(e) => { if (draggedId === null) return; e.preventDefault(); e.stopPropagation(); setDropTarget(link.id); }}
+              onDrop={(e) => handleDrop(e, { targetId: link.id })}
+              className={`flex items-center justify-between p-2 bg-white/30 dark:bg-slate-800/30 rounded-md cursor-grab ${dropTarget === link.id && draggedId !== link.id ? 'border-t-2 border-[hsl(var(--accent-hue)_80%_60%)]' : ''} ${draggedId === link.id ? 'opacity-50' : ''}`}
+            >
+              <div className="flex items-center min-w-0 text-sm font-medium text-gray-800 dark:text-slate-200"><LinkLogo link={link} /><span className="truncate">{link.name}</span></div>
+              <div className="flex items-center gap-2 text-xs text-gray-600 dark:text-slate-400">
+                <button onClick={() => onReorderLinks(shiftLink(links, link.id, -1))} disabled={index === 0 || isReordering} className="px-1 hover:text-gray-900 dark:hover:text-slate-100 disabled:opacity-30" aria-label={`Move ${link.name} up`}>&uarr;</button>
+                <button onClick={() => onReorderLinks(shiftLink(links, link.id, 1))} disabled={index === group.links.length - 1 || isReordering} className="px-1 hover:text-gray-900 dark:hover:text-slate-100 disabled:opacity-30" aria-label={`Move ${link.name} down`}>&darr;</button>
+                <button onClick={() => setEditingId(link.id)} className="text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 font-bold">Edit</button>
+                <button onClick={() => onDeleteLink(link.id)} disabled={operations[`deleteLink:${link.id}`]?.status === 'pending'} className="text-red-500 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 font-bold disabled:opacity-50">Remove</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// --- Revision Reminders ---
+function ReminderSettings({ reminders, onChange, lists, dueCount }) {
+  const [permission, setPermission] = useState(notificationPermission);
+  const toggle = (values, value) => (values.includes(value) ? values.filter(v => v !== value) : [...values, value]);
+
+  const handleEnabledChange = async (enabled) => {
+    if (enabled && permission !== 'granted') {
+      const result = await requestNotificationPermission();
+      setPermission(result);
+      if (result !== 'granted') {
+        notify(result === 'denied' ? "Notifications are blocked for this site. Allow them in the browser's site settings to get reminders." : "Reminders need permission to show notifications.");
+        return;
+      }
+    }
+    onChange({ enabled });
+  };
+  const handleTest = async () => {
+    if (!(await sendToServiceWorker({ type: 'test' }))) notify("The reminder service isn't running yet. Reload the page and try again.");
   };
 
+  if (permission === 'unsupported') return <p className="text-sm text-gray-600 dark:text-slate-400">This browser can't show notifications.</p>;
   return (
-    <div className="fixed inset-0 z-40 flex items-center justify-center p-4 bg-black/30 backdrop-blur-sm anim-fade-in">
-      <div ref={modalRef} className="w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 bg-white/70 backdrop-blur-xl border border-gray-300/50 rounded-lg shadow-2xl anim-fade-in-up">
-        <div className="flex justify-between items-center mb-4">
-          <h2 className="text-xl font-bold text-gray-900">Settings</h2>
-          <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-2xl">&times;</button>
+    <div className="space-y-4">
+      <p className="text-xs text-gray-600 dark:text-slate-400">A daily notification listing what's due, on this device. It arrives while the app is open in any tab; installed as an app (where the browser supports background sync), it also arrives with the app closed. The app icon shows how many of these problems are due.</p>
+      <GlassToggle label="Daily Reminder" enabled={reminders.enabled && permission === 'granted'} setEnabled={handleEnabledChange} />
+      {permission === 'denied' && <p className="text-xs text-red-700 dark:text-red-300">Notifications are blocked for this site in the browser's settings.</p>}
+      <div className="flex flex-wrap items-end gap-4">
+        <div className="w-32"><GlassInput label="Time" id="reminderTime" type="time" value={reminders.time} onChange={(e) => e.target.value && onChange({ time: e.target.value })} /></div>
+        <div>
+          <span className="block text-sm font-medium text-gray-700 dark:text-slate-300 mb-1">Quiet Days</span>
+          <div className="flex flex-wrap gap-1" role="group" aria-label="Quiet days">
+            {WEEKDAYS.map(day => {
+              const quiet = reminders.quietDays.includes(day.value);
+              return <button key={day.value} type="button" onClick={() => onChange({ quietDays: toggle(reminders.quietDays, day.value) })} aria-pressed={quiet} className={`px-2 py-1 rounded-md text-xs font-medium border ${quiet ? 'bg-gray-500/20 border-gray-400/50 dark:border-slate-500/50 text-gray-500 dark:text-slate-500 line-through' : 'bg-white/40 dark:bg-slate-800/40 border-gray-300/50 dark:border-slate-600/50 text-gray-800 dark:text-slate-200'}`}>{day.label}</button>;
+            })}
+          </div>
         </div>
-        <div className="space-y-6">
-          {user && (
-            <section>
-              <h3 className="text-lg font-semibold text-gray-800 mb-3">Account</h3>
-               <GlassButton onClick={handleChangePassword} className="bg-red-500/10 border-red-500/30 text-red-800 hover:bg-red-500/20 w-full">
-                  Change My Password
-               </GlassButton>
-            </section>
-          )}
+      </div>
+      {lists.length > 0 && (
+        <div>
+          <span className="block text-sm font-medium text-gray-700 dark:text-slate-300 mb-1">Remind About</span>
+          <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-800 dark:text-slate-200">
+            {lists.map(list => (
+              <label key={list.id} className="flex items-center gap-1.5">
+                <input type="checkbox" checked={reminders.listIds.includes(list.id)} onChange={() => onChange({ listIds: toggle(reminders.listIds, list.id) })} />
+                {list.name}
+              </label>
+            ))}
+          </div>
+          <p className="mt-1 text-xs text-gray-600 dark:text-slate-400">{reminders.listIds.length === 0 ? "No lists chosen: every due problem counts." : "Only due problems in the chosen lists count."}</p>
+        </div>
+      )}
+      <div className="flex items-center gap-3">
+        <GlassButton onClick={handleTest} disabled={permission !== 'granted'}>Send a Test Notification</GlassButton>
+        <span className="text-xs text-gray-600 dark:text-slate-400">{dueCount} {dueCount === 1 ? "problem" : "problems"} would be in today's reminder.</span>
+      </div>
+    </div>
+  );
+}
+
+// --- SettingsPage ---
+function SettingsPage({ 
+  onClose, preferences, onPreferencesChange, reminders, onRemindersChange, lists, reminderDueCount,
+  links, handleAddLink, handleUpdateLink, handleDeleteLink, handleReorderLinks, handleChangePassword, operations,
+  user // Passed user to show account options only if logged in
+}) {
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [headingInput, setHeadingInput] = useState(preferences.customHeading);
+  // Follows the saved greeting when it changes elsewhere (loaded from the
+  // server after login, or restored from a backup).
+  useEffect(() => setHeadingInput(preferences.customHeading), [preferences.customHeading]);
+  const { accentHue, themeMode, glassIntensity, animationsOn } = preferences;
+
+  const handleAddLinkFormSubmit = async (values) => {
+    if (await handleAddLink(values)) setShowAddForm(false);
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto p-6 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl anim-fade-in-up">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-900 dark:text-slate-100">Settings</h2>
+        <button onClick={onClose} className="text-gray-500 dark:text-slate-500 hover:text-gray-800 dark:hover:text-slate-200 text-2xl" title="Close settings">&times;</button>
+      </div>
+      <div className="space-y-6">
+        {user && (
           <section>
-            <h3 className="text-lg font-semibold text-gray-800 mb-3">Personalize</h3>
-            <div className="space-y-3">
-              <GlassInput label="Custom Greeting" id="customHeading" type="text" value={headingInput} onChange={(e) => setHeadingInput(e.target.value)} />
-              <GlassButton onClick={() => setCustomHeading(headingInput)}>Save Greeting</GlassButton>
-            </div>
+            <h3 className="text-lg font-semibold text-gray-800 dark:text-slate-200 mb-3">Account</h3>
+            <ChangePasswordForm onChangePassword={handleChangePassword} />
           </section>
-          <section>
-            <h3 className="text-lg font-semibold text-gray-800 mb-3">Appearance</h3>
-            <div className="space-y-3">
-              <BackgroundUploader onBackgroundChange={onBackgroundChange} onBackgroundClear={onBackgroundClear} />
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Accent Color</label>
-                <div className="flex flex-wrap gap-2">
-                  {ACCENT_COLORS.map(color => (
-                    <button key={color.name} onClick={() => setAccentHue(color.hue)} className={`w-8 h-8 rounded-full border-2 ${accentHue === color.hue ? 'border-black/50' : 'border-transparent'}`} style={{ backgroundColor: `hsl(${color.hue}, 70%, 60%)` }} title={color.name} />
-                  ))}
-                </div>
+        )}
+        <section>
+          <h3 className="text-lg font-semibold text-gray-800 dark:text-slate-200 mb-3">Personalize</h3>
+          <div className="space-y-3">
+            <GlassInput label="Custom Greeting" id="customHeading" type="text" value={headingInput} onChange={(e) => setHeadingInput(e.target.value)} />
+            <GlassButton onClick={() => onPreferencesChange({ customHeading: headingInput })}>Save Greeting</GlassButton>
+          </div>
+        </section>
+        <section>
+          <h3 className="text-lg font-semibold text-gray-800 dark:text-slate-200 mb-1">Appearance</h3>
+          <p className="text-xs text-gray-600 dark:text-slate-400 mb-3">{user ? "Saved to your account, so these follow you to other devices." : "Saved on this device. Log in to keep them with your account."}</p>
+          <div className="space-y-4">
+            <div>
+              <span className="block text-sm font-medium text-gray-700 dark:text-slate-300 mb-2">Theme</span>
+              <div className="flex flex-wrap gap-2" role="group" aria-label="Theme">
+                {THEME_MODES.map(mode => <GlassButton key={mode.value} onClick={() => onPreferencesChange({ themeMode: mode.value })} aria-pressed={themeMode === mode.value} className={themeMode === mode.value ? 'bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover' : ''}>{mode.label}</GlassButton>)}
               </div>
-              <GlassToggle label="Enable Animations" enabled={animationsOn} setEnabled={setAnimationsOn} />
             </div>
-          </section>
-          <section>
-            <h3 className="text-lg font-semibold text-gray-800 mb-3">Manage Quick Links</h3>
-            <div className="space-y-2">
-              {links.map(link => (
-                <div key={link.id} className="flex items-center justify-between p-2 bg-white/30 rounded-md">
-                  <div className="flex items-center text-sm font-medium text-gray-800">{renderLogo(link)}{link.name}</div>
-                  <button onClick={() => handleDeleteLink(link.id)} className="text-red-500 hover:text-red-700 text-xs font-bold">Remove</button>
-                </div>
-              ))}
+            <BackgroundUploader onBackgroundChange={(url) => onPreferencesChange({ backgroundUrl: url })} onBackgroundClear={() => onPreferencesChange({ backgroundUrl: null })} />
+            <div>
+              <label htmlFor="accentHue" className="block text-sm font-medium text-gray-700 dark:text-slate-300 mb-2">Accent Color</label>
+              <div className="flex flex-wrap items-center gap-2">
+                {ACCENT_COLORS.map(color => (
+                  <button key={color.name} onClick={() => onPreferencesChange({ accentHue: color.hue })} className={`w-8 h-8 rounded-full border-2 ${accentHue === color.hue ? 'border-black/50' : 'border-transparent'}`} style={{ backgroundColor: `hsl(${color.hue}, 70%, 60%)` }} title={color.name} aria-label={color.name} />
+                ))}
+                <input id="accentHue" type="range" min={0} max={359} value={accentHue} onChange={(e) => onPreferencesChange({ accentHue: e.target.value })} className="ml-2 flex-1 min-w-[8rem] h-2 rounded-full appearance-none cursor-pointer" style={{ background: 'linear-gradient(to right, hsl(0 70% 60%), hsl(60 70% 60%), hsl(120 70% 60%), hsl(180 70% 60%), hsl(240 70% 60%), hsl(300 70% 60%), hsl(359 70% 60%))' }} aria-valuetext={`Hue ${accentHue}`} />
+                <span className="w-8 h-8 rounded-full border border-gray-400/30 dark:border-slate-500/30" style={{ backgroundColor: `hsl(${accentHue}, 70%, 60%)` }} title={`Hue ${accentHue}`} />
+              </div>
             </div>
-            <GlassButton onClick={() => setShowAddForm(!showAddForm)} className="mt-3 bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover">+ Add New Link</GlassButton>
-            {showAddForm && (
-              <form onSubmit={handleAddLinkFormSubmit} className="mt-4 p-4 bg-black/5 rounded-lg grid grid-cols-1 md:grid-cols-2 gap-3">
-                <GlassInput id="linkName" type="text" value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="Site Name" required />
-                <GlassInput id="linkUrl" type="url" value={newUrl} onChange={(e) => setNewUrl(e.target.value)} placeholder="Full URL" required />
-                <GlassInput id="linkLogo" type="text" value={newLogo} onChange={(e) => setNewLogo(e.target.value)} placeholder="Logo SVG or URL (Optional)" className="md:col-span-2" />
-                <div className="md:col-span-2 flex gap-3">
-                  <GlassButton type="submit" className="bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover">Save Link</GlassButton>
-                  <GlassButton onClick={() => setShowAddForm(false)}>Cancel</GlassButton>
-                </div>
-              </form>
-            )}
-          </section>
+            <div>
+              <label htmlFor="glassIntensity" className="block text-sm font-medium text-gray-700 dark:text-slate-300 mb-2">Glass Effect <span className="text-gray-500 dark:text-slate-500 font-normal">({glassIntensity}%)</span></label>
+              <div className="flex items-center gap-3 text-xs text-gray-600 dark:text-slate-400">
+                <span>Solid</span>
+                <input id="glassIntensity" type="range" min={0} max={100} step={5} value={glassIntensity} onChange={(e) => onPreferencesChange({ glassIntensity: Number(e.target.value) })} className="flex-1 cursor-pointer" />
+                <span>Glassy</span>
+              </div>
+            </div>
+            <GlassToggle label="Enable Animations" enabled={animationsOn} setEnabled={(value) => onPreferencesChange({ animationsOn: value })} />
+          </div>
+        </section>
+        {/* Reminders and quick links belong to an account's problems and links. */}
+        {user && (
+          <>
+            <section>
+              <h3 className="text-lg font-semibold text-gray-800 dark:text-slate-200 mb-1">Revision Reminders</h3>
+              <ReminderSettings reminders={reminders} onChange={onRemindersChange} lists={lists} dueCount={reminderDueCount} />
+            </section>
+            <section>
+              <h3 className="text-lg font-semibold text-gray-800 dark:text-slate-200 mb-1">Manage Quick Links</h3>
+              <p className="text-xs text-gray-600 dark:text-slate-400 mb-3">Drag links to reorder them, or onto another group to move them there.</p>
+              <QuickLinksManager links={links} onUpdateLink={handleUpdateLink} onDeleteLink={handleDeleteLink} onReorderLinks={handleReorderLinks} operations={operations} />
+              <GlassButton onClick={() => setShowAddForm(!showAddForm)} className="mt-3 bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover">+ Add New Link</GlassButton>
+              {showAddForm && <QuickLinkForm groupNames={linkGroupNames(links)} onSubmit={handleAddLinkFormSubmit} onCancel={() => setShowAddForm(false)} isSaving={operations.addLink?.status === 'pending'} />}
+            </section>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// --- Markdown Notes ---
+function MarkdownView({ text, className = '' }) {
+  const html = useMemo(() => renderMarkdown(text), [text]);
+  return <div className={`markdown-body ${className}`} dangerouslySetInnerHTML={{ __html: html }} />;
+}
+
+const NOTE_LANGUAGE_LABELS = { cpp: "C++", python: "Python", java: "Java" };
+
+function NotesEditor({ id, label, value, onChange }) {
+  const [tab, setTab] = useState('write');
+  const textareaRef = useRef(null);
+
+  // Wraps the current selection (or an empty line) in a fenced code block.
+  const insertCodeBlock = (language) => {
+    const el = textareaRef.current;
+    const start = el ? el.selectionStart : value.length;
+    const end = el ? el.selectionEnd : value.length;
+    const before = value.slice(0, start);
+    const fence = `${before && !before.endsWith('\n') ? '\n' : ''}\`\`\`${language}\n${value.slice(start, end)}\n\`\`\`\n`;
+    onChange(before + fence + value.slice(end));
+    setTab('write');
+  };
+
+  const tabClass = (name) => `px-3 py-1 text-xs font-medium rounded-md transition-colors ${tab === name ? 'bg-white/60 dark:bg-slate-800/60 text-gray-900 dark:text-slate-100 shadow' : 'text-gray-600 dark:text-slate-400 hover:text-gray-900 dark:hover:text-slate-100'}`;
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <label htmlFor={id} className="block text-sm font-medium text-gray-700 dark:text-slate-300">{label}</label>
+        <div className="flex items-center gap-1">
+          {NOTE_LANGUAGES.map(language => <button key={language} type="button" onClick={() => insertCodeBlock(language)} className="px-2 py-1 text-xs text-gray-600 dark:text-slate-400 hover:text-gray-900 dark:hover:text-slate-100" title={`Insert ${NOTE_LANGUAGE_LABELS[language]} code block`}>{`{ } ${NOTE_LANGUAGE_LABELS[language]}`}</button>)}
+          <span className="mx-1 h-4 border-l border-gray-400/40 dark:border-slate-500/50" />
+          <button type="button" onClick={() => setTab('write')} className={tabClass('write')}>Write</button>
+          <button type="button" onClick={() => setTab('preview')} className={tabClass('preview')}>Preview</button>
         </div>
       </div>
+      {tab === 'write' ? (
+        <textarea ref={textareaRef} id={id} value={value} onChange={(e) => onChange(e.target.value)} rows="8" className="mt-1 block w-full px-3 py-2 border border-gray-400/30 dark:border-slate-500/30 bg-white/50 dark:bg-slate-800/50 text-gray-900 dark:text-slate-100 rounded-md text-sm font-mono placeholder:text-gray-500 focus:outline-none focus:ring-2 focus:ring-[hsl(var(--accent-hue)_80%_60%)]" placeholder="Approach, edge cases, code... Markdown, ```cpp code blocks``` and $O(n \log n)$ math are supported." />
+      ) : (
+        <div className="mt-1 min-h-[10rem] px-3 py-2 border border-gray-400/30 dark:border-slate-500/30 bg-white/50 dark:bg-slate-800/50 rounded-md">{value.trim() ? <MarkdownView text={value} /> : <p className="text-sm text-gray-500 dark:text-slate-500">Nothing to preview.</p>}</div>
+      )}
     </div>
   );
 }
 
 // --- ProblemForm ---
-function ProblemForm({ onSubmit, onCancel, problemToEdit }) {
+function ProblemForm({ onSubmit, onCancel, problemToEdit, allTags, existingProblems = [], isSubmitting = false }) {
   const isEditMode = !!problemToEdit;
   const [source, setSource] = useState(problemToEdit?.source || PROBLEM_SOURCES[0]);
   const [name, setName] = useState(problemToEdit?.name || "");
@@ -311,166 +850,2167 @@ function ProblemForm({ onSubmit, onCancel, problemToEdit }) {
   const [submissionLink, setSubmissionLink] = useState(problemToEdit?.submissionLink || "");
   const [remarks, setRemarks] = useState(problemToEdit?.remarks || "");
   const [rating, setRating] = useState(problemToEdit?.rating || "");
+  const [tags, setTags] = useState(problemToEdit?.tags || []);
+  const [externalId, setExternalId] = useState(problemToEdit?.externalId || "");
+  const [status, setStatus] = useState(problemToEdit ? problemStatus(problemToEdit) : 'solved');
+  const detected = parseProblemUrl(url);
+  const existing = url.trim() ? findExistingProblem(existingProblems, { url, source, externalId }, problemToEdit?.id) : null;
 
-  const handleSubmit = (e) => {
+  // Pasting a known judge URL fills in the source, problem id and (if still empty) the name.
+  const handleUrlChange = (value) => {
+    setUrl(value);
+    const parsed = parseProblemUrl(value);
+    if (!parsed) return;
+    setSource(parsed.source);
+    setExternalId(parsed.externalId);
+    if (!name.trim()) setName(parsed.name);
+  };
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
     if (!name.trim() || !url.trim()) return;
-    onSubmit({ source, name, url, difficulty, submissionLink, remarks, rating: rating ? Number(rating) : null, ...(isEditMode && { id: problemToEdit.id, addedAt: problemToEdit.addedAt, revisionLevel: problemToEdit.revisionLevel, nextRevisionDate: problemToEdit.nextRevisionDate }) });
-    if (!isEditMode) { setName(""); setUrl(""); setSubmissionLink(""); setRemarks(""); setRating(""); setSource(PROBLEM_SOURCES[0]); setDifficulty(PROBLEM_DIFFICULTIES[0]); }
+    const saved = await onSubmit({ ...(isEditMode && problemToEdit), source, name, url, difficulty, submissionLink, remarks, tags, status, externalId: externalId || null, rating: rating ? Number(rating) : null });
+    if (saved && !isEditMode) { setName(""); setUrl(""); setSubmissionLink(""); setRemarks(""); setRating(""); setTags([]); setExternalId(""); setSource(PROBLEM_SOURCES[0]); setDifficulty(PROBLEM_DIFFICULTIES[0]); setStatus('solved'); }
   };
 
   useEffect(() => {
     if (problemToEdit) {
       setSource(problemToEdit.source); setName(problemToEdit.name); setUrl(problemToEdit.url);
       setDifficulty(problemToEdit.difficulty); setSubmissionLink(problemToEdit.submissionLink || "");
-      setRemarks(problemToEdit.remarks || ""); setRating(problemToEdit.rating || "");
+      setRemarks(problemToEdit.remarks || ""); setRating(problemToEdit.rating || ""); setTags(problemToEdit.tags || []); setExternalId(problemToEdit.externalId || "");
+      setStatus(problemStatus(problemToEdit));
     }
   }, [problemToEdit]);
 
   return (
-    <div className="mb-6 p-6 bg-white/30 backdrop-blur-xl border border-gray-300/50 rounded-lg shadow-xl anim-fade-in-up">
-      <h3 className="text-lg font-bold text-gray-800 mb-4">{isEditMode ? "Edit Problem" : "Add New Problem"}</h3>
+    <div className="mb-6 p-6 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl anim-fade-in-up">
+      <h3 className="text-lg font-bold text-gray-800 dark:text-slate-200 mb-4">{isEditMode ? "Edit Problem" : "Add New Problem"}</h3>
       <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-6 gap-4">
         <div className="md:col-span-3"><GlassInput label="Problem Name" id="problemName" type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Two Sum" required /></div>
-        <div className="md:col-span-3"><GlassInput label="Problem URL" id="problemUrl" type="url" value={url} onChange={(e) => setUrl(e.target.value)} placeholder="https://" required /></div>
+        <div className="md:col-span-3"><GlassInput label="Problem URL" id="problemUrl" type="url" value={url} onChange={(e) => handleUrlChange(e.target.value)} placeholder="https://" required />{detected && <p className="mt-1 text-xs text-gray-600 dark:text-slate-400">Detected {detected.source} problem {detected.externalId}</p>}{existing && <p className="mt-1 text-xs text-yellow-800 dark:text-amber-300">Already saved as <Link to={`/problems/${existing.id}`} className="font-medium underline">{existing.name}</Link></p>}</div>
         <div className="md:col-span-2"><GlassDropdown label="Problem Source" options={PROBLEM_SOURCES} selectedValue={source} onChange={setSource} /></div>
         <div className="md:col-span-2"><GlassDropdown label="Problem Difficulty" options={PROBLEM_DIFFICULTIES} selectedValue={difficulty} onChange={setDifficulty} /></div>
         <div className="md:col-span-2"><GlassInput label="Problem Rating" id="problemRating" type="number" value={rating} onChange={(e) => setRating(e.target.value)} placeholder="101+" min={101} /></div>
-        <div className="md:col-span-6"><GlassInput label="Submission Link" id="submissionLink" type="url" value={submissionLink} onChange={(e) => setSubmissionLink(e.target.value)} placeholder="https://..." /></div>
-        <div className="md:col-span-6"><label htmlFor="remarks" className="block text-sm font-medium text-gray-700">Remarks</label><textarea id="remarks" value={remarks} onChange={(e) => setRemarks(e.target.value)} rows="3" className="mt-1 block w-full px-3 py-2 border border-gray-400/30 bg-white/50 text-gray-900 rounded-md text-sm placeholder:text-gray-500 focus:outline-none focus:ring-2 focus:ring-[hsl(var(--accent-hue)_80%_60%)]" placeholder="Learned about..." /></div>
-        <div className="md:col-span-6 flex items-center gap-3"><GlassButton type="submit" className="bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover">{isEditMode ? "Update Problem" : "Add Problem"}</GlassButton>{isEditMode && <GlassButton onClick={onCancel}>Cancel</GlassButton>}</div>
+        <div className="md:col-span-4"><GlassInput label="Submission Link" id="submissionLink" type="url" value={submissionLink} onChange={(e) => setSubmissionLink(e.target.value)} placeholder="https://..." /></div>
+        <div className="md:col-span-2"><GlassDropdown label="Status" options={PROBLEM_STATUSES} selectedValue={status} onChange={setStatus} /></div>
+        <div className="md:col-span-6"><TagInput label="Tags" id="problemTags" tags={tags} onChange={setTags} suggestions={allTags} placeholder="dp, graphs, binary search..." /></div>
+        <div className="md:col-span-6"><NotesEditor id="remarks" label="Notes" value={remarks} onChange={setRemarks} /></div>
+        <div className="md:col-span-6 flex items-center gap-3"><GlassButton type="submit" disabled={isSubmitting} className="bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover">{isSubmitting ? "Saving..." : isEditMode ? "Update Problem" : "Add Problem"}</GlassButton>{isEditMode && <GlassButton onClick={onCancel}>Cancel</GlassButton>}</div>
       </form>
     </div>
   );
 }
 
 // --- ProblemList ---
-function ProblemList({ problems, onDeleteProblem, onStartEdit }) {
-  if (problems.length === 0) return <div className="text-center text-gray-600">No matching problems found.</div>;
-  return (
-    <div className="overflow-x-auto bg-white/30 backdrop-blur-xl border border-gray-300/50 rounded-lg shadow-xl anim-fade-in-up">
-      <table className="w-full table-auto text-sm">
-        <thead className="bg-black/5"><tr>{['Source', 'Problem Name & Remarks', 'Difficulty', 'Rating', 'Next Revision', 'Actions'].map(h => <th key={h} className="px-4 py-3 text-left text-gray-700 font-medium">{h}</th>)}</tr></thead>
-        <tbody className="divide-y divide-gray-300/50">
-          {problems.map((p) => (
-            <tr key={p.id} className="hover:bg-black/5 align-top transition-colors hover:shadow-md">
-              <td className="px-4 py-3 text-gray-700">{p.source}</td>
-              <td className="px-4 py-3 text-gray-900 max-w-sm"><div><a href={p.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline font-medium">{p.name}</a>{p.submissionLink && <a href={p.submissionLink} target="_blank" rel="noopener noreferrer" className="text-xs ml-2 text-blue-500 hover:underline">[Submission]</a>}</div>{p.remarks && <p className="text-xs text-gray-600 mt-1 whitespace-pre-wrap">{p.remarks}</p>}</td>
-              <td className="px-4 py-3 text-gray-700">{p.difficulty}</td>
-              <td className="px-4 py-3 text-gray-700">{p.rating || '-'}</td>
-              <td className="px-4 py-3 text-gray-700">{p.nextRevisionDate || <span className="text-gray-500">Done</span>}</td>
-              <td className="px-4 py-3"><button onClick={() => onStartEdit(p.id)} className="text-blue-600 hover:text-blue-800 text-xs mr-3 font-medium">Edit</button><button onClick={() => onDeleteProblem(p.id)} className="text-red-600 hover:text-red-800 text-xs font-medium">Delete</button></td>
-            </tr>
-          ))}
-        </tbody>
-      </table>
+function ProblemDetails({ problem }) {
+  const facts = [
+    ["Added", problem.addedAt ? new Date(problem.addedAt).toLocaleDateString() : null],
+    ["Problem ID", problem.externalId],
+    ["Interval", problem.nextRevisionDate && problem.intervalDays ? formatInterval(problem.intervalDays) : null],
+    ["Reviews", problem.revisionHistory?.length || null],
+  ].filter(([, value]) => value);
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+      <div className="md:col-span-3">{problem.remarks?.trim() ? <MarkdownView text={problem.remarks} /> : <p className="text-sm text-gray-500 dark:text-slate-500">No notes yet.</p>}</div>
+      <dl className="text-xs space-y-1">
+        {facts.map(([label, value]) => <div key={label} className="flex justify-between gap-2"><dt className="text-gray-600 dark:text-slate-400">{label}</dt><dd className="text-gray-900 dark:text-slate-100 font-medium">{value}</dd></div>)}
+        {problem.submissionLink && <a href={problem.submissionLink} target="_blank" rel="noopener noreferrer" className="inline-block mt-1 text-blue-600 dark:text-blue-400 hover:underline">View submission</a>}
+      </dl>
     </div>
   );
 }
 
-// --- QuickLinksBar ---
-function QuickLinksBar({ links, isLoading, error }) {
-  const renderLogo = (link) => link.logoSvg ? <span className="w-5 h-5 mr-2" dangerouslySetInnerHTML={{ __html: link.logoSvg }} /> : <span className="w-5 h-5 mr-2 text-gray-600">●</span>;
+const STATUS_LABELS = Object.fromEntries(PROBLEM_STATUSES.map(status => [status.value, status.label]));
+const STATUS_BADGE_STYLES = { todo: 'bg-gray-500/15 text-gray-700 dark:text-slate-300', attempted: 'bg-yellow-500/20 text-yellow-800 dark:text-amber-300', solved: 'bg-green-500/20 text-green-800 dark:text-green-300' };
+
+function StatusBadge({ problem }) {
+  const status = problemStatus(problem);
+  return <span className={`px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${STATUS_BADGE_STYLES[status]}`}>{STATUS_LABELS[status]}</span>;
+}
+
+// Columns the list can show. `fixed` columns can't be hidden or moved;
+// `sortKey` makes the header clickable.
+const PROBLEM_COLUMNS = [
+  { key: 'source', label: "Source", sortKey: 'source', render: p => p.source },
+  { key: 'name', label: "Problem Name & Notes", sortKey: 'name', fixed: true },
+  { key: 'difficulty', label: "Difficulty", sortKey: 'difficulty', render: p => p.difficulty },
+  { key: 'rating', label: "Rating", sortKey: 'rating', render: p => p.rating || '-' },
+  { key: 'status', label: "Status", render: p => <StatusBadge problem={p} /> },
+  { key: 'nextRevisionDate', label: "Next Revision", sortKey: 'nextRevisionDate', render: p => p.nextRevisionDate || <span className="text-gray-500 dark:text-slate-500">Done</span> },
+  { key: 'addedAt', label: "Added At", sortKey: 'addedAt', render: p => (p.addedAt ? new Date(p.addedAt).toLocaleDateString() : '-') },
+  { key: 'revisionLevel', label: "Revision Level", sortKey: 'revisionLevel', render: p => p.revisionLevel ?? '-' },
+  { key: 'reviews', label: "Reviews", render: p => reviewCount(p) },
+  { key: 'submission', label: "Submission", render: p => (p.submissionLink ? <a href={p.submissionLink} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-400 hover:underline">View</a> : '-') },
+  { key: 'externalId', label: "Problem ID", render: p => p.externalId || '-' },
+];
+const COLUMNS_BY_KEY = Object.fromEntries(PROBLEM_COLUMNS.map(column => [column.key, column]));
+const DEFAULT_COLUMN_LAYOUT = { order: PROBLEM_COLUMNS.map(c => c.key), hidden: ['addedAt', 'revisionLevel', 'reviews', 'submission', 'externalId'] };
+
+// Orders the known columns by the saved layout; columns added since it was saved go last.
+function resolveColumnOrder(layout) {
+  const saved = (layout?.order || []).filter(key => COLUMNS_BY_KEY[key]);
+  return [...saved, ...PROBLEM_COLUMNS.map(c => c.key).filter(key => !saved.includes(key))];
+}
+
+function ColumnSettings({ layout, onChange }) {
+  const order = resolveColumnOrder(layout);
+  const hidden = new Set(layout?.hidden || []);
+  // Moves swap with the nearest column that isn't fixed, so fixed ones keep their slot.
+  const moveTarget = (index, delta) => {
+    let target = index + delta;
+    while (target >= 0 && target < order.length && COLUMNS_BY_KEY[order[target]].fixed) target += delta;
+    return COLUMNS_BY_KEY[order[index]].fixed || target < 0 || target >= order.length ? -1 : target;
+  };
+  const move = (index, delta) => {
+    const target = moveTarget(index, delta);
+    if (target === -1) return;
+    const next = [...order];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange({ ...layout, order: next });
+  };
+  const toggle = (key) => {
+    const nextHidden = new Set(hidden);
+    if (nextHidden.has(key)) nextHidden.delete(key); else nextHidden.add(key);
+    onChange({ order, hidden: [...nextHidden] });
+  };
   return (
-    <div className="mb-6 p-4 bg-white/30 backdrop-blur-xl border border-gray-300/50 rounded-lg shadow-xl anim-fade-in-up">
-      <div className="flex flex-wrap items-center gap-3">
-        {isLoading && <span className="text-sm text-gray-600">Loading links...</span>}
-        {error && <span className="text-sm text-red-600">Error loading links</span>}
-        {links.map(link => <a key={link.id} href={link.url} target="_blank" rel="noopener noreferrer" className="group flex items-center px-3 py-1.5 text-sm text-gray-800 font-medium bg-white/30 backdrop-blur-lg border border-gray-300/50 rounded-md shadow-lg transition-all hover:bg-white/50 hover:shadow-xl hover:scale-105">{renderLogo(link)}{link.name}</a>)}
+    <div className="mb-3 p-3 bg-white/40 dark:bg-slate-800/40 border border-gray-300/50 dark:border-slate-600/50 rounded-lg text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-bold text-gray-900 dark:text-slate-100">Columns</h4>
+        <button onClick={() => onChange(DEFAULT_COLUMN_LAYOUT)} className="text-xs text-blue-600 dark:text-blue-400 hover:underline">Reset</button>
       </div>
+      <ul className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-1">
+        {order.map((key, index) => (
+          <li key={key} className="flex items-center justify-between gap-2">
+            <label className="flex items-center gap-2 text-gray-800 dark:text-slate-200">
+              <input type="checkbox" checked={!hidden.has(key)} disabled={COLUMNS_BY_KEY[key].fixed} onChange={() => toggle(key)} />
+              {COLUMNS_BY_KEY[key].label}
+            </label>
+            <span className="flex gap-1 text-gray-600 dark:text-slate-400">
+              <button onClick={() => move(index, -1)} disabled={moveTarget(index, -1) === -1} className="px-1 hover:text-gray-900 dark:hover:text-slate-100 disabled:opacity-30" aria-label={`Move ${COLUMNS_BY_KEY[key].label} left`}>&uarr;</button>
+              <button onClick={() => move(index, 1)} disabled={moveTarget(index, 1) === -1} className="px-1 hover:text-gray-900 dark:hover:text-slate-100 disabled:opacity-30" aria-label={`Move ${COLUMNS_BY_KEY[key].label} right`}>&darr;</button>
+            </span>
+          </li>
+        ))}
+      </ul>
     </div>
   );
 }
 
-// --- FilterControls ---
-function FilterControls({ filterSource, onFilterSourceChange, filterDifficulty, onFilterDifficultyChange, sortConfig, onSortConfigChange }) {
-  const sortOptions = [{ value: "addedAt:desc", label: "Date Added (Newest)" }, { value: "addedAt:asc", label: "Date Added (Oldest)" }, { value: "name:asc", label: "Name (A-Z)" }, { value: "name:desc", label: "Name (Z-A)" }, { value: "rating:desc", label: "Rating (High-Low)" }, { value: "rating:asc", label: "Rating (Low-High)" }, { value: "nextRevisionDate:asc", label: "Revision Date (Soonest)" }, { value: "nextRevisionDate:desc", label: "Revision Date (Latest)" }];
-  const currentSortValue = `${sortConfig.key}:${sortConfig.direction}`;
+// Windowed rendering for long lists inside a scroll container. Rendered items
+// are watched with a ResizeObserver (rows grow when expanded or when tags
+// wrap); unmeasured items use `estimate`. Returns the visible slice plus the
+// spacer heights above and below it, and `scrollToIndex`, which brings an item
+// into view whether or not it is rendered.
+function useVirtualRows(keys, { estimate = 56, overscan = 6 } = {}) {
+  const containerRef = useRef(null);
+  const heights = useRef(new Map());
+  const refCallbacks = useRef(new Map());
+  const observer = useRef(null);
+  const [viewport, setViewport] = useState({ top: 0, height: 600 });
+  const [, setMeasureVersion] = useState(0);
+
+  if (!observer.current && typeof ResizeObserver !== 'undefined') {
+    observer.current = new ResizeObserver(entries => {
+      let changed = false;
+      entries.forEach(({ target }) => {
+        const key = target.dataset.virtualKey;
+        if (heights.current.get(key) !== target.offsetHeight) { heights.current.set(key, target.offsetHeight); changed = true; }
+      });
+      if (changed) setMeasureVersion(v => v + 1);
+    });
+  }
+  useEffect(() => () => observer.current?.disconnect(), []);
+
+  const offsets = [0];
+  keys.forEach(key => offsets.push(offsets[offsets.length - 1] + (heights.current.get(String(key)) ?? estimate)));
+  const total = offsets[offsets.length - 1];
+  const latestOffsets = useRef(offsets);
+  useLayoutEffect(() => { latestOffsets.current = offsets; });
+
+  // First item whose bottom edge is below `y`.
+  const indexAt = (y) => {
+    let lo = 0;
+    let hi = keys.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (offsets[mid + 1] <= y) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  };
+  const start = Math.max(0, indexAt(viewport.top) - overscan);
+  const end = Math.min(keys.length, indexAt(viewport.top + viewport.height) + overscan + 1);
+
+  const onScroll = useCallback(() => {
+    const el = containerRef.current;
+    if (el) setViewport({ top: el.scrollTop, height: el.clientHeight });
+  }, []);
+
+  useEffect(() => {
+    onScroll();
+    window.addEventListener('resize', onScroll);
+    return () => window.removeEventListener('resize', onScroll);
+  }, [onScroll]);
+
+  // Scrolls as little as needed, like scrollIntoView({ block: 'nearest' }).
+  // The container's scroll-padding-top is taken as the sticky header's height.
+  const scrollToIndex = useCallback((index) => {
+    const el = containerRef.current;
+    const rows = latestOffsets.current;
+    if (!el || index < 0 || index >= rows.length - 1) return;
+    const header = parseFloat(getComputedStyle(el).scrollPaddingTop) || 0;
+    if (rows[index] < el.scrollTop) el.scrollTop = rows[index];
+    else if (header + rows[index + 1] > el.scrollTop + el.clientHeight) el.scrollTop = header + rows[index + 1] - el.clientHeight;
+  }, []);
+
+  // One stable ref callback per key, so React doesn't re-attach on every render.
+  const measureRef = (key) => {
+    if (!refCallbacks.current.has(key)) {
+      let element = null;
+      refCallbacks.current.set(key, (el) => {
+        if (element) observer.current?.unobserve(element);
+        element = el;
+        if (el) { el.dataset.virtualKey = key; observer.current?.observe(el); }
+      });
+    }
+    return refCallbacks.current.get(key);
+  };
+
+  return { containerRef, onScroll, measureRef, scrollToIndex, start, end, padTop: offsets[start], padBottom: total - offsets[end] };
+}
+
+// Keeps the keyboard-highlighted row (data-row-id) of a table in view. Only
+// for tables that render every row; virtualized ones use scrollToIndex.
+function useScrollActiveRow(containerRef, activeId) {
+  useEffect(() => {
+    if (activeId == null) return;
+    containerRef.current?.querySelector(`[data-row-id="${activeId}"]`)?.scrollIntoView?.({ block: 'nearest' });
+  }, [containerRef, activeId]);
+}
+
+const activeRowClass = 'outline outline-2 -outline-offset-2 outline-[hsl(var(--accent-hue)_80%_60%)]';
+
+function ProblemList({ problems, columnLayout, sortConfig, onSortChange, onDeleteProblem, onStartEdit, operations, selectedIds, onToggleSelect, onToggleSelectAll, activeId, footer }) {
+  const [expandedIds, setExpandedIds] = useState(() => new Set());
+  const toggleExpanded = (id) => setExpandedIds(ids => {
+    const next = new Set(ids);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+  const hidden = new Set(columnLayout?.hidden || []);
+  const columns = resolveColumnOrder(columnLayout).filter(key => !hidden.has(key) || COLUMNS_BY_KEY[key].fixed).map(key => COLUMNS_BY_KEY[key]);
+  const { containerRef, onScroll, measureRef, scrollToIndex, start, end, padTop, padBottom } = useVirtualRows(problems.map(p => p.id));
+  const activeIndex = activeId == null ? -1 : problems.findIndex(p => p.id === activeId);
+  useEffect(() => scrollToIndex(activeIndex), [activeIndex, scrollToIndex]);
+
+  if (problems.length === 0) return <><div className="text-center text-gray-600 dark:text-slate-400">No matching problems found.</div>{footer}</>;
+
+  const handleSort = (column) => {
+    if (!column.sortKey) return;
+    const direction = sortConfig.key === column.sortKey && sortConfig.direction === 'asc' ? 'desc' : 'asc';
+    onSortChange({ key: column.sortKey, direction });
+  };
+  const columnCount = columns.length + 3;
+  const selectedCount = problems.filter(p => selectedIds.has(p.id)).length;
+  const renderCell = (column, p, isExpanded) => {
+    if (column.key !== 'name') return <td key={column.key} className="px-4 py-3 text-gray-700 dark:text-slate-300">{column.render(p)}</td>;
+    const summary = notesSummary(p.remarks);
+    return <td key={column.key} className="px-4 py-3 text-gray-900 dark:text-slate-100 max-w-sm"><div><a href={p.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-400 hover:underline font-medium">{p.name}</a>{p.submissionLink && <a href={p.submissionLink} target="_blank" rel="noopener noreferrer" className="text-xs ml-2 text-blue-500 dark:text-blue-400 hover:underline">[Submission]</a>}</div><TagChips tags={p.tags} className="mt-1" />{summary && !isExpanded && <p className="text-xs text-gray-600 dark:text-slate-400 mt-1 truncate">{summary}</p>}</td>;
+  };
+
   return (
-    <div className="mb-4 grid grid-cols-1 md:grid-cols-3 gap-3 anim-fade-in-up">
-      <GlassDropdown label="Filter by Source" options={["All", ...PROBLEM_SOURCES]} selectedValue={filterSource} onChange={onFilterSourceChange} />
-      <GlassDropdown label="Filter by Difficulty" options={["All", ...PROBLEM_DIFFICULTIES]} selectedValue={filterDifficulty} onChange={onFilterDifficultyChange} />
-      <GlassDropdown label="Sort by" options={sortOptions} selectedValue={currentSortValue} onChange={(value) => { const [key, direction] = value.split(':'); onSortConfigChange({ key, direction }); }} />
+    <div className="bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl anim-fade-in-up">
+      <div ref={containerRef} onScroll={onScroll} className="overflow-auto max-h-[75vh] rounded-lg scroll-pt-12">
+        <table className="w-full table-auto text-sm">
+          <thead className="bg-gray-100/90 dark:bg-slate-900/90 backdrop-blur sticky top-0 z-10">
+            <tr>
+              <th className="pl-4 py-3 w-8"><input type="checkbox" checked={selectedCount > 0 && selectedCount === problems.length} ref={(el) => { if (el) el.indeterminate = selectedCount > 0 && selectedCount < problems.length; }} onChange={onToggleSelectAll} aria-label="Select all listed problems" /></th>
+              <th className="px-2 py-3" />
+              {columns.map(column => {
+                const isSorted = sortConfig.key === column.sortKey;
+                return (
+                  <th key={column.key} aria-sort={isSorted ? (sortConfig.direction === 'asc' ? 'ascending' : 'descending') : undefined} className="px-4 py-3 text-left text-gray-700 dark:text-slate-300 font-medium whitespace-nowrap">
+                    {column.sortKey ? <button onClick={() => handleSort(column)} className="font-medium hover:text-gray-900 dark:hover:text-slate-100">{column.label}<span className={`ml-1 ${isSorted ? '' : 'opacity-0'}`}>{isSorted && sortConfig.direction === 'desc' ? '▼' : '▲'}</span></button> : column.label}
+                  </th>
+                );
+              })}
+              <th className="px-4 py-3 text-left text-gray-700 dark:text-slate-300 font-medium">Actions</th>
+            </tr>
+          </thead>
+          {padTop > 0 && <tbody aria-hidden="true"><tr style={{ height: padTop }}><td colSpan={columnCount} /></tr></tbody>}
+          {problems.slice(start, end).map((p) => {
+            const isDeleting = operations[`deleteProblem:${p.id}`]?.status === 'pending';
+            const isExpanded = expandedIds.has(p.id);
+            const isSelected = selectedIds.has(p.id);
+            return (
+            <tbody key={p.id} ref={measureRef(p.id)} className="border-t border-gray-300/50 dark:border-slate-600/50">
+            <tr data-row-id={p.id} className={`hover:bg-black/5 dark:hover:bg-white/5 align-top transition-colors hover:shadow-md ${isDeleting ? 'opacity-50' : ''} ${isExpanded || isSelected ? 'bg-black/5 dark:bg-white/5' : ''} ${p.id === activeId ? activeRowClass : ''}`}>
+              <td className="pl-4 py-3"><input type="checkbox" checked={isSelected} onChange={() => {}} onClick={(e) => onToggleSelect(p.id, e.shiftKey)} aria-label={`Select ${p.name}`} /></td>
+              <td className="px-2 py-3"><button onClick={() => toggleExpanded(p.id)} aria-expanded={isExpanded} aria-controls={`problem-details-${p.id}`} title={isExpanded ? "Hide details" : "Show details"} className={`text-gray-600 dark:text-slate-400 hover:text-gray-900 dark:hover:text-slate-100 transition-transform ${isExpanded ? 'rotate-90' : ''}`}>▶</button></td>
+              {columns.map(column => renderCell(column, p, isExpanded))}
+              <td className="px-4 py-3 whitespace-nowrap"><Link to={`/problems/${p.id}`} className="text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 text-xs mr-3 font-medium">Open</Link><button onClick={() => onStartEdit(p.id)} className="text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 text-xs mr-3 font-medium">Edit</button><button onClick={() => onDeleteProblem(p.id)} disabled={isDeleting} className="text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300 text-xs font-medium">{isDeleting ? "Deleting..." : "Delete"}</button></td>
+            </tr>
+            {isExpanded && <tr id={`problem-details-${p.id}`} className="bg-white/20 dark:bg-slate-800/20"><td colSpan={columnCount} className="px-6 py-4"><ProblemDetails problem={p} /></td></tr>}
+            </tbody>
+            );
+          })}
+          {padBottom > 0 && <tbody aria-hidden="true"><tr style={{ height: padBottom }}><td colSpan={columnCount} /></tr></tbody>}
+        </table>
+      </div>
+      {footer}
     </div>
   );
 }
 
-// --- ExportImportControls ---
-function ExportImportControls({ problems, onImportData }) {
-  const handleExport = () => {
-    try { const dataStr = JSON.stringify(problems, null, 2); const blob = new Blob([dataStr], { type: "application/json" }); const url = URL.createObjectURL(blob); const link = document.createElement("a"); link.download = `cp-compendium-backup-${new Date().toISOString().split('T')[0]}.json`; link.href = url; document.body.appendChild(link); link.click(); document.body.removeChild(link); URL.revokeObjectURL(url); } catch (err) { console.error(err); }
+const bulkSelectClass = "bg-white/50 dark:bg-slate-800/50 border border-gray-400/30 dark:border-slate-500/30 rounded-md px-2 py-1 text-sm";
+
+// Batch actions for the selected problems. Each action is a single request.
+function BulkActionBar({ selectedProblems, matchingCount, matchingScope = "matching", onSelectAllMatching, onClear, onUpdate, onDelete, lists, onAddToList, groups, onShareToGroup, allTags, isBusy }) {
+  const [tags, setTags] = useState([]);
+  const [exportFormat, setExportFormat] = useState('json');
+  const count = selectedProblems.length;
+
+  const applyTags = (mode) => {
+    if (tags.length === 0) return;
+    const change = mode === 'add'
+      ? (p) => ({ ...p, tags: normalizeTags([...(p.tags || []), ...tags]) })
+      : (p) => ({ ...p, tags: (p.tags || []).filter(tag => !tags.includes(tag)) });
+    onUpdate(change, `${mode === 'add' ? "Added" : "Removed"} tags on ${count} problems`).then(ok => ok && setTags([]));
   };
-  const handleImport = (event) => {
-    const file = event.target.files[0]; if (!file) return; const reader = new FileReader();
-    reader.onload = (e) => { try { const imported = JSON.parse(e.target.result); if (Array.isArray(imported)) onImportData(imported); } catch (err) { console.error(err); } event.target.value = null; }; reader.readAsText(file);
+  const handleResetSchedule = () => {
+    if (window.confirm(`Reset the revision schedule of ${count} problems? Their review history is kept.`)) onUpdate((p) => ({ ...p, ...resetSchedule() }), `Reset the schedule of ${count} problems`);
+  };
+  const handleExport = () => {
+    const date = getTodayDate();
+    if (exportFormat === 'csv') downloadFile(`cp-compendium-selection-${date}.csv`, problemsToCsv(selectedProblems), "text/csv");
+    else if (exportFormat === 'markdown') downloadFile(`cp-compendium-selection-${date}.md`, problemsToMarkdown(selectedProblems), "text/markdown");
+    else downloadFile(`cp-compendium-selection-${date}.json`, JSON.stringify(selectedProblems, null, 2), "application/json");
   };
+
   return (
-    <div className="mb-4 p-4 bg-white/30 backdrop-blur-xl border border-gray-300/50 rounded-lg shadow-xl grid grid-cols-1 md:grid-cols-2 gap-4 anim-fade-in-up">
-      <div><h4 className="font-bold text-gray-900">Export Data</h4><p className="text-xs text-gray-600 mb-2">Save as JSON.</p><GlassButton onClick={handleExport} className="bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover">Export All Problems</GlassButton></div>
-      <div><h4 className="font-bold text-gray-900">Import Data</h4><p className="text-xs text-gray-600 mb-2">Load JSON.</p><label htmlFor="import-file" className="cursor-pointer px-4 py-1.5 text-sm text-green-800 font-medium bg-green-500/10 backdrop-blur-xl border border-green-500/30 rounded-md shadow-lg transition-all hover:bg-green-500/20 hover:backdrop-blur-2xl hover:shadow-xl inline-block">Import Problems</label><input type="file" id="import-file" accept=".json,application/json" className="hidden" onChange={handleImport} /></div>
+    <div className="mb-3 p-3 bg-white/40 dark:bg-slate-800/40 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-lg text-sm space-y-3 anim-fade-in-up">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="font-medium text-gray-900 dark:text-slate-100">{count} selected</span>
+        {count < matchingCount && <button onClick={onSelectAllMatching} className="text-blue-600 dark:text-blue-400 hover:underline">Select all {matchingCount} {matchingScope}</button>}
+        <button onClick={onClear} className="text-gray-600 dark:text-slate-400 hover:text-gray-900 dark:hover:text-slate-100">Clear selection</button>
+        {isBusy && <span className="text-gray-600 dark:text-slate-400">Working...</span>}
+      </div>
+      <div className="flex flex-wrap items-end gap-3">
+        <select value="" onChange={(e) => onUpdate((p) => ({ ...p, difficulty: e.target.value }), `Set difficulty to ${e.target.value} on ${count} problems`)} disabled={isBusy} className={bulkSelectClass} aria-label="Set difficulty">
+          <option value="" disabled>Set difficulty...</option>
+          {PROBLEM_DIFFICULTIES.map(d => <option key={d} value={d}>{d}</option>)}
+        </select>
+        <select value="" onChange={(e) => onUpdate((p) => ({ ...p, source: e.target.value }), `Set source to ${e.target.value} on ${count} problems`)} disabled={isBusy} className={bulkSelectClass} aria-label="Set source">
+          <option value="" disabled>Set source...</option>
+          {PROBLEM_SOURCES.map(source => <option key={source} value={source}>{source}</option>)}
+        </select>
+        <select value="" onChange={(e) => onUpdate((p) => applyStatusSchedule({ ...p, status: e.target.value }, p), `Marked ${count} problems as ${STATUS_LABELS[e.target.value]}`)} disabled={isBusy} className={bulkSelectClass} aria-label="Set status">
+          <option value="" disabled>Set status...</option>
+          {PROBLEM_STATUSES.map(status => <option key={status.value} value={status.value}>{status.label}</option>)}
+        </select>
+        {lists.length > 0 && (
+          <select value="" onChange={(e) => onAddToList(e.target.value)} disabled={isBusy} className={bulkSelectClass} aria-label="Add to list">
+            <option value="" disabled>Add to list...</option>
+            {lists.map(list => <option key={list.id} value={list.id}>{list.name}</option>)}
+          </select>
+        )}
+        {groups.length > 0 && (
+          <select value="" onChange={(e) => onShareToGroup(e.target.value)} disabled={isBusy} className={bulkSelectClass} aria-label="Share to group">
+            <option value="" disabled>Share to group...</option>
+            {groups.map(group => <option key={group.id} value={group.id}>{group.name}</option>)}
+          </select>
+        )}
+        <div className="w-64"><TagInput id="bulkTags" tags={tags} onChange={setTags} suggestions={allTags} placeholder="Tags..." /></div>
+        <GlassButton onClick={() => applyTags('add')} disabled={isBusy || tags.length === 0}>Add Tags</GlassButton>
+        <GlassButton onClick={() => applyTags('remove')} disabled={isBusy || tags.length === 0}>Remove Tags</GlassButton>
+        <GlassButton onClick={handleResetSchedule} disabled={isBusy}>Reset Schedule</GlassButton>
+        <span className="flex items-center gap-1">
+          <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} className={bulkSelectClass} aria-label="Export format">
+            {EXPORT_FORMATS.filter(f => f.value !== 'backup').map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+          </select>
+          <GlassButton onClick={handleExport}>Export</GlassButton>
+        </span>
+        <GlassButton onClick={onDelete} disabled={isBusy} className="bg-red-500/10 border-red-500/30 text-red-800 dark:text-red-300 hover:bg-red-500/20">Delete {count}</GlassButton>
+      </div>
     </div>
   );
 }
 
-// --- SearchBar ---
-function SearchBar({ searchTerm, onSearchChange }) {
+const PAGE_SIZES = [25, 50, 100, 200];
+
+function PaginationControls({ page, totalPages, totalElements, pageSize, onPageChange, onPageSizeChange, isLoading }) {
   return (
-    <div className="mb-4 anim-fade-in-up">
-      <GlassInput type="text" value={searchTerm} onChange={(e) => onSearchChange(e.target.value)} placeholder="Search by name, source, or difficulty..." />
+    <div className="flex flex-wrap items-center justify-between gap-3 px-4 py-2 border-t border-gray-300/50 dark:border-slate-600/50 text-sm text-gray-700 dark:text-slate-300">
+      <span>{totalElements} problems{isLoading && " · Loading..."}</span>
+      <div className="flex items-center gap-2">
+        <label className="flex items-center gap-1">Per page
+          <select value={pageSize} onChange={(e) => onPageSizeChange(Number(e.target.value))} className="bg-white/50 dark:bg-slate-800/50 border border-gray-400/30 dark:border-slate-500/30 rounded px-1 py-0.5">
+            {PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+          </select>
+        </label>
+        <GlassButton onClick={() => onPageChange(page - 1)} disabled={page === 0 || isLoading} className="px-2">&larr;</GlassButton>
+        <span>Page {totalPages === 0 ? 0 : page + 1} of {totalPages}</span>
+        <GlassButton onClick={() => onPageChange(page + 1)} disabled={page >= totalPages - 1 || isLoading} className="px-2">&rarr;</GlassButton>
+      </div>
     </div>
   );
 }
 
-// --- RevisionList ---
-function RevisionList({ problems, onMarkAsRevised }) {
-  const today = getTodayDate();
-  const revisionProblems = problems
-    .filter(p => p.nextRevisionDate && p.nextRevisionDate <= today)
-    .sort((a, b) => new Date(a.nextRevisionDate) - new Date(b.nextRevisionDate));
+// --- DuplicateFinder ---
+// Groups of problems that point at the same judge problem. Each group is
+// merged into the copy picked to keep (the oldest by default).
+function DuplicateFinder({ problems, onMerge, onClose, operations }) {
+  const groups = useMemo(() => findDuplicateGroups(problems), [problems]);
+  const [keepIds, setKeepIds] = useState({});
+  return (
+    <div className="mb-3 p-3 bg-white/40 dark:bg-slate-800/40 border border-gray-300/50 dark:border-slate-600/50 rounded-lg text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-bold text-gray-900 dark:text-slate-100">Possible Duplicates</h4>
+        <button onClick={onClose} className="text-gray-500 dark:text-slate-500 hover:text-gray-800 dark:hover:text-slate-200">Close</button>
+      </div>
+      {groups.length === 0 && <p className="text-gray-600 dark:text-slate-400">No duplicates found.</p>}
+      <div className="space-y-3">
+        {groups.map(group => {
+          const groupId = group[0].id;
+          const keepId = keepIds[groupId] ?? groupId;
+          const isMerging = operations[`mergeDuplicates:${keepId}`]?.status === 'pending';
+          return (
+            <div key={groupId} className="p-2 bg-white/40 dark:bg-slate-800/40 rounded-md">
+              <ul className="space-y-1">
+                {group.map(p => (
+                  <li key={p.id} className="flex items-center gap-2">
+                    <input type="radio" name={`keep-${groupId}`} checked={p.id === keepId} onChange={() => setKeepIds(k => ({ ...k, [groupId]: p.id }))} aria-label={`Keep ${p.name}`} />
+                    <Link to={`/problems/${p.id}`} className="font-medium text-gray-900 dark:text-slate-100 hover:underline">{p.name}</Link>
+                    <span className="text-xs text-gray-600 dark:text-slate-400 truncate">{p.url}</span>
+                    <span className="ml-auto text-xs text-gray-600 dark:text-slate-400 whitespace-nowrap">{p.addedAt ? new Date(p.addedAt).toLocaleDateString() : '-'} · {reviewCount(p)} reviews</span>
+                  </li>
+                ))}
+              </ul>
+              <GlassButton onClick={() => onMerge(group, keepId)} disabled={isMerging} className="mt-2">{isMerging ? "Merging..." : `Merge ${group.length} into selected`}</GlassButton>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// --- ProblemDetailPage ---
+const GRADE_LABELS = Object.fromEntries(REVIEW_GRADES.map(grade => [grade.value, grade.label]));
+const OUTCOME_LABELS = Object.fromEntries(REVIEW_OUTCOMES.map(outcome => [outcome.value, outcome.label]));
+const OUTCOME_DOT_STYLES = { solved: 'bg-green-500', hints: 'bg-yellow-500', failed: 'bg-red-500' };
+
+function RevisionTimeline({ history }) {
+  if (history.length === 0) return <p className="text-sm text-gray-500 dark:text-slate-500">Not reviewed yet.</p>;
+  return (
+    <ol className="relative border-l border-gray-400/40 dark:border-slate-500/50 ml-1.5 space-y-4">
+      {[...history].reverse().map((entry, i) => (
+        <li key={history.length - i} className="ml-4">
+          <span className={`absolute -left-1.5 mt-1 w-3 h-3 rounded-full border-2 border-white ${OUTCOME_DOT_STYLES[entry.outcome] || 'bg-gray-400'}`} />
+          <div className="text-xs text-gray-600 dark:text-slate-400">{new Date(entry.date).toLocaleString()}</div>
+          <div className="text-sm text-gray-900 dark:text-slate-100">
+            <span className="font-medium">{OUTCOME_LABELS[entry.outcome] || "Reviewed"}</span>
+            <span className="text-gray-600 dark:text-slate-400"> · {GRADE_LABELS[entry.grade] || entry.grade}{entry.timeTakenSeconds ? ` · ${formatDuration(entry.timeTakenSeconds)}` : ''}</span>
+          </div>
+          {entry.note && <p className="text-xs text-gray-700 dark:text-slate-300 mt-0.5 whitespace-pre-wrap">{entry.note}</p>}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// The lists a problem belongs to, with a picker for adding it to another one.
+function ListMembership({ problem, lists, onUpdateList }) {
+  if (lists.length === 0) return null;
+  const memberOf = lists.filter(list => list.problemIds.includes(problem.id));
+  const others = lists.filter(list => !memberOf.includes(list));
+  const handleAdd = (listId) => {
+    const list = others.find(l => String(l.id) === listId);
+    if (list) onUpdateList({ ...list, problemIds: [...list.problemIds, problem.id] });
+  };
+  return (
+    <div className="mt-3 flex flex-wrap items-center gap-2 text-xs">
+      <span className="text-gray-600 dark:text-slate-400">Lists:</span>
+      {memberOf.length === 0 && <span className="text-gray-500 dark:text-slate-500">none</span>}
+      {memberOf.map(list => <Link key={list.id} to={`/lists/${list.id}`} className="px-2 py-0.5 rounded-full bg-black/5 dark:bg-white/5 text-gray-800 dark:text-slate-200 hover:bg-black/10 dark:hover:bg-white/10">{list.name}</Link>)}
+      {others.length > 0 && (
+        <select value="" onChange={(e) => handleAdd(e.target.value)} className="bg-white/50 dark:bg-slate-800/50 border border-gray-400/30 dark:border-slate-500/30 rounded-md px-1 py-0.5" aria-label="Add to list">
+          <option value="" disabled>Add to list...</option>
+          {others.map(list => <option key={list.id} value={list.id}>{list.name}</option>)}
+        </select>
+      )}
+    </div>
+  );
+}
+
+function ProblemDetailPage({ problems, lists, contests, isLoading, isEditing, allTags, listPath, onUpdateProblem, onDeleteProblem, onMarkAsRevised, onUndoRevision, onUpdateList, operations }) {
+  const { problemId } = useParams();
+  const navigate = useNavigate();
+  const problem = problems.find(p => String(p.id) === problemId);
+
+  if (!problem) {
+    return (
+      <div className="p-8 text-center text-gray-600 dark:text-slate-400 anim-fade-in-up">
+        {isLoading ? "Loading..." : <>Problem not found. <Link to={listPath} className="text-blue-600 dark:text-blue-400 underline">Back to the list</Link></>}
+      </div>
+    );
+  }
+
+  const detailPath = `/problems/${problem.id}`;
+  const handleUpdate = async (updated) => {
+    const saved = await onUpdateProblem(updated);
+    if (saved) navigate(detailPath);
+    return saved;
+  };
+  const handleDelete = async () => {
+    if (await onDeleteProblem(problem.id)) navigate(listPath);
+  };
+
+  const history = problem.revisionHistory || [];
+  const contest = problem.contestId != null && contests.find(c => c.id === problem.contestId);
+  const isDue = problem.nextRevisionDate && problem.nextRevisionDate <= getTodayDate();
+  const isDeleting = operations[`deleteProblem:${problem.id}`]?.status === 'pending';
+  return (
+    <div className="anim-fade-in-up">
+      <Link to={listPath} className="text-sm text-blue-600 dark:text-blue-400 hover:underline">&larr; All problems</Link>
+      {isEditing ? (
+        <div className="mt-4"><ProblemForm problemToEdit={problem} allTags={allTags} existingProblems={problems} onSubmit={handleUpdate} onCancel={() => navigate(detailPath)} isSubmitting={operations[`updateProblem:${problem.id}`]?.status === 'pending'} /></div>
+      ) : (
+        <div className="mt-4 mb-6 p-6 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl">
+          <div className="flex flex-wrap items-start justify-between gap-3">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900 dark:text-slate-100">{problem.name}</h2>
+              <p className="text-sm text-gray-600 dark:text-slate-400 mt-1"><StatusBadge problem={problem} /> {[problem.source, problem.difficulty, problem.rating && `Rating ${problem.rating}`, problem.externalId].filter(Boolean).join(' · ')}</p>
+              <TagChips tags={problem.tags} className="mt-2" />
+              <ListMembership problem={problem} lists={lists} onUpdateList={onUpdateList} />
+              {contest && <p className="mt-2 text-xs text-gray-600 dark:text-slate-400">From <Link to={`/contests/${contest.id}`} className="text-blue-600 dark:text-blue-400 hover:underline">{contest.name}</Link> · {CONTEST_RESULT_LABELS[problem.contestResult] || "Linked"}</p>}
+            </div>
+            <div className="flex gap-2">
+              <GlassButton onClick={() => navigate(`${detailPath}/edit`)}>Edit</GlassButton>
+              <GlassButton onClick={handleDelete} disabled={isDeleting} className="bg-red-500/10 border-red-500/30 text-red-800 dark:text-red-300 hover:bg-red-500/20">{isDeleting ? "Deleting..." : "Delete"}</GlassButton>
+            </div>
+          </div>
+          <div className="mt-3 flex flex-wrap gap-4 text-sm">
+            <a href={problem.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-400 hover:underline">Open problem</a>
+            {problem.submissionLink && <a href={problem.submissionLink} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-400 hover:underline">View submission</a>}
+          </div>
+        </div>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <section className="md:col-span-2 p-6 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl">
+          <h3 className="text-lg font-bold text-gray-900 dark:text-slate-100 mb-3">Notes</h3>
+          {problem.remarks?.trim() ? <MarkdownView text={problem.remarks} /> : <p className="text-sm text-gray-500 dark:text-slate-500">No notes yet.</p>}
+        </section>
+        <section className="p-6 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl">
+          <h3 className="text-lg font-bold text-gray-900 dark:text-slate-100 mb-3">Revision</h3>
+          <p className="text-sm text-gray-700 dark:text-slate-300">{problem.nextRevisionDate ? <>Next review on <span className="font-medium">{problem.nextRevisionDate}</span>{problem.intervalDays ? ` (every ${formatInterval(problem.intervalDays)})` : ''}</> : "No review scheduled."}</p>
+          {isDue && <div className="mt-3"><ReviewControls problem={problem} onReview={onMarkAsRevised} /></div>}
+          <div className="flex items-center justify-between mt-5 mb-2">
+            <h4 className="font-semibold text-gray-800 dark:text-slate-200 text-sm">History ({history.length})</h4>
+            {canUndoLastReview(problem) && <button onClick={() => onUndoRevision(problem.id)} disabled={operations[`updateProblem:${problem.id}`]?.status === 'pending'} className="text-xs text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50">Undo last revision</button>}
+          </div>
+          <RevisionTimeline history={history} />
+        </section>
+      </div>
+    </div>
+  );
+}
+
+// --- QuickLinksBar ---
+function QuickLinksBar({ links, status, onRetry }) {
+  const renderLink = (link) => <a key={link.id} href={link.url} target="_blank" rel="noopener noreferrer" className="group flex items-center px-3 py-1.5 text-sm text-gray-800 dark:text-slate-200 font-medium bg-white/30 dark:bg-slate-800/30 backdrop-blur-lg border border-gray-300/50 dark:border-slate-600/50 rounded-md shadow-lg transition-all hover:bg-white/50 dark:hover:bg-slate-800/50 hover:shadow-xl hover:scale-105"><LinkLogo link={link} />{link.name}</a>;
+  return (
+    <div className="mb-6 p-4 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl anim-fade-in-up">
+      <div className="flex flex-wrap items-center gap-3">
+        {status?.status === 'pending' && <span className="text-sm text-gray-600 dark:text-slate-400">Loading links...</span>}
+        {status?.status === 'error' && <span className="text-sm text-red-600 dark:text-red-400">Couldn't load links. <button onClick={onRetry} className="underline font-medium">Retry</button></span>}
+        {groupLinks(links).map(group => group.name ? (
+          <div key={group.name} role="group" aria-label={group.name} className="flex flex-wrap items-center gap-2 pl-3 border-l border-gray-400/40 dark:border-slate-500/50">
+            <span className="text-xs font-semibold uppercase tracking-wide text-gray-600 dark:text-slate-400">{group.name}</span>
+            {group.links.map(renderLink)}
+          </div>
+        ) : group.links.map(renderLink))}
+      </div>
+    </div>
+  );
+}
+
+// --- Keyboard Shortcuts & Command Palette ---
+function ShortcutHelp({ onClose }) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/20" onMouseDown={(e) => e.target === e.currentTarget && onClose()} onKeyDown={(e) => e.key === 'Escape' && onClose()}>
+      <div role="dialog" aria-modal="true" aria-labelledby="shortcut-help-title" className="w-full max-w-md mx-4 p-5 bg-white/80 dark:bg-slate-800/80 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-2xl anim-fade-in-up">
+        <div className="flex items-center justify-between mb-3">
+          <h3 id="shortcut-help-title" className="text-lg font-bold text-gray-900 dark:text-slate-100">Keyboard Shortcuts</h3>
+          <button autoFocus onClick={onClose} className="text-sm text-gray-500 dark:text-slate-500 hover:text-gray-800 dark:hover:text-slate-200">Close</button>
+        </div>
+        <table className="w-full text-sm">
+          <tbody>{SHORTCUTS.map(shortcut => <tr key={shortcut.key}><td className="py-1 pr-4"><kbd className="px-1.5 py-0.5 rounded border border-gray-400/50 dark:border-slate-500/50 bg-white/60 dark:bg-slate-800/60 font-mono text-xs">{shortcut.key}</kbd></td><td className="py-1 text-gray-700 dark:text-slate-300">{shortcut.description}</td></tr>)}</tbody>
+        </table>
+        <p className="mt-3 text-xs text-gray-600 dark:text-slate-400">Dropdowns open with the arrow keys and jump to an option as you type.</p>
+      </div>
+    </div>
+  );
+}
+
+// Fuzzy-finds commands ({ id, label, group, keywords?, run }). Focus returns
+// to where it was when the palette closes.
+function CommandPalette({ commands, onClose }) {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const id = useId();
+  const results = rankCommands(commands, query);
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    return () => previous?.focus?.();
+  }, []);
+
+  const run = (command) => {
+    onClose();
+    command.run();
+  };
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(i => Math.max(0, Math.min(results.length - 1, i + (e.key === 'ArrowDown' ? 1 : -1))));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[activeIndex]) run(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center pt-[15vh] bg-black/20" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div role="dialog" aria-modal="true" aria-label="Command palette" className="w-full max-w-lg mx-4 bg-white/80 dark:bg-slate-800/80 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-2xl overflow-hidden anim-fade-in-up">
+        <input
+          autoFocus
+          value={query}
+          onChange={(e) => { setQuery(e.target.value); setActiveIndex(0); }}
+          onKeyDown={handleKeyDown}
+          placeholder="Search problems, quick links and actions..."
+          role="combobox"
+          aria-label="Command"
+          aria-autocomplete="list"
+          aria-expanded="true"
+          aria-controls={`${id}-results`}
+          aria-activedescendant={results[activeIndex] ? `${id}-result-${activeIndex}` : undefined}
+          className="w-full px-4 py-3 bg-transparent border-b border-gray-300/50 dark:border-slate-600/50 text-gray-900 dark:text-slate-100 placeholder:text-gray-500 focus:outline-none"
+        />
+        <ul id={`${id}-results`} role="listbox" aria-label="Results" className="max-h-80 overflow-y-auto py-1">
+          {results.length === 0 && <li className="px-4 py-2 text-sm text-gray-600 dark:text-slate-400">No matches.</li>}
+          {results.map((command, index) => (
+            <li key={command.id} id={`${id}-result-${index}`} role="option" aria-selected={index === activeIndex} onMouseMove={() => setActiveIndex(index)} onClick={() => run(command)} className={`px-4 py-2 flex items-center justify-between gap-3 text-sm cursor-pointer ${index === activeIndex ? 'bg-black/10 dark:bg-white/10' : ''}`}>
+              <span className="text-gray-900 dark:text-slate-100 truncate">{command.label}</span>
+              <span className="text-xs text-gray-500 dark:text-slate-500 whitespace-nowrap">{command.group}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+// --- FilterControls ---
+function FilterControls({ filterSource, onFilterSourceChange, filterDifficulty, onFilterDifficultyChange, filterTags, onFilterTagsChange, tagMatchMode, onTagMatchModeChange, allTags, sortConfig, onSortConfigChange }) {
+  const sortOptions = [{ value: "addedAt:desc", label: "Date Added (Newest)" }, { value: "addedAt:asc", label: "Date Added (Oldest)" }, { value: "name:asc", label: "Name (A-Z)" }, { value: "name:desc", label: "Name (Z-A)" }, { value: "rating:desc", label: "Rating (High-Low)" }, { value: "rating:asc", label: "Rating (Low-High)" }, { value: "nextRevisionDate:asc", label: "Revision Date (Soonest)" }, { value: "nextRevisionDate:desc", label: "Revision Date (Latest)" }, { value: "source:asc", label: "Source (A-Z)" }, { value: "source:desc", label: "Source (Z-A)" }, { value: "difficulty:asc", label: "Difficulty (Easy-Hard)" }, { value: "difficulty:desc", label: "Difficulty (Hard-Easy)" }, { value: "revisionLevel:desc", label: "Revision Level (High-Low)" }, { value: "revisionLevel:asc", label: "Revision Level (Low-High)" }];
+  const currentSortValue = `${sortConfig.key}:${sortConfig.direction}`;
+  return (
+    <div className="mb-4 grid grid-cols-1 md:grid-cols-3 gap-3 anim-fade-in-up">
+      <GlassDropdown label="Filter by Source" options={["All", ...PROBLEM_SOURCES]} selectedValue={filterSource} onChange={onFilterSourceChange} />
+      <GlassDropdown label="Filter by Difficulty" options={["All", ...PROBLEM_DIFFICULTIES]} selectedValue={filterDifficulty} onChange={onFilterDifficultyChange} />
+      <GlassDropdown label="Sort by" options={sortOptions} selectedValue={currentSortValue} onChange={(value) => { const [key, direction] = value.split(':'); onSortConfigChange({ key, direction }); }} />
+      <div className="md:col-span-2"><TagInput label="Filter by Tags" id="filterTags" tags={filterTags} onChange={onFilterTagsChange} suggestions={allTags} allowNew={false} placeholder="Pick tags..." /></div>
+      <GlassDropdown label="Tag Match" options={[{ value: 'any', label: "Any selected tag" }, { value: 'all', label: "All selected tags" }]} selectedValue={tagMatchMode} onChange={onTagMatchModeChange} />
+    </div>
+  );
+}
+
+// --- ExportImportControls ---
+const EXPORT_FORMATS = [
+  { value: 'json', label: "JSON" },
+  { value: 'csv', label: "CSV" },
+  { value: 'markdown', label: "Markdown Table" },
+  { value: 'backup', label: "Full Backup (problems, links & settings)" },
+];
+
+function downloadFile(fileName, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.download = fileName;
+  link.href = url;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+function readFileAsText(event, onText) {
+  const file = event.target.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = (e) => { onText(file.name, e.target.result); event.target.value = null; };
+  reader.readAsText(file);
+}
+
+const fileLabelClass = "cursor-pointer px-4 py-1.5 text-sm text-green-800 dark:text-green-300 font-medium bg-green-500/10 backdrop-blur-xl border border-green-500/30 rounded-md shadow-lg transition-all hover:bg-green-500/20 hover:backdrop-blur-2xl hover:shadow-xl inline-block";
+
+function CsvColumnMapper({ headers, mapping, onMappingChange, onContinue, onCancel }) {
+  const columnOptions = [{ value: '', label: "— Ignore —" }, ...headers.map(h => ({ value: h, label: h }))];
+  return (
+    <div className="mt-4 p-4 bg-black/5 dark:bg-white/5 rounded-lg">
+      <h4 className="font-bold text-gray-900 dark:text-slate-100">Map CSV Columns</h4>
+      <p className="text-xs text-gray-600 dark:text-slate-400 mb-3">Choose which column holds each field. Name and URL are required.</p>
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+        {EXPORT_FIELDS.map(field => (
+          <GlassDropdown key={field.key} label={field.label} options={columnOptions} selectedValue={mapping[field.key]} onChange={(value) => onMappingChange({ ...mapping, [field.key]: value })} />
+        ))}
+      </div>
+      <div className="mt-4 flex gap-3">
+        <GlassButton onClick={onContinue} disabled={!mapping.name || !mapping.url} className="bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover">Preview Import</GlassButton>
+        <GlassButton onClick={onCancel}>Cancel</GlassButton>
+      </div>
+    </div>
+  );
+}
+
+const DUPLICATE_ACTIONS = [
+  { value: 'skip', label: "Skip" },
+  { value: 'overwrite', label: "Overwrite" },
+  { value: 'merge', label: "Merge" },
+];
+
+function ImportPreview({ pendingImport, existingProblems, onConfirm, onCancel, isImporting }) {
+  const [defaultAction, setDefaultAction] = useState('skip');
+  const [rowActions, setRowActions] = useState({});
+  const [restoreSettings, setRestoreSettings] = useState(true);
+  const rows = buildImportPreview(pendingImport.problems, existingProblems);
+  const actionFor = (row) => rowActions[row.index] || defaultAction;
+
+  const valid = rows.filter(row => row.errors.length === 0 && !row.duplicateInFile);
+  const fresh = valid.filter(row => !row.duplicateOf);
+  const duplicates = valid.filter(row => row.duplicateOf);
+  const skipped = rows.length - valid.length + duplicates.filter(row => actionFor(row) === 'skip').length;
+
+  const handleConfirm = () => {
+    const updates = duplicates.filter(row => actionFor(row) !== 'skip').map(row => (
+      actionFor(row) === 'merge' ? mergeProblems(row.duplicateOf, row.problem) : overwriteProblem(row.duplicateOf, row.problem)
+    ));
+    onConfirm({
+      creates: fresh.map(row => row.problem),
+      updates,
+      links: pendingImport.links || [],
+      settings: restoreSettings ? pendingImport.settings : null,
+    });
+  };
+
+  const statusOf = (row) => {
+    if (row.errors.length > 0) return <span className="text-red-700 dark:text-red-300">{row.errors.join(', ')}</span>;
+    if (row.duplicateInFile) return <span className="text-gray-600 dark:text-slate-400">Repeated in file (skipped)</span>;
+    if (row.duplicateOf) return <span className="text-yellow-800 dark:text-amber-300">Already exists</span>;
+    return <span className="text-green-700 dark:text-green-300">New</span>;
+  };
+
+  return (
+    <div className="mt-4 p-4 bg-black/5 dark:bg-white/5 rounded-lg">
+      <div className="flex flex-wrap items-end justify-between gap-3 mb-3">
+        <div>
+          <h4 className="font-bold text-gray-900 dark:text-slate-100">Import Preview — {pendingImport.fileName}</h4>
+          <p className="text-xs text-gray-600 dark:text-slate-400">{fresh.length} new, {duplicates.length} duplicates, {rows.length - valid.length} invalid or repeated. {skipped} will be skipped.</p>
+        </div>
+        {duplicates.length > 0 && <div className="w-48"><GlassDropdown label="For duplicates" options={DUPLICATE_ACTIONS} selectedValue={defaultAction} onChange={(value) => { setDefaultAction(value); setRowActions({}); }} /></div>}
+      </div>
+      <div className="max-h-80 overflow-y-auto">
+        <table className="w-full table-auto text-xs">
+          <thead className="bg-black/5 dark:bg-white/5 sticky top-0"><tr>{['#', 'Name', 'Source', 'Status', 'Action'].map(h => <th key={h} className="px-2 py-1.5 text-left text-gray-700 dark:text-slate-300 font-medium">{h}</th>)}</tr></thead>
+          <tbody className="divide-y divide-gray-300/50 dark:divide-slate-600/50">
+            {rows.map(row => (
+              <tr key={row.index} className="align-top">
+                <td className="px-2 py-1.5 text-gray-600 dark:text-slate-400">{row.index + 1}</td>
+                <td className="px-2 py-1.5 text-gray-900 dark:text-slate-100 max-w-xs truncate" title={row.problem.url}>{row.problem.name || <em className="text-gray-500 dark:text-slate-500">(no name)</em>}</td>
+                <td className="px-2 py-1.5 text-gray-700 dark:text-slate-300">{row.problem.source}</td>
+                <td className="px-2 py-1.5">{statusOf(row)}</td>
+                <td className="px-2 py-1.5">
+                  {row.duplicateOf && !row.duplicateInFile && row.errors.length === 0 && (
+                    <select value={actionFor(row)} onChange={(e) => setRowActions(a => ({ ...a, [row.index]: e.target.value }))} className="bg-white/50 dark:bg-slate-800/50 border border-gray-400/30 dark:border-slate-500/30 rounded px-1 py-0.5">
+                      {DUPLICATE_ACTIONS.map(action => <option key={action.value} value={action.value}>{action.label}</option>)}
+                    </select>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {(pendingImport.links?.length > 0 || pendingImport.settings) && (
+        <div className="mt-3 text-xs text-gray-700 dark:text-slate-300 space-y-2">
+          {pendingImport.links?.length > 0 && <p>{pendingImport.links.length} quick links will be added (links already present are skipped).</p>}
+          {pendingImport.settings && <GlassToggle label="Restore greeting and appearance settings" enabled={restoreSettings} setEnabled={setRestoreSettings} />}
+        </div>
+      )}
+      <div className="mt-4 flex gap-3">
+        <GlassButton onClick={handleConfirm} disabled={isImporting} className="bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover">{isImporting ? "Importing..." : "Import"}</GlassButton>
+        <GlassButton onClick={onCancel}>Cancel</GlassButton>
+      </div>
+    </div>
+  );
+}
+
+function ExportImportControls({ problems, visibleProblems, links, settings, onCommitImport, isImporting = false }) {
+  const [exportFormat, setExportFormat] = useState('json');
+  const [exportScope, setExportScope] = useState('all');
+  // { fileName, csv?: { headers, rows, mapping }, problems?, links?, settings? }
+  const [pendingImport, setPendingImport] = useState(null);
+
+  const handleExport = () => {
+    const selected = exportScope === 'filtered' ? visibleProblems : problems;
+    const date = getTodayDate();
+    try {
+      if (exportFormat === 'csv') downloadFile(`cp-compendium-problems-${date}.csv`, problemsToCsv(selected), "text/csv");
+      else if (exportFormat === 'markdown') downloadFile(`cp-compendium-problems-${date}.md`, problemsToMarkdown(selected), "text/markdown");
+      else if (exportFormat === 'backup') downloadFile(`cp-compendium-backup-${date}.json`, JSON.stringify(createBackupBundle({ problems, links, settings }), null, 2), "application/json");
+      else downloadFile(`cp-compendium-problems-${date}.json`, JSON.stringify(selected, null, 2), "application/json");
+    } catch (err) { notify(`Export failed: ${err.message}`); }
+  };
+
+  const handleImport = (event) => readFileAsText(event, (fileName, text) => {
+    try {
+      const parsed = parseImportFile(fileName, text);
+      if (parsed.kind === 'csv') setPendingImport({ fileName, csv: { headers: parsed.headers, rows: parsed.rows, mapping: guessColumnMapping(parsed.headers) } });
+      else setPendingImport({ fileName, problems: parsed.problems, links: parsed.links, settings: parsed.settings });
+    } catch (err) { notify(`Import failed: ${err.message}`); }
+  });
+
+  const handleImportSubmissions = (event) => readFileAsText(event, (fileName, text) => {
+    try {
+      const { platform, problems: parsed, skipped } = importSubmissionHistory(fileName, text);
+      if (skipped > 0) notify(`Skipped ${skipped} ${platform} problem${skipped === 1 ? '' : 's'} with no contest to link to.`, { type: 'info' });
+      if (parsed.length === 0) notify(`No accepted ${platform} submissions found in ${fileName}.`, { type: 'info' });
+      else setPendingImport({ fileName, problems: parsed });
+    } catch (err) { notify(`Import failed: ${err.message}`); }
+  });
+
+  const handleConfirmImport = async (plan) => {
+    if (await onCommitImport(plan)) setPendingImport(null);
+  };
+
+  const isFiltered = visibleProblems.length !== problems.length;
+  return (
+    <div className="mb-4 p-4 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl anim-fade-in-up">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <h4 className="font-bold text-gray-900 dark:text-slate-100">Export Data</h4>
+          <GlassDropdown label="Format" options={EXPORT_FORMATS} selectedValue={exportFormat} onChange={setExportFormat} />
+          {exportFormat !== 'backup' && <GlassDropdown label="Problems" options={[{ value: 'all', label: `All (${problems.length})` }, { value: 'filtered', label: `Current filter (${visibleProblems.length})` }]} selectedValue={isFiltered ? exportScope : 'all'} onChange={setExportScope} />}
+          <GlassButton onClick={handleExport} className="bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover">Export</GlassButton>
+        </div>
+        <div><h4 className="font-bold text-gray-900 dark:text-slate-100">Import Data</h4><p className="text-xs text-gray-600 dark:text-slate-400 mb-2">JSON backup or CSV. You can review everything before it is saved.</p><label htmlFor="import-file" className={fileLabelClass}>Import Problems</label><input type="file" id="import-file" accept=".json,.csv,application/json,text/csv" className="hidden" onChange={handleImport} disabled={isImporting} /></div>
+        <div><h4 className="font-bold text-gray-900 dark:text-slate-100">Import Submissions</h4><p className="text-xs text-gray-600 dark:text-slate-400 mb-2">Codeforces API JSON, AtCoder Problems JSON or LeetCode CSV.</p><label htmlFor="import-submissions-file" className={fileLabelClass}>Import History</label><input type="file" id="import-submissions-file" accept=".json,.csv,application/json,text/csv" className="hidden" onChange={handleImportSubmissions} disabled={isImporting} /></div>
+      </div>
+      {pendingImport?.csv && !pendingImport.problems && (
+        <CsvColumnMapper
+          headers={pendingImport.csv.headers}
+          mapping={pendingImport.csv.mapping}
+          onMappingChange={(mapping) => setPendingImport(pi => ({ ...pi, csv: { ...pi.csv, mapping } }))}
+          onContinue={() => setPendingImport(pi => ({ ...pi, problems: csvRowsToProblems(pi.csv.headers, pi.csv.rows, pi.csv.mapping) }))}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
+      {pendingImport?.problems && (
+        <ImportPreview key={pendingImport.fileName} pendingImport={pendingImport} existingProblems={problems} onConfirm={handleConfirmImport} onCancel={() => setPendingImport(null)} isImporting={isImporting} />
+      )}
+    </div>
+  );
+}
+
+// --- SearchBar ---
+const SEARCH_SYNTAX_HELP = [
+  ['segment tree', "Any field contains it, or the name fuzzily matches"],
+  ['"segment tree"', "Exact phrase"],
+  ['-easy', "Exclude matches (works with every term)"],
+  ['source:codeforces', "Field match: name, source, difficulty (diff), status, tag, url, notes, id"],
+  ['rating:>=1600', "Compare numbers with > >= < <= = or a range like rating:1600..1900 (also reviews:)"],
+  ['due:overdue', "today, overdue, week, none or any"],
+  ['added:>=2024-01-01', "Compare dates (also next: for the next revision date)"],
+];
+
+function SearchBar({ searchTerm, onSearchChange, errors = [], presets, activePresetId, onSavePreset, onApplyPreset, onDeletePreset }) {
+  const [showHelp, setShowHelp] = useState(false);
+  const [presetName, setPresetName] = useState(null);
+
+  const handleSavePreset = (e) => {
+    e.preventDefault();
+    if (!presetName.trim()) return;
+    onSavePreset(presetName.trim());
+    setPresetName(null);
+  };
+
+  return (
+    <div className="mb-4 anim-fade-in-up">
+      <div className="flex gap-2">
+        <div className="flex-1"><GlassInput id="problemSearch" type="text" value={searchTerm} onChange={(e) => onSearchChange(e.target.value)} placeholder='Search, e.g. rating:>=1600 source:codeforces due:overdue "segment tree" -easy' aria-label="Search problems" /></div>
+        <GlassButton onClick={() => setShowHelp(h => !h)} className="mt-1">Syntax</GlassButton>
+      </div>
+      {errors.length > 0 && <p className="mt-1 text-xs text-red-700 dark:text-red-300">{errors.join(' · ')}</p>}
+      {showHelp && (
+        <table className="mt-2 text-xs bg-white/40 dark:bg-slate-800/40 rounded-md">
+          <tbody>{SEARCH_SYNTAX_HELP.map(([example, description]) => <tr key={example}><td className="px-3 py-1 font-mono text-gray-900 dark:text-slate-100 whitespace-nowrap">{example}</td><td className="px-3 py-1 text-gray-700 dark:text-slate-300">{description}</td></tr>)}</tbody>
+        </table>
+      )}
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+        {presets.map(preset => (
+          <span key={preset.id} className="inline-flex items-center gap-1 pl-2.5 pr-1.5 py-0.5 rounded-full border bg-white/40 dark:bg-slate-800/40 border-gray-300/50 dark:border-slate-600/50 text-gray-800 dark:text-slate-200" style={preset.id === activePresetId ? { backgroundColor: 'hsl(var(--accent-hue) 80% 60% / 0.15)', borderColor: 'hsl(var(--accent-hue) 80% 60% / 0.4)', color: 'hsl(var(--accent-hue) 80% var(--accent-text-l))' } : undefined}>
+            <button onClick={() => onApplyPreset(preset)} className="font-medium">{preset.name}</button>
+            <button onClick={() => onDeletePreset(preset.id)} className="opacity-50 hover:opacity-100" aria-label={`Delete preset ${preset.name}`}>&times;</button>
+          </span>
+        ))}
+        {presetName === null ? (
+          <button onClick={() => setPresetName('')} className="text-blue-600 dark:text-blue-400 hover:underline">+ Save this view</button>
+        ) : (
+          <form onSubmit={handleSavePreset} className="inline-flex items-center gap-2">
+            <input autoFocus value={presetName} onChange={(e) => setPresetName(e.target.value)} onKeyDown={(e) => e.key === 'Escape' && setPresetName(null)} placeholder="Preset name" className="px-2 py-0.5 border border-gray-400/30 dark:border-slate-500/30 bg-white/50 dark:bg-slate-800/50 rounded-md" />
+            <button type="submit" className="text-blue-600 dark:text-blue-400 font-medium">Save</button>
+            <button type="button" onClick={() => setPresetName(null)} className="text-gray-600 dark:text-slate-400">Cancel</button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// --- RevisionList ---
+const GRADE_BUTTON_STYLES = {
+  again: 'bg-red-500/10 border-red-500/30 text-red-800 dark:text-red-300 hover:bg-red-500/20',
+  hard: 'bg-orange-500/10 border-orange-500/30 text-orange-800 dark:text-orange-300 hover:bg-orange-500/20',
+  good: 'bg-green-500/10 border-green-500/30 text-green-800 dark:text-green-300 hover:bg-green-500/20',
+  easy: 'bg-blue-500/10 border-blue-500/30 text-blue-800 dark:text-blue-300 hover:bg-blue-500/20',
+};
+
+function GradeButtons({ problem, onGrade }) {
+  return (
+    <div className="flex flex-wrap justify-center gap-1">
+      {REVIEW_GRADES.map(grade => (
+        <GlassButton
+          key={grade.value}
+          onClick={() => onGrade(grade.value)}
+          className={`${GRADE_BUTTON_STYLES[grade.value]} text-xs px-2`}
+        >
+          {grade.label} <span className="opacity-60">{formatInterval(scheduleReview(problem, grade.value).intervalDays)}</span>
+        </GlassButton>
+      ))}
+    </div>
+  );
+}
+
+// Outcome, time taken and a note for the review, submitted by picking a grade.
+// When `timeTakenSeconds` is given (the session stopwatch) it replaces the minutes field.
+function ReviewControls({ problem, onReview, timeTakenSeconds }) {
+  const [outcome, setOutcome] = useState('solved');
+  const [minutes, setMinutes] = useState('');
+  const [note, setNote] = useState('');
+  const fieldClass = "px-2 py-1 border border-gray-400/30 dark:border-slate-500/30 bg-white/50 dark:bg-slate-800/50 text-gray-900 dark:text-slate-100 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-[hsl(var(--accent-hue)_80%_60%)]";
+
+  const handleGrade = (grade) => onReview(problem.id, grade, { outcome, timeTakenSeconds: timeTakenSeconds ?? (minutes ? Number(minutes) * 60 : null), note });
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap justify-center gap-2">
+        <select value={outcome} onChange={(e) => setOutcome(e.target.value)} className={fieldClass} aria-label="Outcome">
+          {REVIEW_OUTCOMES.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        {timeTakenSeconds === undefined && <input type="number" min="0" value={minutes} onChange={(e) => setMinutes(e.target.value)} placeholder="Minutes" className={`${fieldClass} w-20`} aria-label="Time taken in minutes" />}
+        <input type="text" value={note} onChange={(e) => setNote(e.target.value)} placeholder="Note (optional)" className={`${fieldClass} flex-1 min-w-[8rem]`} aria-label="Review note" />
+      </div>
+      <GradeButtons problem={problem} onGrade={handleGrade} />
+    </div>
+  );
+}
+
+function overdueLabel(days) {
+  if (days <= 0) return "Due today";
+  return days === 1 ? "1 day overdue" : `${days} days overdue`;
+}
+
+// Due problems in the order the revision queue shows them, oldest due date first.
+function dueRevisionProblems(problems, today = getTodayDate()) {
+  return problems
+    .filter(p => p.nextRevisionDate && p.nextRevisionDate <= today)
+    .sort((a, b) => new Date(a.nextRevisionDate) - new Date(b.nextRevisionDate));
+}
+
+function RevisionList({ problems, activeId, onMarkAsRevised, onUndoRevision }) {
+  const [lastReviewedId, setLastReviewedId] = useState(null);
+  const tableRef = useRef(null);
+  useScrollActiveRow(tableRef, activeId);
+  const today = getTodayDate();
+  const revisionProblems = dueRevisionProblems(problems, today);
+  const lastReviewed = problems.find(p => p.id === lastReviewedId && canUndoLastReview(p));
+
+  const handleReview = async (id, grade, details) => {
+    if (await onMarkAsRevised(id, grade, details)) setLastReviewedId(id);
+  };
+  const handleUndo = async () => {
+    if (await onUndoRevision(lastReviewed.id)) setLastReviewedId(null);
+  };
+
+  const undoBar = lastReviewed && (
+    <p className="mt-2 text-sm text-gray-700 dark:text-slate-300">Reviewed <span className="font-medium">{lastReviewed.name}</span>. <button onClick={handleUndo} className="text-blue-600 dark:text-blue-400 underline font-medium">Undo</button></p>
+  );
+
+  if (revisionProblems.length === 0) {
+    return (
+      <div className="mb-6 p-4 bg-green-500/10 backdrop-blur-xl border border-green-500/30 rounded-lg anim-fade-in-up">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h3 className="text-lg font-bold text-green-800 dark:text-green-300">Revision Queue</h3>
+          <Link to="/revise/calendar" className="text-sm font-medium text-green-800 dark:text-green-300 hover:underline">Calendar</Link>
+        </div>
+        <p className="text-green-700 dark:text-green-300">You're all caught up! No problems to revise today.</p>
+        {undoBar}
+      </div>
+    );
+  }
+
+  const overdueCount = revisionProblems.filter(p => daysOverdue(p, today) > 0).length;
+  return (
+    <div className="mb-6 p-4 bg-yellow-500/10 backdrop-blur-xl border border-yellow-500/30 rounded-lg anim-fade-in-up">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-lg font-bold text-yellow-800 dark:text-amber-300">Revision Queue ({revisionProblems.length} Problems Due{overdueCount > 0 && `, ${overdueCount} Overdue`})</h3>
+        <div className="flex items-center gap-3">
+          <Link to="/revise/calendar" className="text-sm font-medium text-yellow-900 dark:text-amber-300 hover:underline">Calendar</Link>
+          <Link to="/revise/session" className="px-4 py-1.5 text-sm font-medium bg-yellow-500/20 border border-yellow-500/40 text-yellow-900 dark:text-amber-300 rounded-md shadow-lg hover:bg-yellow-500/30">Start Session</Link>
+        </div>
+      </div>
+      {undoBar}
+      <div ref={tableRef} className="overflow-x-auto mt-3">
+        <table className="w-full table-auto border-collapse text-sm">
+          <thead className="bg-yellow-500/20">
+            <tr>
+              <th className="border border-yellow-500/30 px-3 py-1.5 text-left text-yellow-800 dark:text-amber-300">Problem</th>
+              <th className="border border-yellow-500/30 px-3 py-1.5 text-left text-yellow-800 dark:text-amber-300">Due Date</th>
+              <th className="border border-yellow-500/30 px-3 py-1.5 text-left text-yellow-800 dark:text-amber-300">How well did you recall it?</th>
+            </tr>
+          </thead>
+          <tbody>
+            {revisionProblems.map(problem => {
+              const overdue = daysOverdue(problem, today);
+              const reviews = reviewCount(problem);
+              return (
+              <tr key={problem.id} data-row-id={problem.id} className={`hover:bg-yellow-500/10 align-top ${problem.id === activeId ? activeRowClass : ''}`}>
+                <td className="border border-yellow-500/30 px-3 py-1.5">
+                  <a href={problem.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-400 hover:underline">
+                    {problem.name}
+                  </a>
+                  <span className="text-xs text-gray-600 dark:text-slate-400 ml-2">({problem.source})</span>
+                  <div className="text-xs text-gray-600 dark:text-slate-400 mt-0.5">{reviews === 0 ? "Never reviewed" : `Reviewed ${reviews} time${reviews === 1 ? '' : 's'}`} · <Link to={`/problems/${problem.id}`} className="text-blue-600 dark:text-blue-400 hover:underline">History</Link></div>
+                  <TagChips tags={problem.tags} className="mt-1" />
+                </td>
+                <td className="border border-yellow-500/30 px-3 py-1.5 text-yellow-700 dark:text-amber-300">{problem.nextRevisionDate}<div className={`text-xs ${overdue > 0 ? 'text-red-700 dark:text-red-300 font-medium' : 'text-yellow-700 dark:text-amber-300'}`}>{overdueLabel(overdue)}</div></td>
+                <td className="border border-yellow-500/30 px-3 py-1.5 text-center">
+                  <ReviewControls problem={problem} onReview={handleReview} />
+                </td>
+              </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// --- UpsolveQueue ---
+function UpsolveQueue({ problems, contests, onMarkUpsolved, operations }) {
+  if (contests.length === 0) return null;
+  const queue = pendingUpsolves(problems, contests);
+  return (
+    <div className="mb-6 p-4 bg-blue-500/10 backdrop-blur-xl border border-blue-500/30 rounded-lg anim-fade-in-up">
+      <h3 className="text-lg font-bold text-blue-800 dark:text-blue-300">Pending Upsolves ({queue.length})</h3>
+      {queue.length === 0 ? <p className="text-blue-700 dark:text-blue-300">Nothing left to upsolve.</p> : (
+        <ul className="mt-2 divide-y divide-blue-500/20">
+          {queue.map(({ problem, contest, daysWaiting }) => (
+            <li key={problem.id} className="py-2 flex flex-wrap items-center justify-between gap-3 text-sm">
+              <div>
+                <a href={problem.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-400 hover:underline">{problem.name}</a>
+                <span className="text-xs text-gray-600 dark:text-slate-400 ml-2">({problem.source})</span>
+                <div className="text-xs text-gray-600 dark:text-slate-400 mt-0.5"><Link to={`/contests/${contest.id}`} className="hover:underline">{contest.name}</Link> · {contest.date}{daysWaiting > 0 && ` · ${daysWaiting} ${daysWaiting === 1 ? "day" : "days"} ago`}</div>
+              </div>
+              <GlassButton onClick={() => onMarkUpsolved(problem)} disabled={operations[`updateProblem:${problem.id}`]?.status === 'pending'} className="text-xs px-3">Mark Upsolved</GlassButton>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// --- RevisionCalendar ---
+// Month or week view of every scheduled problem on its next revision date.
+// Dragging a problem onto another day (today or later) reschedules it; the
+// count on each day is coloured against the session's daily cap.
+const WEEKDAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const MONTH_CELL_ITEMS = 4;
+
+function dayLoadClass(count, capacity) {
+  if (!capacity) return 'bg-black/10 dark:bg-white/10 text-gray-800 dark:text-slate-200';
+  if (count > capacity) return 'bg-red-500/20 text-red-800 dark:text-red-300';
+  return count >= capacity * 0.75 ? 'bg-yellow-500/20 text-yellow-800 dark:text-amber-300' : 'bg-green-500/20 text-green-800 dark:text-green-300';
+}
+
+function RevisionCalendar({ problems, dailyCap, onReschedule, onSpreadBacklog, operations }) {
+  const today = getTodayDate();
+  const [view, setView] = useLocalStorageState('cp-calendar-view', 'month');
+  const [anchor, setAnchor] = useState(today);
+  const [spreadDays, setSpreadDays] = useState(7);
+  const [dropTarget, setDropTarget] = useState(null);
+  const byDate = useMemo(() => problemsByDate(problems), [problems]);
+  const days = calendarDays(anchor, view);
+  const overdueCount = problems.filter(p => p.nextRevisionDate && p.nextRevisionDate < today).length;
+  const title = view === 'week'
+    ? `Week of ${new Date(`${days[0]}T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}`
+    : new Date(`${anchor}T00:00:00Z`).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+  const handleDrop = (e, day) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const problem = problems.find(p => String(p.id) === e.dataTransfer.getData('text/plain'));
+    if (problem && day >= today && problem.nextRevisionDate !== day) onReschedule(problem, day);
+  };
+  const handleExport = () => downloadFile(`cp-compendium-revisions-${today}.ics`, scheduleToIcs(problems), "text/calendar");
+
+  return (
+    <div className="mb-6 p-4 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl anim-fade-in-up">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <div className="flex items-center gap-2">
+          <GlassButton onClick={() => setAnchor(a => shiftPeriod(a, view, -1))} className="px-2" aria-label="Previous">&larr;</GlassButton>
+          <GlassButton onClick={() => setAnchor(today)}>Today</GlassButton>
+          <GlassButton onClick={() => setAnchor(a => shiftPeriod(a, view, 1))} className="px-2" aria-label="Next">&rarr;</GlassButton>
+          <h3 className="ml-2 text-lg font-bold text-gray-900 dark:text-slate-100">{title}</h3>
+        </div>
+        <div className="flex items-center gap-2">
+          {['month', 'week'].map(option => <GlassButton key={option} onClick={() => setView(option)} className={view === option ? 'bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover' : ''}>{option === 'month' ? "Month" : "Week"}</GlassButton>)}
+          <GlassButton onClick={handleExport}>Export .ics</GlassButton>
+          <Link to="/revise" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">Back to queue</Link>
+        </div>
+      </div>
+      {overdueCount > 0 && (
+        <div className="mb-3 flex flex-wrap items-center gap-2 text-sm text-gray-800 dark:text-slate-200">
+          <span className="text-red-800 dark:text-red-300 font-medium">{overdueCount} overdue.</span>
+          <span>Spread them across the next</span>
+          <input type="number" min={1} max={60} value={spreadDays} onChange={(e) => setSpreadDays(Math.min(60, Math.max(1, Number(e.target.value) || 1)))} className="w-16 px-2 py-1 border border-gray-400/30 dark:border-slate-500/30 bg-white/50 dark:bg-slate-800/50 rounded-md text-sm" aria-label="Days to spread the backlog over" />
+          <span>days</span>
+          <GlassButton onClick={() => onSpreadBacklog(spreadDays)} disabled={operations.spreadBacklog?.status === 'pending'}>{operations.spreadBacklog?.status === 'pending' ? "Rescheduling..." : "Spread Backlog"}</GlassButton>
+        </div>
+      )}
+      <div className="grid grid-cols-7 gap-1 text-xs">
+        {WEEKDAY_LABELS.map(label => <div key={label} className="px-1.5 py-1 font-medium text-gray-600 dark:text-slate-400">{label}</div>)}
+        {days.map(day => {
+          const items = byDate.get(day) || [];
+          const shown = view === 'month' ? items.slice(0, MONTH_CELL_ITEMS) : items;
+          const inPeriod = view === 'week' || day.slice(0, 7) === anchor.slice(0, 7);
+          return (
+            <div
+              key={day}
+              onDragOver={(e) => { if (day < today) return; e.preventDefault(); setDropTarget(day); }}
+              onDragLeave={() => setDropTarget(target => (target === day ? null : target))}
+              onDrop={(e) => handleDrop(e, day)}
+              data-date={day}
+              className={`p-1.5 border border-gray-300/50 dark:border-slate-600/50 rounded-md ${view === 'week' ? 'min-h-[16rem]' : 'min-h-[6.5rem]'} ${dropTarget === day ? 'bg-accent-light' : inPeriod ? 'bg-white/30 dark:bg-slate-800/30' : 'bg-white/10 dark:bg-slate-800/10'} ${day === today ? 'ring-2 ring-[hsl(var(--accent-hue)_80%_60%)]' : ''}`}
+            >
+              <div className="flex items-center justify-between">
+                <span className={inPeriod && day >= today ? 'font-medium text-gray-800 dark:text-slate-200' : 'text-gray-500 dark:text-slate-500'}>{Number(day.slice(8))}</span>
+                {items.length > 0 && <span className={`px-1.5 rounded-full font-medium ${dayLoadClass(items.length, dailyCap)}`} title={`${items.length} due${dailyCap ? `, daily cap ${dailyCap}` : ''}`}>{items.length}</span>}
+              </div>
+              <ul className="mt-1 space-y-0.5">
+                {shown.map(p => (
+                  <li key={p.id} draggable onDragStart={(e) => { e.dataTransfer.setData('text/plain', String(p.id)); e.dataTransfer.effectAllowed = 'move'; }} title={`${p.name} (drag to reschedule)`} className={`truncate px-1 py-0.5 rounded cursor-grab ${day < today ? 'bg-red-500/15 text-red-800 dark:text-red-300' : 'bg-black/5 dark:bg-white/5 text-gray-800 dark:text-slate-200'} ${operations[`updateProblem:${p.id}`]?.status === 'pending' ? 'opacity-50' : ''}`}>
+                    <Link to={`/problems/${p.id}`} draggable={false} className="hover:underline">{p.name}</Link>
+                  </li>
+                ))}
+                {shown.length < items.length && <li><button onClick={() => { setAnchor(day); setView('week'); }} className="text-gray-600 dark:text-slate-400 hover:underline">+{items.length - shown.length} more</button></li>}
+              </ul>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// --- RevisionSession ---
+// Walks through the due problems one at a time: open the problem, solve it
+// against a stopwatch, optionally reveal the notes, then log the result.
+function useStopwatch(isRunning) {
+  const [elapsedMs, setElapsedMs] = useState(0);
+  const startedAt = useRef(null);
+  const reading = useRef(0); // where a paused stopwatch resumes from
+  const reset = useCallback(() => { startedAt.current = Date.now(); reading.current = 0; setElapsedMs(0); }, []);
+  useEffect(() => {
+    if (!isRunning) return undefined;
+    startedAt.current = Date.now() - reading.current;
+    const timer = setInterval(() => {
+      reading.current = Date.now() - startedAt.current;
+      setElapsedMs(reading.current);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [isRunning]);
+  return [Math.floor(elapsedMs / 1000), reset];
+}
+
+const openProblemTab = (problem) => window.open(problem.url, '_blank', 'noopener,noreferrer');
+
+const formatClock = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+function SessionSummary({ results, onRestart }) {
+  const reviewed = results.filter(r => r.status === 'reviewed');
+  const totalSeconds = reviewed.reduce((sum, r) => sum + (r.timeTakenSeconds || 0), 0);
+  const counts = [
+    ...REVIEW_OUTCOMES.map(o => ({ label: o.label, value: reviewed.filter(r => r.outcome === o.value).length })),
+    { label: "Skipped", value: results.filter(r => r.status === 'skipped').length },
+    { label: "Postponed", value: results.filter(r => r.status === 'postponed').length },
+  ];
+  return (
+    <div className="p-6 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl anim-fade-in-up">
+      <h2 className="text-2xl font-bold text-gray-900 dark:text-slate-100">Session Complete</h2>
+      <p className="text-sm text-gray-600 dark:text-slate-400 mt-1">{reviewed.length} reviewed in {formatDuration(totalSeconds) || '0s'}{reviewed.length > 0 && `, ${formatDuration(Math.round(totalSeconds / reviewed.length)) || '0s'} on average`}.</p>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 my-4">{counts.map(c => <StatCard key={c.label} label={c.label} value={c.value} />)}</div>
+      {results.length > 0 && (
+        <ul className="divide-y divide-gray-300/50 dark:divide-slate-600/50 text-sm">
+          {results.map(r => (
+            <li key={r.id} className="py-1.5 flex justify-between gap-3">
+              <Link to={`/problems/${r.id}`} className="text-blue-600 dark:text-blue-400 hover:underline">{r.name}</Link>
+              <span className="text-gray-700 dark:text-slate-300">{r.status === 'reviewed' ? `${OUTCOME_LABELS[r.outcome]} · ${GRADE_LABELS[r.grade]}${r.timeTakenSeconds ? ` · ${formatDuration(r.timeTakenSeconds)}` : ''}` : r.status === 'skipped' ? "Skipped" : "Postponed to tomorrow"}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="mt-4 flex gap-3"><GlassButton onClick={onRestart}>New Session</GlassButton><Link to="/revise" className="px-4 py-1.5 text-sm font-medium text-blue-600 dark:text-blue-400 hover:underline">Back to the queue</Link></div>
+    </div>
+  );
+}
+
+function RevisionSession({ problems, dailyCap, onDailyCapChange, timeLimitMinutes, onTimeLimitChange, onMarkAsRevised, onPostpone }) {
+  // phase: 'setup' | 'active' | 'summary'. The queue is a snapshot of ids so
+  // reviewed problems (which stop being due) don't shift the order.
+  const [phase, setPhase] = useState('setup');
+  const [queue, setQueue] = useState([]);
+  const [position, setPosition] = useState(0);
+  const [results, setResults] = useState([]);
+  const [notesRevealed, setNotesRevealed] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [elapsedSeconds, resetStopwatch] = useStopwatch(phase === 'active');
+  const today = getTodayDate();
+  const doneToday = reviewsOnDate(problems, today);
+  const available = buildSessionQueue(problems, { dailyCap, today });
+  const current = phase === 'active' ? problems.find(p => p.id === queue[position]) : null;
+  const limitSeconds = timeLimitMinutes * 60;
+  const isOverTime = limitSeconds > 0 && elapsedSeconds >= limitSeconds;
+
+  const goTo = useCallback((index, ids = queue) => {
+    setNotesRevealed(false);
+    resetStopwatch();
+    if (index >= ids.length) { setPhase('summary'); return; }
+    setPosition(index);
+  }, [queue, resetStopwatch]);
+
+  // Tabs open straight from the click that moves on, before any await:
+  // browsers block window.open calls made later.
+  const openAt = (index, ids = queue) => {
+    const next = problems.find(p => p.id === ids[index]);
+    if (next) openProblemTab(next);
+  };
+
+  const handleStart = () => {
+    const ids = available.map(p => p.id);
+    setQueue(ids);
+    setResults([]);
+    setPhase('active');
+    goTo(0, ids);
+    openAt(0, ids);
+  };
+
+  const finishCurrent = (result) => {
+    setResults(r => [...r, { id: current.id, name: current.name, ...result }]);
+    goTo(position + 1);
+  };
+
+  const handleSkip = () => {
+    openAt(position + 1);
+    finishCurrent({ status: 'skipped' });
+  };
+
+  const handleReview = async (id, grade, details) => {
+    openAt(position + 1);
+    setIsBusy(true);
+    const saved = await onMarkAsRevised(id, grade, details);
+    setIsBusy(false);
+    if (saved) finishCurrent({ status: 'reviewed', grade, ...details });
+  };
+
+  const handlePostpone = async () => {
+    openAt(position + 1);
+    setIsBusy(true);
+    const saved = await onPostpone(current.id);
+    setIsBusy(false);
+    if (saved) finishCurrent({ status: 'postponed' });
+  };
+
+  // A problem deleted mid-session is simply passed over.
+  useEffect(() => {
+    if (phase === 'active' && !current) goTo(position + 1);
+  }, [phase, current, position, goTo]);
+
+  if (phase === 'summary') return <SessionSummary results={results} onRestart={() => setPhase('setup')} />;
+
+  if (phase === 'setup' || !current) {
+    return (
+      <div className="max-w-xl mx-auto p-6 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl anim-fade-in-up">
+        <h2 className="text-2xl font-bold text-gray-900 dark:text-slate-100">Revision Session</h2>
+        <p className="text-sm text-gray-600 dark:text-slate-400 mt-1">{doneToday} reviewed today. {available.length} problem{available.length === 1 ? '' : 's'} ready for this session.</p>
+        <div className="grid grid-cols-2 gap-4 my-4">
+          <GlassInput label="Daily cap (0 = none)" id="sessionDailyCap" type="number" min={0} value={dailyCap} onChange={(e) => onDailyCapChange(Math.max(0, Number(e.target.value) || 0))} />
+          <GlassInput label="Time limit, minutes (0 = none)" id="sessionTimeLimit" type="number" min={0} value={timeLimitMinutes} onChange={(e) => onTimeLimitChange(Math.max(0, Number(e.target.value) || 0))} />
+        </div>
+        {dailyCap > 0 && doneToday >= dailyCap && <p className="text-sm text-yellow-800 dark:text-amber-300 mb-3">You've reached today's cap of {dailyCap} reviews.</p>}
+        <div className="flex gap-3">
+          <GlassButton onClick={handleStart} disabled={available.length === 0} className="bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover">Start Session</GlassButton>
+          <Link to="/revise" className="px-4 py-1.5 text-sm font-medium text-blue-600 dark:text-blue-400 hover:underline">Back to the queue</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-4 anim-fade-in-up">
+      <div className="flex items-center justify-between text-sm text-gray-700 dark:text-slate-300">
+        <span>Problem {position + 1} of {queue.length}</span>
+        <button onClick={() => setPhase('summary')} className="text-blue-600 dark:text-blue-400 hover:underline">End session</button>
+      </div>
+      <div className="h-1.5 bg-black/10 dark:bg-white/10 rounded-full overflow-hidden"><div className="h-full bg-[hsl(var(--accent-hue)_70%_55%)]" style={{ width: `${(position / queue.length) * 100}%` }} /></div>
+      <div className="p-6 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl">
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900 dark:text-slate-100">{current.name}</h2>
+            <p className="text-sm text-gray-600 dark:text-slate-400 mt-1">{[current.source, current.difficulty, current.rating && `Rating ${current.rating}`].filter(Boolean).join(' · ')} · {overdueLabel(daysOverdue(current, today))}</p>
+            <TagChips tags={current.tags} className="mt-2" />
+          </div>
+          <div className="text-right">
+            <div className={`text-3xl font-mono font-bold ${isOverTime ? 'text-red-600 dark:text-red-400' : 'text-gray-900 dark:text-slate-100'}`}>{formatClock(elapsedSeconds)}</div>
+            <div className={`text-xs ${isOverTime ? 'text-red-600 dark:text-red-400 font-medium' : 'text-gray-600 dark:text-slate-400'}`}>{limitSeconds > 0 ? (isOverTime ? "Time's up" : `${formatClock(limitSeconds - elapsedSeconds)} left`) : "No time limit"}</div>
+          </div>
+        </div>
+        <div className="mt-3 flex flex-wrap gap-3 text-sm">
+          <button onClick={() => openProblemTab(current)} className="text-blue-600 dark:text-blue-400 hover:underline">Open problem</button>
+          <button onClick={() => setNotesRevealed(r => !r)} className="text-blue-600 dark:text-blue-400 hover:underline">{notesRevealed ? "Hide notes" : "Reveal notes"}</button>
+        </div>
+        {notesRevealed && <div className="mt-4 p-4 bg-white/40 dark:bg-slate-800/40 rounded-md">{current.remarks?.trim() ? <MarkdownView text={current.remarks} /> : <p className="text-sm text-gray-500 dark:text-slate-500">No notes for this problem.</p>}</div>}
+      </div>
+      <div className="p-6 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl">
+        <h3 className="font-bold text-gray-900 dark:text-slate-100 mb-3">How did it go?</h3>
+        <ReviewControls key={current.id} problem={current} onReview={handleReview} timeTakenSeconds={elapsedSeconds} />
+        <div className="mt-4 flex justify-center gap-4 text-sm">
+          <button onClick={handleSkip} disabled={isBusy} className="text-gray-600 dark:text-slate-400 hover:text-gray-900 dark:hover:text-slate-100 disabled:opacity-50">Skip for now</button>
+          <button onClick={handlePostpone} disabled={isBusy} className="text-gray-600 dark:text-slate-400 hover:text-gray-900 dark:hover:text-slate-100 disabled:opacity-50">Postpone to tomorrow</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// --- Dashboard Charts ---
+const accentFill = (alpha = 1) => `hsl(var(--accent-hue) 70% 55% / ${alpha})`;
+
+function BarChart({ data, height = 160, formatLabel = (label) => label, labelEvery = 1 }) {
+  const barWidth = 24;
+  const gap = 4;
+  const labelSpace = 28;
+  const max = Math.max(1, ...data.map(d => d.count));
+  const width = data.length * (barWidth + gap);
+  if (data.length === 0) return <p className="text-sm text-gray-600 dark:text-slate-400">No data yet.</p>;
+  return (
+    <svg viewBox={`0 0 ${width} ${height + labelSpace}`} className="w-full h-auto" role="img">
+      {data.map((d, i) => {
+        const barHeight = (d.count / max) * (height - 14);
+        const x = i * (barWidth + gap);
+        return (
+          <g key={d.label}>
+            <rect x={x} y={height - barHeight} width={barWidth} height={barHeight} rx={3} fill={accentFill(0.75)}>
+              <title>{`${formatLabel(d.label)}: ${d.count}`}</title>
+            </rect>
+            {d.count > 0 && <text x={x + barWidth / 2} y={height - barHeight - 3} textAnchor="middle" fontSize="9" fill="#374151">{d.count}</text>}
+            {i % labelEvery === 0 && <text x={x + barWidth / 2} y={height + 14} textAnchor="middle" fontSize="9" fill="#4b5563">{formatLabel(d.label)}</text>}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function HorizontalBarChart({ data }) {
+  const rowHeight = 22;
+  const labelWidth = 90;
+  const chartWidth = 220;
+  const max = Math.max(1, ...data.map(d => d.count));
+  if (data.length === 0) return <p className="text-sm text-gray-600 dark:text-slate-400">No data yet.</p>;
+  return (
+    <svg viewBox={`0 0 ${labelWidth + chartWidth + 30} ${data.length * rowHeight}`} className="w-full h-auto" role="img">
+      {data.map((d, i) => {
+        const barWidth = (d.count / max) * chartWidth;
+        return (
+          <g key={d.label} transform={`translate(0, ${i * rowHeight})`}>
+            <text x={labelWidth - 6} y={rowHeight / 2 + 4} textAnchor="end" fontSize="11" fill="#374151">{d.label}</text>
+            <rect x={labelWidth} y={4} width={barWidth} height={rowHeight - 8} rx={3} fill={accentFill(0.75)} />
+            <text x={labelWidth + barWidth + 4} y={rowHeight / 2 + 4} fontSize="11" fill="#374151">{d.count}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Points are { label, value, title }, drawn left to right; the y axis spans the data range.
+function LineChart({ points, height = 180 }) {
+  const width = 600;
+  const padLeft = 40;
+  const padY = 12;
+  if (points.length === 0) return <p className="text-sm text-gray-600 dark:text-slate-400">No data yet.</p>;
+  const values = points.map(p => p.value);
+  const [min, max] = [Math.min(...values), Math.max(...values)];
+  const x = (i) => (points.length === 1 ? (padLeft + width) / 2 : padLeft + (i / (points.length - 1)) * (width - padLeft - 6));
+  const y = (value) => padY + (1 - (value - min) / Math.max(1, max - min)) * (height - 2 * padY);
+  return (
+    <svg viewBox={`0 0 ${width} ${height + 16}`} className="w-full h-auto" role="img">
+      {[...new Set([min, max])].map(value => (
+        <g key={value}>
+          <line x1={padLeft} x2={width} y1={y(value)} y2={y(value)} stroke="rgba(0,0,0,0.1)" />
+          <text x={padLeft - 4} y={y(value) + 3} textAnchor="end" fontSize="9" fill="#4b5563">{value}</text>
+        </g>
+      ))}
+      <polyline points={points.map((p, i) => `${x(i)},${y(p.value)}`).join(' ')} fill="none" stroke={accentFill(0.9)} strokeWidth="2" />
+      {points.map((p, i) => <circle key={i} cx={x(i)} cy={y(p.value)} r="3" fill={accentFill(1)}><title>{p.title}</title></circle>)}
+      <text x={padLeft} y={height + 12} fontSize="9" fill="#4b5563">{points[0].label}</text>
+      {points.length > 1 && <text x={width} y={height + 12} textAnchor="end" fontSize="9" fill="#4b5563">{points[points.length - 1].label}</text>}
+    </svg>
+  );
+}
+
+// GitHub-style grid: one column per week, Monday at the top, ending with the current week.
+function ActivityHeatmap({ activity, weeks = 53 }) {
+  const cell = 11;
+  const gap = 2;
+  const today = getTodayDate();
+  const todayOffset = (new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7;
+  const start = shiftDateKey(today, -((weeks - 1) * 7 + todayOffset));
+  const max = Math.max(1, ...activity.values());
+  const cells = [];
+  for (let i = 0; i < weeks * 7; i++) {
+    const key = shiftDateKey(start, i);
+    if (key > today) break;
+    const count = activity.get(key) || 0;
+    cells.push(
+      <rect key={key} x={Math.floor(i / 7) * (cell + gap)} y={(i % 7) * (cell + gap)} width={cell} height={cell} rx={2}
+        fill={count === 0 ? 'rgba(0,0,0,0.06)' : accentFill(0.25 + 0.75 * (count / max))}>
+        <title>{`${key}: ${count} ${count === 1 ? "activity" : "activities"}`}</title>
+      </rect>
+    );
+  }
+  return <svg viewBox={`0 0 ${weeks * (cell + gap)} ${7 * (cell + gap)}`} className="w-full h-auto" role="img">{cells}</svg>;
+}
+
+function StatCard({ label, value, hint }) {
+  return (
+    <div className="p-4 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl">
+      <div className="text-xs font-medium text-gray-600 dark:text-slate-400 uppercase tracking-wide">{label}</div>
+      <div className="text-2xl font-bold text-gray-900 dark:text-slate-100">{value}</div>
+      {hint && <div className="text-xs text-gray-600 dark:text-slate-400">{hint}</div>}
+    </div>
+  );
+}
+
+function ChartCard({ title, children, className = '' }) {
+  return (
+    <section className={`p-4 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl ${className}`}>
+      <h3 className="text-sm font-semibold text-gray-800 dark:text-slate-200 mb-3">{title}</h3>
+      {children}
+    </section>
+  );
+}
+
+// --- Recommendations ---
+const tagListPath = (tag) => `/?${listQueryToSearchParams({ ...DEFAULT_LIST_QUERY, filterTags: [tag] })}`;
+const ratingListPath = (bucket) => `/?${listQueryToSearchParams({ ...DEFAULT_LIST_QUERY, searchTerm: `rating:${bucket}..${bucket + 99}` })}`;
+const chipClass = "px-2 py-0.5 rounded-full text-xs hover:underline";
+
+function RecommendationsPanel({ problems }) {
+  const { band, next, weak, thin } = useMemo(() => buildRecommendations(problems), [problems]);
+  const percent = (rate) => `${Math.round(rate * 100)}%`;
+  return (
+    <section className="p-4 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl">
+      <div className="flex flex-wrap items-baseline justify-between gap-2 mb-3">
+        <h3 className="text-sm font-semibold text-gray-800 dark:text-slate-200">Practice Next</h3>
+        <span className="text-xs text-gray-600 dark:text-slate-400">{band ? `Comfort band ${band.low}–${band.high} (from ${band.sampleSize} recent solves)` : "Log ratings on solved problems to find your comfort band"}</span>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="md:col-span-2">
+          {next.length === 0 ? <p className="text-sm text-gray-600 dark:text-slate-400">Nothing to suggest yet. Add to-do problems or log contests to get suggestions.</p> : (
+            <ol className="space-y-2">
+              {next.map(({ problem, reasons }) => (
+                <li key={problem.id} className="text-sm">
+                  <Link to={`/problems/${problem.id}`} className="font-medium text-gray-900 dark:text-slate-100 hover:underline">{problem.name}</Link>
+                  <span className="text-xs text-gray-600 dark:text-slate-400 ml-2">{[problem.source, problem.rating].filter(Boolean).join(' · ')}</span>
+                  <div className="text-xs text-gray-600 dark:text-slate-400">{reasons.join(' · ')}</div>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+        <div className="space-y-3 text-xs">
+          <div>
+            <h4 className="font-semibold text-gray-800 dark:text-slate-200 mb-1">Revisions keep failing</h4>
+            {weak.topics.length === 0 && weak.ratings.length === 0 ? <p className="text-gray-600 dark:text-slate-400">No weak spots yet.</p> : (
+              <div className="flex flex-wrap gap-1.5">
+                {weak.topics.map(t => <Link key={t.label} to={tagListPath(t.label)} className={`${chipClass} bg-red-500/15 text-red-800 dark:text-red-300`}>{t.label} · {percent(t.failRate)} failed</Link>)}
+                {weak.ratings.map(r => <Link key={r.label} to={ratingListPath(r.label)} className={`${chipClass} bg-red-500/15 text-red-800 dark:text-red-300`}>{r.label}s · {percent(r.failRate)} failed</Link>)}
+              </div>
+            )}
+          </div>
+          <div>
+            <h4 className="font-semibold text-gray-800 dark:text-slate-200 mb-1">Thin coverage</h4>
+            {thin.topics.length === 0 && thin.ratings.length === 0 ? <p className="text-gray-600 dark:text-slate-400">Nothing stands out.</p> : (
+              <div className="flex flex-wrap gap-1.5">
+                {thin.topics.map(t => <Link key={t.label} to={tagListPath(t.label)} className={`${chipClass} bg-yellow-500/20 text-yellow-800 dark:text-amber-300`}>{t.label} · {t.solved} solved</Link>)}
+                {thin.ratings.map(r => <Link key={r.label} to={ratingListPath(r.label)} className={`${chipClass} bg-yellow-500/20 text-yellow-800 dark:text-amber-300`}>{r.label}s · {r.solved} solved</Link>)}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+// --- Dashboard ---
+function Dashboard({ problems }) {
+  const today = getTodayDate();
+  const streak = revisionStreak(problems, today);
+  const forecast = dueForecast(problems, 30, today);
+  const dueToday = forecast[0]?.count || 0;
+  const addedThisWeek = problemsAddedPerWeek(problems, 1, today)[0].count;
+  const shortDate = (key) => key.slice(5);
+
+  return (
+    <div className="space-y-4 anim-fade-in-up">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <StatCard label="Problems" value={problems.length} />
+        <StatCard label="Added This Week" value={addedThisWeek} />
+        <StatCard label="Due Today" value={dueToday} hint="Including overdue" />
+        <StatCard label="Revision Streak" value={`${streak} ${streak === 1 ? "day" : "days"}`} hint={streak > 0 && !problems.some(p => (p.revisionHistory || []).some(e => toDateKey(e.date) === today)) ? "Revise today to keep it going" : null} />
+      </div>
+      <RecommendationsPanel problems={problems} />
+      <ChartCard title="Activity (last year)"><ActivityHeatmap activity={dailyActivity(problems)} /></ChartCard>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <ChartCard title="Problems Added per Week"><BarChart data={problemsAddedPerWeek(problems, 26, today)} formatLabel={shortDate} labelEvery={4} /></ChartCard>
+        <ChartCard title="Revisions Due (next 30 days)"><BarChart data={forecast} formatLabel={shortDate} labelEvery={5} /></ChartCard>
+        <ChartCard title="Rating Distribution"><BarChart data={ratingHistogram(problems)} labelEvery={2} /></ChartCard>
+        <ChartCard title="By Source"><HorizontalBarChart data={countBy(problems, 'source', PROBLEM_SOURCES)} /></ChartCard>
+        <ChartCard title="By Difficulty"><HorizontalBarChart data={countBy(problems, 'difficulty', PROBLEM_DIFFICULTIES)} /></ChartCard>
+      </div>
+    </div>
+  );
+}
+
+// --- Problem Lists ---
+function ListProgressBar({ progress }) {
+  return (
+    <div>
+      <div className="h-2 rounded-full bg-black/10 dark:bg-white/10 overflow-hidden"><div className="h-full rounded-full" style={{ width: `${progress.percent}%`, backgroundColor: accentFill(0.75) }} /></div>
+      <div className="mt-1 text-xs text-gray-600 dark:text-slate-400">{progress.solved} of {progress.total} solved ({progress.percent}%)</div>
+    </div>
+  );
+}
+
+function ListsOverview({ lists, problems, onCreateList, onImportList, operations }) {
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+  const problemsById = useMemo(() => new Map(problems.map(p => [p.id, p])), [problems]);
+  const isImporting = operations.importList?.status === 'pending';
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    if (await onCreateList({ name: name.trim(), description: description.trim() })) { setName(""); setDescription(""); }
+  };
+  const handleImport = (event) => readFileAsText(event, (fileName, text) => {
+    try { onImportList(parseListFile(text)); } catch (err) { notify(`Import failed: ${err.message}`); }
+  });
+
+  return (
+    <div className="space-y-6 anim-fade-in-up">
+      <form onSubmit={handleCreate} className="p-6 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl grid grid-cols-1 md:grid-cols-6 gap-4 items-end">
+        <div className="md:col-span-2"><GlassInput label="List Name" id="listName" value={name} onChange={(e) => setName(e.target.value)} placeholder="Contest prep" required /></div>
+        <div className="md:col-span-3"><GlassInput label="Description" id="listDescription" value={description} onChange={(e) => setDescription(e.target.value)} placeholder="Optional" /></div>
+        <GlassButton type="submit" disabled={operations.createList?.status === 'pending'} className="bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover">Create List</GlassButton>
+      </form>
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-2xl font-bold text-gray-900 dark:text-slate-100">Problem Lists</h2>
+        <div><label htmlFor="import-list-file" className={fileLabelClass}>{isImporting ? "Importing..." : "Import List"}</label><input type="file" id="import-list-file" accept=".json,application/json" className="hidden" onChange={handleImport} disabled={isImporting} /></div>
+      </div>
+      {lists.length === 0 ? (
+        <p className="text-center text-gray-600 dark:text-slate-400 p-8">No lists yet. Create one above or import a shared sheet.</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {lists.map(list => (
+            <Link key={list.id} to={`/lists/${list.id}`} className="block p-4 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl hover:bg-white/40 dark:hover:bg-slate-800/40">
+              <div className="font-semibold text-gray-900 dark:text-slate-100">{list.name}</div>
+              {list.description && <p className="text-sm text-gray-600 dark:text-slate-400 mt-0.5">{list.description}</p>}
+              <div className="mt-3"><ListProgressBar progress={listProgress(list, problemsById)} /></div>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const listFileName = (name) => `cp-list-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'untitled'}.json`;
+
+function ListDetailPage({ lists, problems, groups, isLoading, onUpdateList, onDeleteList, onAddTodo, onUpdateProblem, onShareToGroup, operations }) {
+  const { listId } = useParams();
+  const navigate = useNavigate();
+  const [draft, setDraft] = useState(null);
+  const [pick, setPick] = useState("");
+  const [todo, setTodo] = useState({ name: "", url: "" });
+  const problemsById = useMemo(() => new Map(problems.map(p => [p.id, p])), [problems]);
+  const list = lists.find(l => String(l.id) === listId);
+
+  if (!list) {
+    return (
+      <div className="p-8 text-center text-gray-600 dark:text-slate-400 anim-fade-in-up">
+        {isLoading ? "Loading..." : <>List not found. <Link to="/lists" className="text-blue-600 dark:text-blue-400 underline">Back to your lists</Link></>}
+      </div>
+    );
+  }
+
+  const entries = listProblems(list, problemsById);
+  const candidates = problems.filter(p => !list.problemIds.includes(p.id));
+  const isSaving = operations[`updateList:${list.id}`]?.status === 'pending';
+  const isDeleting = operations[`deleteList:${list.id}`]?.status === 'pending';
+  const save = (changes) => onUpdateList({ ...list, ...changes });
+
+  const handleSaveDetails = async (e) => {
+    e.preventDefault();
+    if (!draft.name.trim()) return;
+    if (await save({ name: draft.name.trim(), description: draft.description.trim() })) setDraft(null);
+  };
+  const handleAddExisting = async (e) => {
+    e.preventDefault();
+    const problem = candidates.find(p => p.name === pick.trim());
+    if (!problem) { notify(`No problem named "${pick.trim()}" that isn't already in this list.`, { type: 'info' }); return; }
+    if (await save({ problemIds: [...list.problemIds, problem.id] })) setPick("");
+  };
+  // To-do entries are placeholders for problems not solved yet; pasting a judge URL is enough.
+  const handleAddTodo = async (e) => {
+    e.preventDefault();
+    const detected = parseProblemUrl(todo.url);
+    const name = todo.name.trim() || detected?.name;
+    if (!name || !todo.url.trim()) return;
+    const data = { name, url: todo.url.trim(), source: detected?.source || 'Other', externalId: detected?.externalId || null, difficulty: PROBLEM_DIFFICULTIES[0], tags: [], remarks: "", submissionLink: "" };
+    if (await onAddTodo(list, data)) setTodo({ name: "", url: "" });
+  };
+  const handleDelete = async () => {
+    if (await onDeleteList(list.id)) navigate('/lists');
+  };
+
+  return (
+    <div className="space-y-6 anim-fade-in-up">
+      <Link to="/lists" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">&larr; All lists</Link>
+      <div className="p-6 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl">
+        {draft ? (
+          <form onSubmit={handleSaveDetails} className="grid grid-cols-1 md:grid-cols-6 gap-4 items-end">
+            <div className="md:col-span-2"><GlassInput label="List Name" id="editListName" value={draft.name} onChange={(e) => setDraft(d => ({ ...d, name: e.target.value }))} required /></div>
+            <div className="md:col-span-3"><GlassInput label="Description" id="editListDescription" value={draft.description} onChange={(e) => setDraft(d => ({ ...d, description: e.target.value }))} /></div>
+            <div className="flex gap-2"><GlassButton type="submit" disabled={isSaving}>Save</GlassButton><GlassButton onClick={() => setDraft(null)}>Cancel</GlassButton></div>
+          </form>
+        ) : (
+          <div className="flex flex-wrap items-start justify-between gap-3">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900 dark:text-slate-100">{list.name}</h2>
+              {list.description && <p className="text-sm text-gray-600 dark:text-slate-400 mt-1">{list.description}</p>}
+            </div>
+            <div className="flex gap-2">
+              <GlassButton onClick={() => setDraft({ name: list.name, description: list.description || "" })}>Edit</GlassButton>
+              <GlassButton onClick={() => downloadFile(listFileName(list.name), JSON.stringify(listToExport(list, problemsById), null, 2), "application/json")}>Export</GlassButton>
+              {groups.length > 0 && entries.length > 0 && (
+                <select value="" onChange={(e) => onShareToGroup(e.target.value, entries, list.name)} className={bulkSelectClass} aria-label="Share list to group">
+                  <option value="" disabled>Share to group...</option>
+                  {groups.map(group => <option key={group.id} value={group.id}>{group.name}</option>)}
+                </select>
+              )}
+              <GlassButton onClick={handleDelete} disabled={isDeleting} className="bg-red-500/10 border-red-500/30 text-red-800 dark:text-red-300 hover:bg-red-500/20">{isDeleting ? "Deleting..." : "Delete"}</GlassButton>
+            </div>
+          </div>
+        )}
+        <div className="mt-4"><ListProgressBar progress={listProgress(list, problemsById)} /></div>
+      </div>
+
+      <div className="bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl overflow-x-auto">
+        {entries.length === 0 ? <p className="p-6 text-center text-gray-600 dark:text-slate-400">This list is empty. Add problems below.</p> : (
+          <table className="min-w-full text-sm">
+            <thead className="bg-white/20 dark:bg-slate-800/20"><tr className="text-left text-xs font-semibold text-gray-700 dark:text-slate-300 uppercase tracking-wider"><th className="px-4 py-3 w-10">#</th><th className="px-4 py-3">Problem</th><th className="px-4 py-3">Source</th><th className="px-4 py-3">Difficulty</th><th className="px-4 py-3">Status</th><th className="px-4 py-3" /></tr></thead>
+            <tbody>
+              {entries.map((p, index) => (
+                <tr key={p.id} className="border-t border-gray-300/50 dark:border-slate-600/50 hover:bg-black/5 dark:hover:bg-white/5">
+                  <td className="px-4 py-2 text-gray-500 dark:text-slate-500">{index + 1}</td>
+                  <td className="px-4 py-2"><Link to={`/problems/${p.id}`} className="font-medium text-gray-900 dark:text-slate-100 hover:underline">{p.name}</Link><a href={p.url} target="_blank" rel="noopener noreferrer" className="ml-2 text-xs text-blue-600 dark:text-blue-400 hover:underline">Open</a></td>
+                  <td className="px-4 py-2 text-gray-800 dark:text-slate-200">{p.source}</td>
+                  <td className="px-4 py-2 text-gray-800 dark:text-slate-200">{p.difficulty}</td>
+                  <td className="px-4 py-2">
+                    <select value={problemStatus(p)} onChange={(e) => onUpdateProblem({ ...p, status: e.target.value })} disabled={operations[`updateProblem:${p.id}`]?.status === 'pending'} className={bulkSelectClass} aria-label={`Status of ${p.name}`}>
+                      {PROBLEM_STATUSES.map(status => <option key={status.value} value={status.value}>{status.label}</option>)}
+                    </select>
+                  </td>
+                  <td className="px-4 py-2 text-right whitespace-nowrap text-gray-600 dark:text-slate-400">
+                    <button onClick={() => save({ problemIds: moveItem(entries.map(entry => entry.id), index, index - 1) })} disabled={index === 0 || isSaving} className="px-1 hover:text-gray-900 dark:hover:text-slate-100 disabled:opacity-30" aria-label={`Move ${p.name} up`}>&uarr;</button>
+                    <button onClick={() => save({ problemIds: moveItem(entries.map(entry => entry.id), index, index + 1) })} disabled={index === entries.length - 1 || isSaving} className="px-1 hover:text-gray-900 dark:hover:text-slate-100 disabled:opacity-30" aria-label={`Move ${p.name} down`}>&darr;</button>
+                    <button onClick={() => save({ problemIds: list.problemIds.filter(id => id !== p.id) })} disabled={isSaving} className="ml-2 text-xs text-red-600 dark:text-red-400 hover:underline disabled:opacity-50">Remove</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <form onSubmit={handleAddExisting} className="p-4 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl space-y-3">
+          <h3 className="font-bold text-gray-900 dark:text-slate-100">Add a Problem</h3>
+          <GlassInput label="Problem Name" id="listAddProblem" list="listAddProblemOptions" value={pick} onChange={(e) => setPick(e.target.value)} placeholder="Start typing a name..." />
+          <datalist id="listAddProblemOptions">{candidates.map(p => <option key={p.id} value={p.name} />)}</datalist>
+          <GlassButton type="submit" disabled={isSaving || !pick.trim()}>Add to List</GlassButton>
+        </form>
+        <form onSubmit={handleAddTodo} className="p-4 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl space-y-3">
+          <h3 className="font-bold text-gray-900 dark:text-slate-100">Add a To-do</h3>
+          <GlassInput label="Problem URL" id="listTodoUrl" type="url" value={todo.url} onChange={(e) => setTodo(t => ({ ...t, url: e.target.value }))} placeholder="https://" required />
+          <GlassInput label="Name" id="listTodoName" value={todo.name} onChange={(e) => setTodo(t => ({ ...t, name: e.target.value }))} placeholder="Detected from the URL when possible" />
+          <GlassButton type="submit" disabled={isSaving}>Add To-do</GlassButton>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// --- Contests ---
+const CONTEST_RESULT_LABELS = Object.fromEntries(CONTEST_RESULTS.map(result => [result.value, result.label]));
+const toNumberOrNull = (value) => (String(value).trim() === '' ? null : Number(value));
+
+function ContestForm({ contestToEdit, onSubmit, onCancel, isSubmitting = false }) {
+  const [platform, setPlatform] = useState(contestToEdit?.platform || PROBLEM_SOURCES[1]);
+  const [name, setName] = useState(contestToEdit?.name || "");
+  const [date, setDate] = useState(contestToEdit?.date || getTodayDate());
+  const [rank, setRank] = useState(contestToEdit?.rank ?? "");
+  const [ratingDelta, setRatingDelta] = useState(contestToEdit?.ratingDelta ?? "");
+  const [ratingAfter, setRatingAfter] = useState(contestToEdit?.ratingAfter ?? "");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || !date) return;
+    const saved = await onSubmit({ ...contestToEdit, platform, name: name.trim(), date, rank: toNumberOrNull(rank), ratingDelta: toNumberOrNull(ratingDelta), ratingAfter: toNumberOrNull(ratingAfter) });
+    if (saved && !contestToEdit) { setName(""); setRank(""); setRatingDelta(""); setRatingAfter(""); }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-6 gap-4 items-end">
+      <div className="md:col-span-2"><GlassDropdown label="Platform" options={PROBLEM_SOURCES} selectedValue={platform} onChange={setPlatform} /></div>
+      <div className="md:col-span-3"><GlassInput label="Contest Name" id="contestName" value={name} onChange={(e) => setName(e.target.value)} placeholder="Codeforces Round 900 (Div. 2)" required /></div>
+      <div><GlassInput label="Date" id="contestDate" type="date" value={date} onChange={(e) => setDate(e.target.value)} required /></div>
+      <div className="md:col-span-2"><GlassInput label="Rank" id="contestRank" type="number" min={1} value={rank} onChange={(e) => setRank(e.target.value)} placeholder="1234" /></div>
+      <div className="md:col-span-2"><GlassInput label="Rating Change" id="contestDelta" type="number" value={ratingDelta} onChange={(e) => setRatingDelta(e.target.value)} placeholder="+42 or -17" /></div>
+      <div className="md:col-span-2"><GlassInput label="Rating After (optional)" id="contestRatingAfter" type="number" value={ratingAfter} onChange={(e) => setRatingAfter(e.target.value)} placeholder="1642" /></div>
+      <div className="md:col-span-6 flex gap-3">
+        <GlassButton type="submit" disabled={isSubmitting} className="bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover">{isSubmitting ? "Saving..." : contestToEdit ? "Update Contest" : "Log Contest"}</GlassButton>
+        {onCancel && <GlassButton onClick={onCancel}>Cancel</GlassButton>}
+      </div>
+    </form>
+  );
+}
+
+function RatingDelta({ value }) {
+  if (value == null) return <span className="text-gray-500 dark:text-slate-500">-</span>;
+  return <span className={value > 0 ? 'text-green-700 dark:text-green-300' : value < 0 ? 'text-red-700 dark:text-red-300' : 'text-gray-700 dark:text-slate-300'}>{value > 0 ? `+${value}` : value}</span>;
+}
+
+function ContestsPage({ contests, problems, onCreateContest, operations }) {
+  const history = ratingHistory(contests);
+  const platforms = [...history.keys()];
+  const [chartPlatform, setChartPlatform] = useState(null);
+  const platform = platforms.includes(chartPlatform) ? chartPlatform : platforms[0];
+  const points = (history.get(platform) || []).map(point => ({ label: point.date, value: point.rating, title: `${point.name} (${point.date}): ${point.rating}${point.delta != null ? ` (${point.delta > 0 ? '+' : ''}${point.delta})` : ''}` }));
+
+  return (
+    <div className="space-y-6 anim-fade-in-up">
+      <div className="p-6 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl">
+        <h3 className="text-lg font-bold text-gray-800 dark:text-slate-200 mb-4">Log a Contest</h3>
+        <ContestForm onSubmit={onCreateContest} isSubmitting={operations.createContest?.status === 'pending'} />
+      </div>
+      {platforms.length > 0 && (
+        <ChartCard title="Rating Over Time">
+          {platforms.length > 1 && <div className="w-48 mb-3"><GlassDropdown label="Platform" options={platforms} selectedValue={platform} onChange={setChartPlatform} /></div>}
+          <LineChart points={points} />
+        </ChartCard>
+      )}
+      <div className="bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl overflow-x-auto">
+        {contests.length === 0 ? <p className="p-6 text-center text-gray-600 dark:text-slate-400">No contests logged yet.</p> : (
+          <table className="min-w-full text-sm">
+            <thead className="bg-white/20 dark:bg-slate-800/20"><tr className="text-left text-xs font-semibold text-gray-700 dark:text-slate-300 uppercase tracking-wider"><th className="px-4 py-3">Date</th><th className="px-4 py-3">Platform</th><th className="px-4 py-3">Contest</th><th className="px-4 py-3">Rank</th><th className="px-4 py-3">Rating</th><th className="px-4 py-3">Problems</th></tr></thead>
+            <tbody>
+              {sortContests(contests).map(contest => {
+                const summary = contestSummary(contest, problems);
+                return (
+                  <tr key={contest.id} className="border-t border-gray-300/50 dark:border-slate-600/50 hover:bg-black/5 dark:hover:bg-white/5">
+                    <td className="px-4 py-2 text-gray-800 dark:text-slate-200 whitespace-nowrap">{contest.date}</td>
+                    <td className="px-4 py-2 text-gray-800 dark:text-slate-200">{contest.platform}</td>
+                    <td className="px-4 py-2"><Link to={`/contests/${contest.id}`} className="font-medium text-gray-900 dark:text-slate-100 hover:underline">{contest.name}</Link></td>
+                    <td className="px-4 py-2 text-gray-800 dark:text-slate-200">{contest.rank ?? '-'}</td>
+                    <td className="px-4 py-2"><RatingDelta value={contest.ratingDelta} />{contest.ratingAfter != null && <span className="text-xs text-gray-600 dark:text-slate-400"> → {contest.ratingAfter}</span>}</td>
+                    <td className="px-4 py-2 text-xs text-gray-700 dark:text-slate-300">{summary.total === 0 ? '-' : `${summary.inContest} in contest · ${summary.upsolved} upsolved · ${summary.pending} pending`}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ContestDetailPage({ contests, problems, isLoading, onUpdateContest, onDeleteContest, onLinkProblem, onAddContestProblem, operations }) {
+  const { contestId } = useParams();
+  const navigate = useNavigate();
+  const [isEditing, setIsEditing] = useState(false);
+  const [pick, setPick] = useState("");
+  const [pickResult, setPickResult] = useState('in-contest');
+  const [newProblem, setNewProblem] = useState({ name: "", url: "", result: 'pending' });
+  const contest = contests.find(c => String(c.id) === contestId);
+
+  if (!contest) {
+    return (
+      <div className="p-8 text-center text-gray-600 dark:text-slate-400 anim-fade-in-up">
+        {isLoading ? "Loading..." : <>Contest not found. <Link to="/contests" className="text-blue-600 dark:text-blue-400 underline">Back to your contests</Link></>}
+      </div>
+    );
+  }
+
+  const linked = contestProblems(contest, problems);
+  const candidates = problems.filter(p => p.contestId == null);
+  const isDeleting = operations[`deleteContest:${contest.id}`]?.status === 'pending';
+  const isAdding = operations[`contestProblems:${contest.id}`]?.status === 'pending';
+
+  const handleUpdate = async (updated) => {
+    const saved = await onUpdateContest(updated);
+    if (saved) setIsEditing(false);
+    return saved;
+  };
+  const handleLinkExisting = async (e) => {
+    e.preventDefault();
+    const problem = candidates.find(p => p.name === pick.trim());
+    if (!problem) { notify(`No problem named "${pick.trim()}" that isn't already linked to a contest.`, { type: 'info' }); return; }
+    if (await onLinkProblem(problem, contest.id, pickResult)) setPick("");
+  };
+  const handleAddNew = async (e) => {
+    e.preventDefault();
+    const detected = parseProblemUrl(newProblem.url);
+    const name = newProblem.name.trim() || detected?.name;
+    if (!name || !newProblem.url.trim()) return;
+    const data = { name, url: newProblem.url.trim(), source: detected?.source || contest.platform, externalId: detected?.externalId || null, difficulty: PROBLEM_DIFFICULTIES[0], tags: [], remarks: "", submissionLink: "" };
+    if (await onAddContestProblem(contest, data, newProblem.result)) setNewProblem(n => ({ ...n, name: "", url: "" }));
+  };
+  const handleDelete = async () => {
+    if (await onDeleteContest(contest.id)) navigate('/contests');
+  };
+
+  return (
+    <div className="space-y-6 anim-fade-in-up">
+      <Link to="/contests" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">&larr; All contests</Link>
+      <div className="p-6 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl">
+        {isEditing ? (
+          <ContestForm contestToEdit={contest} onSubmit={handleUpdate} onCancel={() => setIsEditing(false)} isSubmitting={operations[`updateContest:${contest.id}`]?.status === 'pending'} />
+        ) : (
+          <div className="flex flex-wrap items-start justify-between gap-3">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900 dark:text-slate-100">{contest.name}</h2>
+              <p className="text-sm text-gray-600 dark:text-slate-400 mt-1">{contest.platform} · {contest.date}{contest.rank != null && ` · Rank ${contest.rank}`} · <RatingDelta value={contest.ratingDelta} />{contest.ratingAfter != null && ` → ${contest.ratingAfter}`}</p>
+            </div>
+            <div className="flex gap-2">
+              <GlassButton onClick={() => setIsEditing(true)}>Edit</GlassButton>
+              <GlassButton onClick={handleDelete} disabled={isDeleting} className="bg-red-500/10 border-red-500/30 text-red-800 dark:text-red-300 hover:bg-red-500/20">{isDeleting ? "Deleting..." : "Delete"}</GlassButton>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl overflow-x-auto">
+        {linked.length === 0 ? <p className="p-6 text-center text-gray-600 dark:text-slate-400">No problems linked to this contest yet.</p> : (
+          <table className="min-w-full text-sm">
+            <thead className="bg-white/20 dark:bg-slate-800/20"><tr className="text-left text-xs font-semibold text-gray-700 dark:text-slate-300 uppercase tracking-wider"><th className="px-4 py-3">Problem</th><th className="px-4 py-3">Difficulty</th><th className="px-4 py-3">Result</th><th className="px-4 py-3" /></tr></thead>
+            <tbody>
+              {linked.map(p => {
+                const isSaving = operations[`updateProblem:${p.id}`]?.status === 'pending';
+                return (
+                  <tr key={p.id} className="border-t border-gray-300/50 dark:border-slate-600/50 hover:bg-black/5 dark:hover:bg-white/5">
+                    <td className="px-4 py-2"><Link to={`/problems/${p.id}`} className="font-medium text-gray-900 dark:text-slate-100 hover:underline">{p.name}</Link><a href={p.url} target="_blank" rel="noopener noreferrer" className="ml-2 text-xs text-blue-600 dark:text-blue-400 hover:underline">Open</a></td>
+                    <td className="px-4 py-2 text-gray-800 dark:text-slate-200">{p.difficulty}</td>
+                    <td className="px-4 py-2">
+                      <select value={p.contestResult || 'in-contest'} onChange={(e) => onLinkProblem(p, contest.id, e.target.value)} disabled={isSaving} className={bulkSelectClass} aria-label={`Result for ${p.name}`}>
+                        {CONTEST_RESULTS.map(result => <option key={result.value} value={result.value}>{result.label}</option>)}
+                      </select>
+                    </td>
+                    <td className="px-4 py-2 text-right"><button onClick={() => onLinkProblem(p, null, null)} disabled={isSaving} className="text-xs text-red-600 dark:text-red-400 hover:underline disabled:opacity-50">Unlink</button></td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <form onSubmit={handleLinkExisting} className="p-4 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl space-y-3">
+          <h3 className="font-bold text-gray-900 dark:text-slate-100">Link a Saved Problem</h3>
+          <GlassInput label="Problem Name" id="contestLinkProblem" list="contestLinkOptions" value={pick} onChange={(e) => setPick(e.target.value)} placeholder="Start typing a name..." />
+          <datalist id="contestLinkOptions">{candidates.map(p => <option key={p.id} value={p.name} />)}</datalist>
+          <GlassDropdown label="Result" options={CONTEST_RESULTS} selectedValue={pickResult} onChange={setPickResult} />
+          <GlassButton type="submit" disabled={!pick.trim()}>Link Problem</GlassButton>
+        </form>
+        <form onSubmit={handleAddNew} className="p-4 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl space-y-3">
+          <h3 className="font-bold text-gray-900 dark:text-slate-100">Add a New Problem</h3>
+          <GlassInput label="Problem URL" id="contestProblemUrl" type="url" value={newProblem.url} onChange={(e) => setNewProblem(n => ({ ...n, url: e.target.value }))} placeholder="https://" required />
+          <GlassInput label="Name" id="contestProblemName" value={newProblem.name} onChange={(e) => setNewProblem(n => ({ ...n, name: e.target.value }))} placeholder="Detected from the URL when possible" />
+          <GlassDropdown label="Result" options={CONTEST_RESULTS} selectedValue={newProblem.result} onChange={(result) => setNewProblem(n => ({ ...n, result }))} />
+          <GlassButton type="submit" disabled={isAdding}>{isAdding ? "Adding..." : "Add Problem"}</GlassButton>
+        </form>
+      </div>
+    </div>
+  );
+}
 
-  if (revisionProblems.length === 0) {
+// --- Study Groups ---
+const GROUP_STATUS_MARKS = { solved: '✓', attempted: '~', todo: '○' };
+
+function GroupsPage({ groups, isLoading, onCreateGroup, onJoinGroup, operations }) {
+  const [name, setName] = useState("");
+  const [inviteCode, setInviteCode] = useState("");
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    if (await onCreateGroup(name.trim())) setName("");
+  };
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    if (!inviteCode.trim()) return;
+    if (await onJoinGroup(inviteCode)) setInviteCode("");
+  };
+
+  return (
+    <div className="space-y-6 anim-fade-in-up">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <form onSubmit={handleCreate} className="p-4 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl space-y-3">
+          <h3 className="font-bold text-gray-900 dark:text-slate-100">Create a Group</h3>
+          <GlassInput label="Group Name" id="groupName" value={name} onChange={(e) => setName(e.target.value)} placeholder="ICPC team" required />
+          <GlassButton type="submit" disabled={operations.createGroup?.status === 'pending'} className="bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover">Create Group</GlassButton>
+        </form>
+        <form onSubmit={handleJoin} className="p-4 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl space-y-3">
+          <h3 className="font-bold text-gray-900 dark:text-slate-100">Join a Group</h3>
+          <GlassInput label="Invite Code" id="groupInviteCode" value={inviteCode} onChange={(e) => setInviteCode(e.target.value)} placeholder="e.g. K7QX2M" autoComplete="off" required />
+          <GlassButton type="submit" disabled={operations.joinGroup?.status === 'pending'}>Join Group</GlassButton>
+        </form>
+      </div>
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-2xl font-bold text-gray-900 dark:text-slate-100">Study Groups</h2>
+        {USE_MOCK_GROUPS && <span className="text-xs px-2 py-1 rounded-full bg-yellow-500/20 text-yellow-800 dark:text-amber-300" title="Groups are stored in this browser only (REACT_APP_MOCK_GROUPS)">Mock backend</span>}
+      </div>
+      {groups.length === 0 ? (
+        <p className="text-center text-gray-600 dark:text-slate-400 p-8">{isLoading ? "Loading..." : operations.loadGroups?.status === 'error' ? "Couldn't load your groups." : "You're not in any groups yet. Create one, or join with a code from a teammate."}</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {groups.map(group => (
+            <Link key={group.id} to={`/groups/${group.id}`} className="block p-4 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl hover:bg-white/40 dark:hover:bg-slate-800/40">
+              <div className="font-semibold text-gray-900 dark:text-slate-100">{group.name}</div>
+              <p className="text-sm text-gray-600 dark:text-slate-400 mt-0.5">{group.members.length} {group.members.length === 1 ? "member" : "members"}: {group.members.map(m => m.username).join(', ')}</p>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function GroupDetailPage({ groups, groupDetails, problems, user, isLoading, onOpenGroup, onLeaveGroup, onUnshareProblem, onAddSharedProblem, operations }) {
+  const { groupId } = useParams();
+  const navigate = useNavigate();
+  // Loads the group when the route changes, not each time the handler does.
+  const openGroup = useRef(onOpenGroup);
+  useLayoutEffect(() => { openGroup.current = onOpenGroup; });
+  useEffect(() => { openGroup.current(groupId); }, [groupId]);
+
+  const detail = groupDetails[groupId];
+  const group = detail?.group || groups.find(g => String(g.id) === groupId);
+  const myKeys = useMemo(() => new Set(problems.map(p => problemKey(p.url))), [problems]);
+  const isRefreshing = operations[`group:${groupId}`]?.status === 'pending';
+
+  if (!group) {
     return (
-      <div className="mb-6 p-4 bg-green-500/10 backdrop-blur-xl border border-green-500/30 rounded-lg anim-fade-in-up">
-        <h3 className="text-lg font-bold text-green-800">Revision Queue</h3>
-        <p className="text-green-700">You're all caught up! No problems to revise today.</p>
+      <div className="p-8 text-center text-gray-600 dark:text-slate-400 anim-fade-in-up">
+        {isLoading || isRefreshing ? "Loading..." : <>Group not found. <Link to="/groups" className="text-blue-600 dark:text-blue-400 underline">Back to your groups</Link></>}
       </div>
     );
   }
 
+  const rows = detail ? groupProgressRows(detail) : [];
+  const leaderboard = detail ? weeklyLeaderboard(detail) : [];
+  const isOwner = group.ownerId === user.id;
+  const handleLeave = async () => {
+    if (await onLeaveGroup(group)) navigate('/groups');
+  };
+  const handleCopyCode = () => navigator.clipboard?.writeText(group.inviteCode).then(() => notify("Invite code copied.", { type: 'success' }), () => notify("Couldn't copy the invite code."));
+
   return (
-    <div className="mb-6 p-4 bg-yellow-500/10 backdrop-blur-xl border border-yellow-500/30 rounded-lg anim-fade-in-up">
-      <h3 className="text-lg font-bold text-yellow-800">Revision Queue ({revisionProblems.length} Problems Due)</h3>
-      <div className="overflow-x-auto mt-3">
-        <table className="w-full table-auto border-collapse text-sm">
-          <thead className="bg-yellow-500/20">
-            <tr>
-              <th className="border border-yellow-500/30 px-3 py-1.5 text-left text-yellow-800">Problem</th>
-              <th className="border border-yellow-500/30 px-3 py-1.5 text-left text-yellow-800">Due Date</th>
-              <th className="border border-yellow-500/30 px-3 py-1.5 text-left text-yellow-800 w-32">Action</th>
-            </tr>
-          </thead>
-          <tbody>
-            {revisionProblems.map(problem => (
-              <tr key={problem.id} className="hover:bg-yellow-500/10 align-top">
-                <td className="border border-yellow-500/30 px-3 py-1.5">
-                  <a href={problem.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
-                    {problem.name}
-                  </a>
-                  <span className="text-xs text-gray-600 ml-2">({problem.source})</span>
-                </td>
-                <td className="border border-yellow-500/30 px-3 py-1.5 text-yellow-700">{problem.nextRevisionDate}</td>
-                <td className="border border-yellow-500/30 px-3 py-1.5 text-center">
-                  <GlassButton
-                    onClick={() => onMarkAsRevised(problem.id)}
-                    className="bg-green-500/10 border-green-500/30 text-green-800 hover:bg-green-500/20 text-xs px-3"
-                  >
-                    Mark as Revised
-                  </GlassButton>
-                </td>
+    <div className="space-y-6 anim-fade-in-up">
+      <Link to="/groups" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">&larr; All groups</Link>
+      <div className="p-6 bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 dark:text-slate-100">{group.name}</h2>
+          <p className="text-sm text-gray-600 dark:text-slate-400 mt-1">{group.members.map(m => m.username).join(', ')}</p>
+          <p className="text-sm text-gray-800 dark:text-slate-200 mt-2">Invite code: <span className="font-mono font-semibold tracking-wider">{group.inviteCode}</span> <button onClick={handleCopyCode} className="ml-1 text-xs text-blue-600 dark:text-blue-400 hover:underline">Copy</button></p>
+        </div>
+        <div className="flex gap-2">
+          <GlassButton onClick={() => onOpenGroup(groupId)} disabled={isRefreshing}>{isRefreshing ? "Refreshing..." : "Refresh"}</GlassButton>
+          <GlassButton onClick={handleLeave} disabled={operations[`leaveGroup:${group.id}`]?.status === 'pending'} className="bg-red-500/10 border-red-500/30 text-red-800 dark:text-red-300 hover:bg-red-500/20">Leave</GlassButton>
+        </div>
+      </div>
+
+      {detail && (
+        <ChartCard title={`This Week's Leaderboard (from ${weekStartKey(getTodayDate())})`}>
+          <table className="min-w-full text-sm">
+            <thead><tr className="text-left text-xs font-semibold text-gray-700 dark:text-slate-300 uppercase tracking-wider"><th className="py-2 w-10">#</th><th className="py-2">Member</th><th className="py-2">Solved</th><th className="py-2">Revisions</th><th className="py-2">Last Update</th></tr></thead>
+            <tbody>
+              {leaderboard.map((entry, index) => (
+                <tr key={entry.userId} className={`border-t border-gray-300/50 dark:border-slate-600/50 ${entry.userId === user.id ? 'font-semibold' : ''}`}>
+                  <td className="py-2 text-gray-500 dark:text-slate-500">{index + 1}</td>
+                  <td className="py-2 text-gray-900 dark:text-slate-100">{entry.username}</td>
+                  <td className="py-2 text-gray-800 dark:text-slate-200">{entry.solved}</td>
+                  <td className="py-2 text-gray-800 dark:text-slate-200">{entry.revisions}</td>
+                  <td className="py-2 text-xs text-gray-600 dark:text-slate-400">{entry.reportedAt ? toDateKey(entry.reportedAt) : "Hasn't opened the group yet"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </ChartCard>
+      )}
+
+      <div className="bg-white/30 dark:bg-slate-800/30 backdrop-blur-xl border border-gray-300/50 dark:border-slate-600/50 rounded-lg shadow-xl overflow-x-auto">
+        {!detail ? <p className="p-6 text-center text-gray-600 dark:text-slate-400">{isRefreshing ? "Loading..." : "Couldn't load this group's problems."}</p> : rows.length === 0 ? (
+          <p className="p-6 text-center text-gray-600 dark:text-slate-400">Nothing shared yet. Select problems on the Problems page, or open a list, and use "Share to group".</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead className="bg-white/20 dark:bg-slate-800/20">
+              <tr className="text-left text-xs font-semibold text-gray-700 dark:text-slate-300 uppercase tracking-wider">
+                <th className="px-4 py-3">Problem</th><th className="px-4 py-3">Shared By</th>
+                {group.members.map(member => <th key={member.userId} className="px-2 py-3 text-center normal-case">{member.username}</th>)}
+                <th className="px-4 py-3" />
               </tr>
-            ))}
-          </tbody>
-        </table>
+            </thead>
+            <tbody>
+              {rows.map(({ problem, progress }) => (
+                <tr key={problem.key} className="border-t border-gray-300/50 dark:border-slate-600/50 hover:bg-black/5 dark:hover:bg-white/5">
+                  <td className="px-4 py-2">
+                    <a href={problem.url} target="_blank" rel="noopener noreferrer" className="font-medium text-gray-900 dark:text-slate-100 hover:underline">{problem.name}</a>
+                    <div className="text-xs text-gray-600 dark:text-slate-400">{[problem.source, problem.difficulty, problem.rating, problem.listName && `from "${problem.listName}"`].filter(Boolean).join(' · ')}</div>
+                  </td>
+                  <td className="px-4 py-2 text-gray-800 dark:text-slate-200 whitespace-nowrap">{problem.sharedBy?.username}</td>
+                  {progress.map((entry, index) => {
+                    const member = group.members[index];
+                    return (
+                      <td key={member.userId} className="px-2 py-2 text-center" title={entry ? `${member.username}: ${STATUS_LABELS[entry.status]}, revised ${entry.reviews} times${entry.lastRevised ? ` (last ${entry.lastRevised})` : ''}` : `${member.username} hasn't added it`}>
+                        {entry ? <span className={`inline-block px-1.5 rounded-full text-xs font-semibold ${STATUS_BADGE_STYLES[entry.status]}`}>{GROUP_STATUS_MARKS[entry.status]}{entry.reviews > 0 ? ` ${entry.reviews}` : ''}</span> : <span className="text-gray-400">–</span>}
+                      </td>
+                    );
+                  })}
+                  <td className="px-4 py-2 text-right whitespace-nowrap text-xs">
+                    {!myKeys.has(problem.key) && <button onClick={() => onAddSharedProblem(problem)} disabled={operations[`addSharedProblem:${problem.key}`]?.status === 'pending'} className="text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50">Add to my problems</button>}
+                    {(isOwner || problem.sharedBy?.userId === user.id) && <button onClick={() => onUnshareProblem(group.id, problem.key)} disabled={operations[`unshareProblem:${problem.key}`]?.status === 'pending'} className="ml-3 text-red-600 dark:text-red-400 hover:underline disabled:opacity-50">Unshare</button>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+      {detail && rows.length > 0 && <p className="text-xs text-gray-600 dark:text-slate-400">✓ solved, ~ attempted, ○ to-do; the number is how many times they've revised it. Each member's column updates when they open the group.</p>}
+    </div>
+  );
+}
+
+// --- Sync Status & Conflicts ---
+function SyncStatusBanner({ isServerReachable, pendingCount, isSyncing, onSync }) {
+  if (isServerReachable && pendingCount === 0) return null;
+  const pendingText = pendingCount > 0 ? `${pendingCount} ${pendingCount === 1 ? "change is" : "changes are"} waiting to sync.` : "";
+  return (
+    <div className="mb-6 p-3 flex flex-wrap items-center justify-between gap-3 bg-yellow-500/10 backdrop-blur-xl border border-yellow-500/30 rounded-lg text-sm text-yellow-800 dark:text-amber-300 anim-fade-in-up">
+      <span>
+        {isServerReachable ? "" : "Can't reach the server. Showing the copy saved on this device; changes will sync when it's back. "}
+        {pendingText}
+      </span>
+      <GlassButton onClick={onSync} disabled={isSyncing} className="bg-yellow-500/10 border-yellow-500/30 text-yellow-800 dark:text-amber-300 hover:bg-yellow-500/20 text-xs px-3">
+        {isSyncing ? "Syncing..." : "Sync Now"}
+      </GlassButton>
+    </div>
+  );
+}
+
+const formatFieldValue = (value) => {
+  if (value == null || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const CONFLICT_ENTITY_LABELS = { problems: "problem", links: "quick link", lists: "list", contests: "contest" };
+
+function SyncConflictList({ conflicts, onResolve, operations }) {
+  if (conflicts.length === 0) return null;
+  return (
+    <div className="mb-6 p-4 bg-red-500/10 backdrop-blur-xl border border-red-500/30 rounded-lg anim-fade-in-up">
+      <h3 className="text-lg font-bold text-red-800 dark:text-red-300">Sync Conflicts ({conflicts.length})</h3>
+      <p className="text-sm text-red-700 dark:text-red-300 mb-3">These records were changed on the server while you edited them offline. Choose which version to keep.</p>
+      <div className="space-y-3">
+        {conflicts.map(conflict => {
+          const name = conflict.local?.name || conflict.server?.name || conflict.recordId;
+          const isResolving = operations[`resolveConflict:${conflict.id}`]?.status === 'pending';
+          return (
+            <div key={conflict.id} className="p-3 bg-white/30 dark:bg-slate-800/30 rounded-md text-sm">
+              <div className="font-medium text-gray-900 dark:text-slate-100">{name} <span className="text-xs text-gray-600 dark:text-slate-400">({CONFLICT_ENTITY_LABELS[conflict.entity]})</span></div>
+              {conflict.server ? (
+                <table className="mt-2 w-full text-xs">
+                  <thead><tr className="text-left text-gray-600 dark:text-slate-400"><th className="pr-3">Field</th><th className="pr-3">Yours</th><th>Server</th></tr></thead>
+                  <tbody>
+                    {conflict.fields.map(field => (
+                      <tr key={field} className="align-top"><td className="pr-3 font-medium text-gray-700 dark:text-slate-300">{field}</td><td className="pr-3 text-gray-800 dark:text-slate-200 break-all">{formatFieldValue(conflict.local[field])}</td><td className="text-gray-800 dark:text-slate-200 break-all">{formatFieldValue(conflict.server[field])}</td></tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="mt-1 text-xs text-gray-700 dark:text-slate-300">It was deleted on the server.</p>
+              )}
+              <div className="mt-3 flex gap-2">
+                <GlassButton onClick={() => onResolve(conflict, 'local')} disabled={isResolving} className="bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover text-xs px-3">Keep Mine</GlassButton>
+                <GlassButton onClick={() => onResolve(conflict, 'server')} disabled={isResolving} className="text-xs px-3">{conflict.server ? "Use Server Version" : "Accept Deletion"}</GlassButton>
+              </div>
+            </div>
+          );
+        })}
       </div>
     </div>
   );
@@ -479,221 +3019,947 @@ function RevisionList({ problems, onMarkAsRevised }) {
 // --- 7. Main App Component ---
 export default function App() {
   // --- Auth State ---
-  const [user, setUser] = useLocalStorageState('cp-user', null);
+  const [session, setSession] = useState(loadSession);
+  const [authNotice, setAuthNotice] = useState(null);
+  const user = session?.user;
+  const userId = user?.id;
 
   // --- Main Data State ---
   const [problems, setProblems] = useState([]);
   const [links, setLinks] = useState([]);
-  const [isLoadingProblems, setIsLoadingProblems] = useState(false);
-  const [isLoadingLinks, setIsLoadingLinks] = useState(false);
-  const [error, setError] = useState(null);
+  const [lists, setLists] = useState([]);
+  const [contests, setContests] = useState([]);
+  const [groups, setGroups] = useState([]);
+  // Latest view of each opened group by id: { group, problems, reports }.
+  const [groupDetails, setGroupDetails] = useState({});
+  const [operations, runOperation] = useOperations();
+  const isPending = (key) => operations[key]?.status === 'pending';
+
+  // --- Offline Store & Sync State ---
+  // `ready` flips once the IndexedDB cache has been opened (or found unavailable, leaving `db` null).
+  const [localStore, setLocalStore] = useState({ db: null, ready: false });
+  const [isServerReachable, setIsServerReachable] = useState(true);
+  const [pendingOpCount, setPendingOpCount] = useState(0);
+  const [conflicts, setConflicts] = useState([]);
   
-  // --- UI State ---
-  const [searchTerm, setSearchTerm] = useState("");
-  const [editingProblemId, setEditingProblemId] = useState(null);
-  const [filterSource, setFilterSource] = useState("All");
-  const [filterDifficulty, setFilterDifficulty] = useState("All");
-  const [sortConfig, setSortConfig] = useState({ key: 'addedAt', direction: 'desc' });
-  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  // --- Routing & List Query State ---
+  // Search, filters and sort live in the list's query string; the last one is
+  // remembered so "back to the list" returns to the same filtered view. The
+  // query is parsed once per URL, so its tags and sort keep their identity.
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const listQuery = useMemo(() => parseListQuery(searchParams), [searchParams]);
+  const { searchTerm, filterSource, filterDifficulty, filterTags, tagMatchMode, sortConfig } = listQuery;
+  const updateListQuery = (changes) => setSearchParams(listQueryToSearchParams({ ...listQuery, ...changes }), { replace: true });
+  const [lastListSearch, setLastListSearch] = useState('');
+  const isOnList = location.pathname === '/';
+  useEffect(() => { if (isOnList) setLastListSearch(location.search); }, [isOnList, location.search]);
+  const listPath = `/${isOnList ? location.search : lastListSearch}`;
 
   // --- Customization State ---
-  const [customHeading, setCustomHeading] = useLocalStorageState('cp-heading', 'Competitive Programming Compendium');
-  const [accentHue, setAccentHue] = useLocalStorageState('cp-accent-hue', '210');
-  const [animationsOn, setAnimationsOn] = useLocalStorageState('cp-animations-on', true);
-  const [backgroundUrl, setBackgroundUrl] = useLocalStorageState('cp-background-url', null);
+  const [preferenceRecord, setPreferenceRecord] = useState(loadLocalPreferences);
+  const preferences = preferenceRecord.values;
+  const { customHeading, accentHue, themeMode, glassIntensity, animationsOn, backgroundUrl } = preferences;
+  const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+  const theme = themeMode === 'system' ? (prefersDark ? 'dark' : 'light') : themeMode;
+  const [columnLayout, setColumnLayout] = useLocalStorageState('cp-list-columns', DEFAULT_COLUMN_LAYOUT);
+  const [serverPaging, setServerPaging] = useLocalStorageState('cp-server-paging', false);
+  const [pageState, setPageState] = useState({ page: 0, size: 50 });
+  const [showColumnSettings, setShowColumnSettings] = useState(false);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [activeRowId, setActiveRowId] = useState(null);
+  const [showShortcutHelp, setShowShortcutHelp] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  const [focusTarget, setFocusTarget] = useState(null);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [lastBulkDelete, setLastBulkDelete] = useState(null);
+  const selectionAnchor = useRef(null);
+  const [searchPresets, setSearchPresets] = useLocalStorageState('cp-search-presets', []);
+  const [sessionDailyCap, setSessionDailyCap] = useLocalStorageState('cp-session-daily-cap', 10);
+  const [sessionTimeLimit, setSessionTimeLimit] = useLocalStorageState('cp-session-time-limit', 0);
   
   useEffect(() => {
-    document.documentElement.style.setProperty('--accent-hue', accentHue);
-    document.documentElement.dataset.animations = animationsOn;
-  }, [accentHue, animationsOn]);
-
-  // --- API Headers Helper ---
-  const getHeaders = useCallback(() => ({ 
-    'Content-Type': 'application/json',
-    'X-User-Id': user?.id 
-  }), [user]);
-
-  // --- Auth Handlers (PRIMITIVE ALERT BASED) ---
-  const handleLogin = async () => {
-    const username = prompt("Primitive Login\n\nEnter Username:");
-    if (!username) return;
-    const password = prompt("Enter Password:");
-    if (!password) return;
+    const root = document.documentElement;
+    root.style.setProperty('--accent-hue', accentHue);
+    Object.entries(glassVariables(glassIntensity)).forEach(([name, value]) => root.style.setProperty(name, value));
+    root.dataset.animations = animationsOn;
+    root.classList.toggle('dark', theme === 'dark');
+  }, [accentHue, glassIntensity, animationsOn, theme]);
 
+  // --- Auth Handlers ---
+  const endSession = useCallback((notice = null) => {
+    clearSession();
+    setSession(null);
+    setLocalStore({ db: null, ready: false });
+    setProblems([]);
+    setLinks([]);
+    setLists([]);
+    setContests([]);
+    setGroups([]);
+    setGroupDetails({});
+    setConflicts([]);
+    setPendingOpCount(0);
+    setAuthNotice(notice);
+  }, []);
+
+  const authenticate = async (endpoint, username, password) => {
+    let data;
     try {
-      const response = await fetch(`${USERS_API_URL}/login`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ username, password })
-      });
-      
-      if (!response.ok) {
-        alert("Login Failed: Invalid credentials or server error.");
-        return;
-      }
-      
-      const userData = await response.json();
-      
-      // FIX: Save directly to localStorage to ensure it persists before UI update
-      window.localStorage.setItem('cp-user', JSON.stringify(userData));
-      setUser(userData); // Updates state, triggering re-render of authenticated UI
-      
-    } catch (e) {
-      alert("Login Failed: " + e.message);
+      data = await apiRequest(`${USERS_API_URL}/${endpoint}`, { method: 'POST', body: { username, password }, skipAuth: true, silent: true });
+    } catch (err) {
+      throw new Error(endpoint === 'login' && err.status === 401 ? "Invalid username or password." : err.message);
     }
+    const newSession = sessionFromAuthResponse(data);
+    saveSession(newSession);
+    setAuthNotice(null);
+    setSession(newSession);
   };
 
+  const handleLogin = (username, password) => authenticate('login', username, password);
+  const handleRegister = (username, password) => authenticate('register', username, password);
+
   const handleLogout = () => {
-    if (window.confirm("Are you sure you want to logout?")) {
-      setUser(null);
-      window.localStorage.removeItem('cp-user');
-    }
+    if (window.confirm("Are you sure you want to logout?")) endSession();
   };
 
-  const handleChangePassword = async () => {
-    const newPass = prompt("Enter your NEW password:");
-    if (!newPass) return;
-    
-    try {
-      const response = await fetch(`${USERS_API_URL}/${user.id}/password`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ password: newPass })
-      });
-      if (response.ok) alert("Password updated successfully!");
-      else alert("Failed to update password.");
-    } catch (e) { alert("Error: " + e.message); }
+  const handleChangePassword = async (currentPassword, newPassword) => {
+    await apiRequest(`${USERS_API_URL}/${user.id}/password`, { method: 'PUT', body: { currentPassword, newPassword }, silent: true });
   };
 
-  // Handlers for Background
-  const handleBackgroundChange = (url) => setBackgroundUrl(url);
-  const handleBackgroundClear = () => setBackgroundUrl(null);
-
+  // Any 401 from the API, or the token running out, sends the user back to the login screen.
+  useEffect(() => {
+    setUnauthorizedHandler(() => endSession("Your session has expired. Please log in again."));
+    return () => setUnauthorizedHandler(null);
+  }, [endSession]);
 
-  // --- NEW: Auto-Login Trigger on Mount ---
   useEffect(() => {
-    // If user is not logged in, wait 500ms then ask for login
-    if (!user) {
-      const timer = setTimeout(() => {
-        handleLogin();
-      }, 500);
-      return () => clearTimeout(timer);
-    }
-  }, []); // Run once on mount
+    if (!session) return;
+    // setTimeout overflows past ~24.8 days, so long-lived tokens are re-checked on the next load instead.
+    const delay = session.expiresAt - Date.now();
+    if (delay > 2 ** 31 - 1) return;
+    const timer = setTimeout(() => endSession("Your session has expired. Please log in again."), delay);
+    return () => clearTimeout(timer);
+  }, [session, endSession]);
 
+  // --- Preferences ---
+  // Every change is saved locally right away and sent to the server shortly
+  // after (changes made offline go up on the next login; see reconcilePreferences).
+  const preferencesToPush = useRef(false);
+  const latestPreferences = useRef(preferenceRecord);
+  useEffect(() => { latestPreferences.current = preferenceRecord; }, [preferenceRecord]);
+
+  const handlePreferencesChange = (changes) => {
+    preferencesToPush.current = true;
+    setPreferenceRecord(record => ({ userId: user?.id ?? null, updatedAt: new Date().toISOString(), values: normalizePreferences({ ...record.values, ...changes }, record.values) }));
+  };
 
-  // --- Data Fetching Effects ---
   useEffect(() => {
-    if (!user) return; 
+    saveLocalPreferences(preferenceRecord);
+    if (!userId || !preferencesToPush.current) return;
+    const timer = setTimeout(async () => {
+      try {
+        await apiRequest(`${USERS_API_URL}/${userId}/preferences`, { method: 'PUT', body: { ...preferenceRecord.values, updatedAt: preferenceRecord.updatedAt }, silent: true });
+        preferencesToPush.current = false;
+      } catch (err) {
+        if (!err.isNetworkError && err.status !== 401) notify(`Couldn't save your preferences: ${err.message}`);
+      }
+    }, PREFERENCES_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [preferenceRecord, userId]);
 
-    const fetchProblems = async () => {
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    (async () => {
+      let server = null;
       try {
-        setIsLoadingProblems(true);
-        const response = await fetch(PROBLEMS_API_URL, { headers: getHeaders() });
-        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-        const data = await response.json();
-        setProblems(data);
-      } catch (err) { setError(err.message); console.error(err); } finally { setIsLoadingProblems(false); }
-    };
+        server = await apiRequest(`${USERS_API_URL}/${userId}/preferences`, { silent: true });
+      } catch (err) {
+        if (err.status !== 404) return; // offline: keep the local copy for now
+      }
+      if (cancelled) return;
+      const { record, push } = reconcilePreferences(latestPreferences.current, server, userId);
+      preferencesToPush.current = push;
+      setPreferenceRecord(record);
+    })();
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  // Settings carried in a full backup bundle. The background image is left out: it can be megabytes of base64.
+  const exportableSettings = { customHeading, accentHue, themeMode, glassIntensity, animationsOn };
+  const applySettings = (settings) => {
+    const keys = Object.keys(DEFAULT_PREFERENCES).filter(key => key !== 'backgroundUrl' && settings[key] !== undefined);
+    if (keys.length > 0) handlePreferencesChange(Object.fromEntries(keys.map(key => [key, settings[key]])));
+  };
+
 
-    const fetchLinks = async () => {
+  // --- Local Cache ---
+  // Problems, links, lists and contests are mirrored into IndexedDB so the last known state shows
+  // immediately on load and stays usable while the server is unreachable.
+  useEffect(() => {
+    if (!userId) return;
+    let db = null;
+    let cancelled = false;
+    (async () => {
       try {
-        setIsLoadingLinks(true);
-        const response = await fetch(LINKS_API_URL, { headers: getHeaders() });
-        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-        const data = await response.json();
-        setLinks(data);
-      } catch (err) { setError(err.message); console.error(err); } finally { setIsLoadingLinks(false); }
-    };
+        db = await openLocalStore(userId);
+        const [cachedProblems, cachedLinks, cachedLists, cachedContests, storedConflicts, pendingCount] = await Promise.all([
+          readAll(db, STORES.problems), readAll(db, STORES.links), readAll(db, STORES.lists), readAll(db, STORES.contests), loadConflicts(db), countPendingOperations(db),
+        ]);
+        if (cancelled) return;
+        setProblems(cachedProblems.map(migrateSchedule));
+        setLinks(cachedLinks);
+        setLists(cachedLists);
+        setContests(cachedContests);
+        setConflicts(storedConflicts);
+        setPendingOpCount(pendingCount);
+        setLocalStore({ db, ready: true });
+      } catch (err) {
+        console.error("Local cache unavailable, working online only", err);
+        if (!cancelled) setLocalStore({ db: null, ready: true });
+      }
+    })();
+    return () => { cancelled = true; if (db) db.close(); };
+  }, [userId]);
 
-    fetchProblems();
-    fetchLinks();
-  }, [user, getHeaders]); 
+  useEffect(() => {
+    if (localStore.db) replaceAll(localStore.db, STORES.problems, problems).catch(err => console.error("Error caching problems", err));
+  }, [localStore.db, problems]);
 
+  useEffect(() => {
+    if (localStore.db) replaceAll(localStore.db, STORES.links, links).catch(err => console.error("Error caching links", err));
+  }, [localStore.db, links]);
 
-  // --- CRUD Handlers ---
-  const handleAddProblem = async (data) => {
-    const dto = { name: data.name, url: data.url, source: data.source, difficulty: data.difficulty, rating: data.rating, remarks: data.remarks, submissionLink: data.submissionLink };
+  useEffect(() => {
+    if (localStore.db) replaceAll(localStore.db, STORES.lists, lists).catch(err => console.error("Error caching lists", err));
+  }, [localStore.db, lists]);
+
+  useEffect(() => {
+    if (localStore.db) replaceAll(localStore.db, STORES.contests, contests).catch(err => console.error("Error caching contests", err));
+  }, [localStore.db, contests]);
+
+  // --- Data Fetching ---
+  // Load failures caused by the server being unreachable only flip the offline
+  // banner; the cached copy stays on screen.
+  const fetchCollection = useCallback(async (entity, url, errorMessage) => {
+    let data;
     try {
-      const res = await fetch(PROBLEMS_API_URL, { method: 'POST', headers: getHeaders(), body: JSON.stringify(dto) });
-      if (res.ok) {
-        const newP = await res.json();
-        setProblems(p => [...p, newP]);
+      data = await apiRequest(url, { silent: true });
+    } catch (err) {
+      if (err.isNetworkError) setIsServerReachable(false);
+      else if (err.status !== 401) notify(`${errorMessage}: ${err.message}`);
+      throw err;
+    }
+    setIsServerReachable(true);
+    const pending = localStore.db ? await loadPendingOperations(localStore.db) : [];
+    return applyPendingOperations(entity, data, pending);
+  }, [localStore.db]);
+
+  const loadProblems = useCallback(() => runOperation('loadProblems', async () => {
+    const data = await fetchCollection('problems', PROBLEMS_API_URL, "Couldn't load problems");
+    setProblems(data.map(migrateSchedule));
+  }), [runOperation, fetchCollection]);
+
+  const loadLinks = useCallback(() => runOperation('loadLinks', async () => {
+    setLinks(await fetchCollection('links', LINKS_API_URL, "Couldn't load quick links"));
+  }), [runOperation, fetchCollection]);
+
+  const loadLists = useCallback(() => runOperation('loadLists', async () => {
+    setLists(await fetchCollection('lists', LISTS_API_URL, "Couldn't load problem lists"));
+  }), [runOperation, fetchCollection]);
+
+  const loadContests = useCallback(() => runOperation('loadContests', async () => {
+    setContests(await fetchCollection('contests', CONTESTS_API_URL, "Couldn't load contests"));
+  }), [runOperation, fetchCollection]);
+
+  // --- Sync ---
+  const syncInFlight = useRef(false);
+  const syncPendingChanges = useCallback(async () => {
+    // The interval and the 'online' event can overlap; replaying twice would duplicate creates.
+    if (syncInFlight.current) return;
+    syncInFlight.current = true;
+    await runOperation('sync', async () => {
+      const { db } = localStore;
+      if (db) {
+        const remaining = await replayPendingOperations(db, {
+          onSaved: (entity, recordId, saved) => {
+            if (entity === 'problems') {
+              setProblems(p => p.map(x => x.id === recordId ? migrateSchedule(saved) : x));
+              // Lists that picked up the problem while it only existed locally now point at its server id.
+              setLists(l => l.map(list => remapReferences('lists', list, 'problems', recordId, saved.id)));
+            } else if (entity === 'contests') {
+              setContests(c => c.map(x => x.id === recordId ? saved : x));
+              setProblems(p => p.map(problem => remapReferences('problems', problem, 'contests', recordId, saved.id)));
+            } else if (entity === 'lists') setLists(l => l.map(x => x.id === recordId ? saved : x));
+            else setLinks(l => l.map(x => x.id === recordId ? saved : x));
+          },
+          onConflict: (conflict) => setConflicts(c => [...c, conflict]),
+        });
+        setPendingOpCount(remaining);
       }
-    } catch (e) { console.error(e); }
+      await Promise.all([loadProblems(), loadLinks(), loadLists(), loadContests()]);
+    });
+    syncInFlight.current = false;
+  }, [runOperation, localStore, loadProblems, loadLinks, loadLists, loadContests]);
+
+  useEffect(() => {
+    if (localStore.ready) syncPendingChanges();
+  }, [localStore.ready, syncPendingChanges]);
+
+  // Retry when the browser comes back online, and poll while there's something left to sync.
+  const needsSync = pendingOpCount > 0 || !isServerReachable;
+  useEffect(() => {
+    if (!localStore.ready) return;
+    window.addEventListener('online', syncPendingChanges);
+    const timer = needsSync ? setInterval(syncPendingChanges, SYNC_RETRY_INTERVAL_MS) : null;
+    return () => { window.removeEventListener('online', syncPendingChanges); clearInterval(timer); };
+  }, [localStore.ready, needsSync, syncPendingChanges]);
+
+  const queueChange = async (op) => {
+    await queueOperation(localStore.db, op);
+    setPendingOpCount(await countPendingOperations(localStore.db));
   };
 
-  const handleUpdateProblem = async (updated) => {
+  // Sends a change to the server, or queues it when the server can't be reached.
+  // Resolves to the saved record, or null if the change was queued (or was a delete).
+  const saveChange = async (op, errorMessage) => {
+    const canQueue = !!localStore.db;
+    if (canQueue && (isLocalId(op.recordId) || !navigator.onLine)) {
+      await queueChange(op);
+      return null;
+    }
     try {
-      const res = await fetch(`${PROBLEMS_API_URL}/${updated.id}`, { method: 'PUT', headers: getHeaders(), body: JSON.stringify(updated) });
-      if (res.ok) { const saved = await res.json(); setProblems(p => p.map(x => x.id === saved.id ? saved : x)); setEditingProblemId(null); }
-    } catch (e) { console.error(e); }
+      const saved = await sendOperation(op, { silent: true });
+      setIsServerReachable(true);
+      return saved;
+    } catch (err) {
+      if (canQueue && err.isNetworkError) {
+        setIsServerReachable(false);
+        await queueChange(op);
+        return null;
+      }
+      if (err.status !== 401) notify(`${errorMessage}: ${err.message}`);
+      throw err;
+    }
+  };
+
+  const handleResolveConflict = (conflict, keep) => runOperation(`resolveConflict:${conflict.id}`, async () => {
+    const record = await resolveConflict(localStore.db, conflict, keep);
+    const normalize = conflict.entity === 'problems' ? migrateSchedule : (x) => x;
+    const replace = (list) => {
+      const rest = list.filter(x => x.id !== conflict.recordId);
+      if (!record) return rest;
+      return list.some(x => x.id === conflict.recordId) ? list.map(x => x.id === conflict.recordId ? normalize(record) : x) : [...rest, normalize(record)];
+    };
+    if (conflict.entity === 'problems') setProblems(replace);
+    else if (conflict.entity === 'lists') setLists(replace);
+    else if (conflict.entity === 'contests') setContests(replace);
+    else setLinks(replace);
+    setConflicts(c => c.filter(x => x.id !== conflict.id));
+  });
+
+
+  // --- CRUD Handlers ---
+  // Each handler resolves to true on success (including changes queued while
+  // offline); failures have already been toasted.
+  // Resolves to the stored problem (with a local id if the create was queued).
+  const createProblem = async (data) => {
+    const localId = createLocalId();
+    const dto = applyStatusSchedule({ name: data.name, url: data.url, source: data.source, difficulty: data.difficulty, rating: data.rating, remarks: data.remarks, submissionLink: data.submissionLink, tags: data.tags, externalId: data.externalId, status: data.status, contestId: data.contestId, contestResult: data.contestResult });
+    const saved = await saveChange({ entity: 'problems', action: 'create', recordId: localId, payload: { ...dto, id: localId } }, "Couldn't add the problem");
+    const problem = migrateSchedule(saved || { ...dto, id: localId, addedAt: new Date().toISOString() });
+    setProblems(p => [...p, problem]);
+    return problem;
   };
 
+  const handleAddProblem = (data) => runOperation('addProblem', () => createProblem(data));
+
+  // Changing the status also starts or clears the revision schedule (see applyStatusSchedule).
+  const handleUpdateProblem = (changes) => runOperation(`updateProblem:${changes.id}`, async () => {
+    const base = problems.find(p => p.id === changes.id);
+    const updated = applyStatusSchedule(changes, base);
+    const saved = await saveChange({ entity: 'problems', action: 'update', recordId: updated.id, payload: updated, base }, "Couldn't save the problem");
+    setProblems(p => p.map(x => x.id === updated.id ? migrateSchedule(saved || updated) : x));
+  });
+
   const handleDeleteProblem = async (id) => {
-    if(!window.confirm("Delete this problem?")) return;
+    if(!window.confirm("Delete this problem?")) return false;
+    return runOperation(`deleteProblem:${id}`, async () => {
+      await saveChange({ entity: 'problems', action: 'delete', recordId: id }, "Couldn't delete the problem");
+      setProblems(p => p.filter(x => x.id !== id));
+    });
+  };
+
+  // Creates problems in one batch request, or queues them when offline.
+  const createProblemsBatch = async (records, errorMessage) => {
+    const payload = records.map(record => applyStatusSchedule(record));
+    let newProbs;
     try {
-      const res = await fetch(`${PROBLEMS_API_URL}/${id}`, { method: 'DELETE', headers: getHeaders() });
-      if (res.ok) setProblems(p => p.filter(x => x.id !== id));
-    } catch (e) { console.error(e); }
+      newProbs = await apiRequest(`${PROBLEMS_API_URL}/batch`, { method: 'POST', body: payload, silent: !!localStore.db, errorMessage });
+    } catch (err) {
+      if (!localStore.db) throw err;
+      if (!err.isNetworkError) { notify(`${errorMessage}: ${err.message}`); throw err; }
+      setIsServerReachable(false);
+      newProbs = payload.map(problem => ({ ...problem, id: createLocalId() }));
+      for (const problem of newProbs) {
+        await queueOperation(localStore.db, { entity: 'problems', action: 'create', recordId: problem.id, payload: problem });
+      }
+      setPendingOpCount(await countPendingOperations(localStore.db));
+    }
+    setProblems(p => [...p, ...newProbs.map(migrateSchedule)]);
+    return newProbs;
   };
 
-  const handleImportData = async (imported) => {
+  // Updates or deletes many problems or links with one PUT/DELETE on the
+  // entity's batch endpoint. Records that only exist locally, and everything
+  // while offline, go through the sync queue one by one instead. Resolves to
+  // the saved records for updates, or null when (part of) the batch was queued.
+  const batchEntities = { problems: { url: PROBLEMS_API_URL, current: problems }, links: { url: LINKS_API_URL, current: links } };
+  const saveBatch = async (entity, action, records, errorMessage) => {
+    const { url, current } = batchEntities[entity];
+    const queueAll = async (list) => {
+      for (const record of list) {
+        const op = action === 'update'
+          ? { entity, action, recordId: record.id, payload: record, base: current.find(x => x.id === record.id) }
+          : { entity, action, recordId: record.id };
+        await queueOperation(localStore.db, op);
+      }
+      setPendingOpCount(await countPendingOperations(localStore.db));
+    };
+    const canQueue = !!localStore.db;
+    const localOnly = canQueue ? records.filter(r => isLocalId(r.id)) : [];
+    const remote = records.filter(r => !localOnly.includes(r));
+    if (localOnly.length > 0) await queueAll(localOnly);
+    if (remote.length === 0) return null;
+    if (canQueue && !navigator.onLine) { await queueAll(remote); return null; }
+    const body = action === 'update' ? remote : { ids: remote.map(r => r.id) };
     try {
-      const res = await fetch(`${PROBLEMS_API_URL}/batch`, { method: 'POST', headers: getHeaders(), body: JSON.stringify(imported) });
-      if (res.ok) {
-        const newProbs = await res.json();
-        setProblems(p => [...p, ...newProbs]);
+      const saved = await apiRequest(`${url}/batch`, { method: action === 'update' ? 'PUT' : 'DELETE', body, silent: true });
+      setIsServerReachable(true);
+      return localOnly.length === 0 && Array.isArray(saved) ? saved : null;
+    } catch (err) {
+      if (canQueue && err.isNetworkError) {
+        setIsServerReachable(false);
+        await queueAll(remote);
+        return null;
       }
-    } catch (e) { console.error(e); }
+      if (err.status !== 401) notify(`${errorMessage}: ${err.message}`);
+      throw err;
+    }
   };
 
-  const handleMarkAsRevised = async (id) => {
+  const saveProblemsBatch = (action, records, errorMessage) => saveBatch('problems', action, records, errorMessage);
+
+  // Applies a reviewed import: new problems, overwritten/merged duplicates,
+  // quick links from a backup bundle and (optionally) its settings.
+  const handleCommitImport = ({ creates, updates, links: importedLinks, settings }) => runOperation('importProblems', async () => {
+    if (creates.length > 0) await createProblemsBatch(creates, "Import failed");
+    for (const updated of updates) {
+      const base = problems.find(p => p.id === updated.id);
+      const saved = await saveChange({ entity: 'problems', action: 'update', recordId: updated.id, payload: updated, base }, "Couldn't update an imported problem");
+      setProblems(p => p.map(x => x.id === updated.id ? migrateSchedule(saved || updated) : x));
+    }
+    const knownLinkUrls = new Set(links.map(l => normalizeUrl(l.url)));
+    const newLinks = importedLinks.filter(l => l.url && !knownLinkUrls.has(normalizeUrl(l.url)));
+    let position = nextLinkPosition(links);
+    for (const { name, url, logoSvg, group = '' } of newLinks) {
+      const localId = createLocalId();
+      const payload = { id: localId, name, url, logoSvg: normalizeLinkLogo(logoSvg), group, position: position++ };
+      const saved = await saveChange({ entity: 'links', action: 'create', recordId: localId, payload }, "Couldn't import a quick link");
+      setLinks(l => [...l, saved || payload]);
+    }
+    if (settings) applySettings(settings);
+    notify(`Imported ${creates.length} new and updated ${updates.length} existing problems${newLinks.length ? `, plus ${newLinks.length} links` : ''}.`, { type: 'success' });
+  });
+
+  const handleMarkAsRevised = async (id, grade, details = {}) => {
     const problem = problems.find(p => p.id === id);
-    if (!problem) return;
-    const newLvl = (problem.revisionLevel || 0) + 1;
-    await handleUpdateProblem({ ...problem, revisionLevel: newLvl, nextRevisionDate: getNextRevisionDate(newLvl) });
+    if (!problem) return false;
+    return handleUpdateProblem(recordReview(problem, { ...details, grade }));
   };
 
-  const handleAddLink = async (name, url, logoSvg) => {
-    try {
-      const res = await fetch(LINKS_API_URL, { method: 'POST', headers: getHeaders(), body: JSON.stringify({ name, url, logoSvg }) });
-      if (res.ok) {
-        const newL = await res.json();
-        setLinks(l => [...l, newL]);
+  const handleRescheduleRevision = (problem, date) => handleUpdateProblem({ ...problem, nextRevisionDate: date });
+
+  // Moves every overdue problem onto the lightest of the next `days` days, in one batch.
+  const handleSpreadBacklog = (days) => runOperation('spreadBacklog', async () => {
+    const updated = spreadBacklog(problems, days);
+    if (updated.length === 0) return;
+    const saved = await saveProblemsBatch('update', updated, "Couldn't reschedule the overdue problems");
+    const byId = new Map((saved || updated).map(p => [p.id, migrateSchedule(p)]));
+    setProblems(p => p.map(x => byId.get(x.id) || x));
+    notify(`Spread ${updated.length} overdue problems across the next ${days} days.`, { type: 'success' });
+  });
+
+  // Moves a due problem to tomorrow without logging a review.
+  const handlePostponeRevision = async (id) => {
+    const problem = problems.find(p => p.id === id);
+    if (!problem) return false;
+    return handleUpdateProblem({ ...problem, nextRevisionDate: addDays(1) });
+  };
+
+  const handleUndoRevision = async (id) => {
+    const problem = problems.find(p => p.id === id);
+    const restored = problem && undoLastReview(problem);
+    if (!restored) return false;
+    return handleUpdateProblem(restored);
+  };
+
+  // New links go last in the bar; `group` puts them under a named heading.
+  const handleAddLink = ({ name, url, logoSvg = '', group = '' }) => runOperation('addLink', async () => {
+    const localId = createLocalId();
+    const payload = { id: localId, name, url, logoSvg: normalizeLinkLogo(logoSvg), group, position: nextLinkPosition(links) };
+    const saved = await saveChange({ entity: 'links', action: 'create', recordId: localId, payload }, "Couldn't add the link");
+    setLinks(l => [...l, saved || payload]);
+  });
+
+  const handleUpdateLink = (updated) => runOperation(`updateLink:${updated.id}`, async () => {
+    const base = links.find(l => l.id === updated.id);
+    const payload = { ...updated, logoSvg: normalizeLinkLogo(updated.logoSvg) };
+    const saved = await saveChange({ entity: 'links', action: 'update', recordId: updated.id, payload, base }, "Couldn't save the link");
+    setLinks(l => l.map(x => x.id === updated.id ? saved || payload : x));
+  });
+
+  // Saves the links whose position or group changed (see quickLinks.moveLink)
+  // in one batch request. The new order shows straight away and goes back if
+  // the request fails.
+  const handleReorderLinks = (changed) => {
+    if (changed.length === 0) return Promise.resolve(true);
+    const previous = new Map(links.map(link => [link.id, link]));
+    setLinks(l => l.map(x => changed.find(link => link.id === x.id) || x));
+    return runOperation('reorderLinks', async () => {
+      try {
+        const saved = await saveBatch('links', 'update', changed, "Couldn't save the link order");
+        if (saved) {
+          const byId = new Map(saved.map(link => [link.id, link]));
+          setLinks(l => l.map(x => byId.get(x.id) || x));
+        }
+      } catch (err) {
+        setLinks(l => l.map(x => changed.some(link => link.id === x.id) ? previous.get(x.id) : x));
+        throw err;
       }
-    } catch (e) { console.error(e); }
+    });
   };
 
   const handleDeleteLink = async (id) => {
-    if(!window.confirm("Delete this link?")) return;
+    if(!window.confirm("Delete this link?")) return false;
+    return runOperation(`deleteLink:${id}`, async () => {
+      await saveChange({ entity: 'links', action: 'delete', recordId: id }, "Couldn't delete the link");
+      setLinks(l => l.filter(x => x.id !== id));
+    });
+  };
+
+  // --- Problem List Handlers ---
+  const createList = async ({ name, description = '', problemIds = [] }) => {
+    const localId = createLocalId();
+    const payload = { id: localId, name, description, problemIds };
+    const saved = await saveChange({ entity: 'lists', action: 'create', recordId: localId, payload }, "Couldn't create the list");
+    setLists(l => [...l, saved || payload]);
+    return saved || payload;
+  };
+
+  const updateList = async (updated) => {
+    const base = lists.find(l => l.id === updated.id);
+    const saved = await saveChange({ entity: 'lists', action: 'update', recordId: updated.id, payload: updated, base }, "Couldn't save the list");
+    setLists(l => l.map(x => x.id === updated.id ? saved || updated : x));
+  };
+
+  const handleCreateList = (data) => runOperation('createList', () => createList(data));
+  const handleUpdateList = (updated) => runOperation(`updateList:${updated.id}`, () => updateList(updated));
+
+  const handleDeleteList = async (id) => {
+    if(!window.confirm("Delete this list? Its problems are kept.")) return false;
+    return runOperation(`deleteList:${id}`, async () => {
+      await saveChange({ entity: 'lists', action: 'delete', recordId: id }, "Couldn't delete the list");
+      setLists(l => l.filter(x => x.id !== id));
+    });
+  };
+
+  const handleAddListTodo = (list, data) => runOperation(`updateList:${list.id}`, async () => {
+    const problem = await createProblem({ ...data, status: 'todo' });
+    await updateList({ ...list, problemIds: [...list.problemIds, problem.id] });
+  });
+
+  // A shared list reuses problems already in the collection (matched by problem key)
+  // and adds the rest as to-dos.
+  const handleImportList = (imported) => runOperation('importList', async () => {
+    const plan = planListImport(imported, problems);
+    const creates = plan.filter(entry => entry.create).map(entry => entry.create);
+    const created = creates.length > 0 ? await createProblemsBatch(creates, "Couldn't import the list") : [];
+    let next = 0;
+    const problemIds = plan.map(entry => (entry.existing ? entry.existing.id : created[next++].id));
+    await createList({ name: imported.name, description: imported.description, problemIds });
+    notify(`Imported "${imported.name}": ${problemIds.length} problems, ${creates.length} added as to-dos${imported.skipped ? `, ${imported.skipped} invalid entries skipped` : ''}.`, { type: 'success' });
+  });
+
+  // --- Contest Handlers ---
+  const handleCreateContest = (data) => runOperation('createContest', async () => {
+    const localId = createLocalId();
+    const saved = await saveChange({ entity: 'contests', action: 'create', recordId: localId, payload: { ...data, id: localId } }, "Couldn't log the contest");
+    setContests(c => [...c, saved || { ...data, id: localId }]);
+  });
+
+  const handleUpdateContest = (updated) => runOperation(`updateContest:${updated.id}`, async () => {
+    const base = contests.find(c => c.id === updated.id);
+    const saved = await saveChange({ entity: 'contests', action: 'update', recordId: updated.id, payload: updated, base }, "Couldn't save the contest");
+    setContests(c => c.map(x => x.id === updated.id ? saved || updated : x));
+  });
+
+  // Deleting a contest keeps its problems but unlinks them (one batch request).
+  const handleDeleteContest = async (id) => {
+    if(!window.confirm("Delete this contest? Its problems are kept.")) return false;
+    return runOperation(`deleteContest:${id}`, async () => {
+      const unlinked = problems.filter(p => p.contestId === id).map(p => ({ ...p, contestId: null, contestResult: null }));
+      if (unlinked.length > 0) {
+        const saved = await saveProblemsBatch('update', unlinked, "Couldn't unlink the contest's problems");
+        const byId = new Map((saved || unlinked).map(p => [p.id, migrateSchedule(p)]));
+        setProblems(p => p.map(x => byId.get(x.id) || x));
+      }
+      await saveChange({ entity: 'contests', action: 'delete', recordId: id }, "Couldn't delete the contest");
+      setContests(c => c.filter(x => x.id !== id));
+    });
+  };
+
+  // Links (or with a null contest, unlinks) a problem; the result also sets its status.
+  const handleLinkProblem = (problem, contestId, result) => handleUpdateProblem({
+    ...problem, contestId, contestResult: result, ...(result && { status: contestResultStatus(result) }),
+  });
+
+  const handleMarkUpsolved = (problem) => handleLinkProblem(problem, problem.contestId, 'upsolved');
+
+  const handleAddContestProblem = (contest, data, result) => runOperation(`contestProblems:${contest.id}`, () => createProblem({
+    ...data, contestId: contest.id, contestResult: result, status: contestResultStatus(result),
+  }));
+
+  // --- Study Group Handlers ---
+  // Groups live only on the server (or the mock, see groups.js): they aren't
+  // cached or queued offline. Opening a group publishes this user's progress
+  // on its shared problems, so the view that comes back includes their column.
+  const groupRequest = (request, errorMessage) => request.catch(err => {
+    if (err.status !== 401) notify(`${errorMessage}: ${err.message}`);
+    throw err;
+  });
+
+  const loadGroups = useCallback(() => runOperation('loadGroups', async () => {
     try {
-      const res = await fetch(`${LINKS_API_URL}/${id}`, { method: 'DELETE', headers: getHeaders() });
-      if (res.ok) setLinks(l => l.filter(x => x.id !== id));
-    } catch (e) { console.error(e); }
+      setGroups(await groupsClient.list());
+    } catch (err) {
+      if (!err.isNetworkError && err.status !== 401) notify(`Couldn't load your groups: ${err.message}`);
+      throw err;
+    }
+  }), [runOperation]);
+
+  useEffect(() => {
+    if (userId) loadGroups();
+  }, [userId, loadGroups]);
+
+  const storeGroupDetail = (detail) => {
+    setGroupDetails(d => ({ ...d, [String(detail.group.id)]: detail }));
+    setGroups(g => g.some(x => x.id === detail.group.id) ? g.map(x => x.id === detail.group.id ? detail.group : x) : [...g, detail.group]);
+  };
+
+  const publishProgress = async (groupId, current) => {
+    const report = progressReport(problems, current.problems.map(p => p.key));
+    storeGroupDetail(await groupRequest(groupsClient.report(groupId, report), "Couldn't update your progress"));
+  };
+
+  const handleOpenGroup = (groupId) => runOperation(`group:${groupId}`, async () => {
+    await publishProgress(groupId, await groupRequest(groupsClient.detail(groupId), "Couldn't load the group"));
+  });
+
+  const handleCreateGroup = (name) => runOperation('createGroup', async () => {
+    const group = await groupRequest(groupsClient.create(name), "Couldn't create the group");
+    setGroups(g => [...g, group]);
+  });
+
+  const handleJoinGroup = (inviteCode) => runOperation('joinGroup', async () => {
+    const group = await groupRequest(groupsClient.join(normalizeInviteCode(inviteCode)), "Couldn't join the group");
+    setGroups(g => [...g.filter(x => x.id !== group.id), group]);
+    notify(`Joined "${group.name}".`, { type: 'success' });
+  });
+
+  const handleLeaveGroup = async (group) => {
+    if (!window.confirm(`Leave "${group.name}"? Problems you shared stay with the group.`)) return false;
+    return runOperation(`leaveGroup:${group.id}`, async () => {
+      await groupRequest(groupsClient.leave(group.id), "Couldn't leave the group");
+      setGroups(g => g.filter(x => x.id !== group.id));
+      setGroupDetails(d => Object.fromEntries(Object.entries(d).filter(([id]) => id !== String(group.id))));
+    });
+  };
+
+  // Shares problems from a selection or a list (`listName`); ones the group
+  // already has are skipped by the server.
+  const handleShareToGroup = (groupId, selected, listName = null) => {
+    const group = groups.find(g => String(g.id) === String(groupId));
+    const shared = selected.map(p => shareableProblem(p, listName)).filter(p => p.key);
+    if (!group || shared.length === 0) return false;
+    return runOperation(`shareToGroup:${group.id}`, async () => {
+      await publishProgress(group.id, await groupRequest(groupsClient.share(group.id, shared), "Couldn't share the problems"));
+      notify(`Shared ${shared.length} problems with "${group.name}".`, { type: 'success' });
+    });
   };
 
-  // --- Edit State & Filter ---
-  const handleStartEdit = (id) => setEditingProblemId(id);
-  const handleCancelEdit = () => setEditingProblemId(null);
-  const problemToEdit = problems.find(p => p.id === editingProblemId);
+  const handleUnshareGroupProblem = (groupId, key) => runOperation(`unshareProblem:${key}`, async () => {
+    storeGroupDetail(await groupRequest(groupsClient.unshare(groupId, key), "Couldn't unshare the problem"));
+  });
+
+  // A teammate's shared problem joins this user's collection as a to-do.
+  const handleAddSharedProblem = (shared) => runOperation(`addSharedProblem:${shared.key}`, async () => {
+    const detected = parseProblemUrl(shared.url);
+    await createProblem({
+      name: shared.name, url: shared.url, source: shared.source || detected?.source || 'Other', externalId: detected?.externalId || null,
+      difficulty: shared.difficulty || PROBLEM_DIFFICULTIES[0], rating: shared.rating, tags: shared.tags || [], remarks: "", submissionLink: "", status: 'todo',
+    });
+    notify(`Added "${shared.name}" to your problems as a to-do.`, { type: 'success' });
+  });
+
+  // --- Filter ---
+  const allTags = collectTags(problems);
   
-  const visibleProblems = (() => {
-    let filtered = problems.filter(p => (p.name && p.name.toLowerCase().includes(searchTerm.toLowerCase())) || (p.source && p.source.toLowerCase().includes(searchTerm.toLowerCase())));
-    if (filterSource !== "All") filtered = filtered.filter(p => p.source === filterSource);
-    if (filterDifficulty !== "All") filtered = filtered.filter(p => p.difficulty === filterDifficulty);
-    filtered.sort((a, b) => {
-      const { key, direction } = sortConfig;
-      let valA = a[key]; let valB = b[key];
-      if (valA == null) valA = direction === 'asc' ? Infinity : -Infinity;
-      if (valB == null) valB = direction === 'asc' ? Infinity : -Infinity;
-      if (typeof valA === 'string') { valA = valA.toLowerCase(); valB = valB.toLowerCase(); }
-      if (valA < valB) return direction === 'asc' ? -1 : 1;
-      if (valA > valB) return direction === 'asc' ? 1 : -1;
-      return 0;
+  // Filtering runs on a deferred copy of the search text so typing stays
+  // responsive with thousands of problems; the result is memoized per query.
+  const deferredSearchTerm = useDeferredValue(searchTerm);
+  const search = useMemo(() => parseSearchQuery(deferredSearchTerm), [deferredSearchTerm]);
+  const visibleProblems = useMemo(() => {
+    const today = getTodayDate();
+    const filtered = problems.filter(p => matchesSearch(p, search.terms, today)
+      && (filterSource === "All" || p.source === filterSource)
+      && (filterDifficulty === "All" || p.difficulty === filterDifficulty)
+      && (filterTags.length === 0 || matchesTags(p, filterTags, tagMatchMode)));
+    return sortProblems(filtered, sortConfig);
+  }, [problems, search, filterSource, filterDifficulty, filterTags, tagMatchMode, sortConfig]);
+
+  // --- Server-side Paging ---
+  // Optional: the list shows one server page at a time, sorted and filtered by
+  // the backend. Offline (or if the request fails) it falls back to the local list.
+  const listQueryKey = listQueryToSearchParams(listQuery).toString();
+  useEffect(() => setPageState(s => ({ ...s, page: 0 })), [listQueryKey]);
+  const serverPage = useServerPage(`${PROBLEMS_API_URL}?${problemPageSearchParams(listQuery, pageState.page, pageState.size)}`, { enabled: serverPaging && isServerReachable, reloadKey: problems });
+  const useServerList = serverPaging && isServerReachable && serverPage.status !== 'error' && serverPage.data;
+  const listedProblems = useServerList ? (serverPage.data.content || []).map(migrateSchedule) : visibleProblems;
+
+  // --- Bulk Selection ---
+  // Shift-click selects the range from the last clicked row in the listed order.
+  const selectedProblems = problems.filter(p => selectedIds.has(p.id));
+  const handleToggleSelect = (id, shiftKey) => {
+    const ids = listedProblems.map(p => p.id);
+    const anchorIndex = ids.indexOf(selectionAnchor.current);
+    const range = shiftKey && anchorIndex !== -1 ? ids.slice(Math.min(anchorIndex, ids.indexOf(id)), Math.max(anchorIndex, ids.indexOf(id)) + 1) : [id];
+    const select = !selectedIds.has(id);
+    setSelectedIds(current => {
+      const next = new Set(current);
+      range.forEach(rangeId => (select ? next.add(rangeId) : next.delete(rangeId)));
+      return next;
     });
-    return filtered;
-  })();
+    selectionAnchor.current = id;
+  };
+  const handleToggleSelectAll = () => {
+    const allListed = listedProblems.length > 0 && listedProblems.every(p => selectedIds.has(p.id));
+    setSelectedIds(current => {
+      const next = new Set(current);
+      listedProblems.forEach(p => (allListed ? next.delete(p.id) : next.add(p.id)));
+      return next;
+    });
+  };
+
+  const handleBulkUpdate = (change, message) => runOperation('bulkUpdate', async () => {
+    const updated = selectedProblems.map(change);
+    const saved = await saveProblemsBatch('update', updated, "Couldn't update the selected problems");
+    const byId = new Map((saved || updated).map(p => [p.id, migrateSchedule(p)]));
+    setProblems(p => p.map(x => byId.get(x.id) || x));
+    notify(message, { type: 'success' });
+  });
+
+  // Bulk delete skips the confirm dialog; the deleted problems can be restored
+  // from the undo bar instead (as new records, so they get new ids). The lists
+  // that held them are remembered so the restored copies can go back in.
+  const handleBulkDelete = () => runOperation('bulkDelete', async () => {
+    const deleted = selectedProblems;
+    await saveProblemsBatch('delete', deleted, "Couldn't delete the selected problems");
+    const deletedIds = new Set(deleted.map(p => p.id));
+    setProblems(p => p.filter(x => !deletedIds.has(x.id)));
+    setSelectedIds(new Set());
+    const memberships = lists.filter(l => l.problemIds.some(id => deletedIds.has(id))).map(l => ({ listId: l.id, problemIds: l.problemIds }));
+    setLastBulkDelete({ problems: deleted, memberships });
+  });
+
+  const handleBulkAddToList = (listId) => {
+    const list = lists.find(l => String(l.id) === listId);
+    if (!list) return false;
+    const added = selectedProblems.map(p => p.id).filter(id => !list.problemIds.includes(id));
+    return runOperation(`updateList:${list.id}`, async () => {
+      await updateList({ ...list, problemIds: [...list.problemIds, ...added] });
+      notify(`Added ${added.length} problems to "${list.name}".`, { type: 'success' });
+    });
+  };
+
+  // Restored copies take their old places in the lists they were in; anything
+  // added to those lists since stays, after them.
+  const handleUndoBulkDelete = () => runOperation('undoBulkDelete', async () => {
+    const restored = await createProblemsBatch(lastBulkDelete.problems.map(({ id, ...problem }) => problem), "Couldn't restore the problems");
+    const newIds = new Map(lastBulkDelete.problems.map((p, index) => [p.id, restored[index]?.id]).filter(([, id]) => id != null));
+    const restoredIds = new Set(newIds.values());
+    for (const { listId, problemIds } of lastBulkDelete.memberships) {
+      const list = lists.find(l => l.id === listId);
+      if (!list) continue;
+      const kept = problemIds.map(id => newIds.get(id) ?? id).filter(id => restoredIds.has(id) || list.problemIds.includes(id));
+      const added = list.problemIds.filter(id => !kept.includes(id) && !newIds.has(id));
+      await updateList({ ...list, problemIds: [...kept, ...added] });
+    }
+    setLastBulkDelete(null);
+  });
+
+  // Folds a duplicate group into the copy picked to keep; lists that held one
+  // of the removed copies point at the kept one instead.
+  const handleMergeDuplicates = (group, keepId) => runOperation(`mergeDuplicates:${keepId}`, async () => {
+    const { merged, removeIds } = mergeDuplicateGroup(group, keepId);
+    const base = problems.find(p => p.id === merged.id);
+    const saved = await saveChange({ entity: 'problems', action: 'update', recordId: merged.id, payload: merged, base }, "Couldn't merge the problems");
+    const removed = new Set(removeIds);
+    await saveProblemsBatch('delete', group.filter(p => removed.has(p.id)), "Couldn't delete the merged copies");
+    for (const list of lists.filter(l => l.problemIds.some(id => removed.has(id)))) {
+      await updateList({ ...list, problemIds: [...new Set(list.problemIds.map(id => (removed.has(id) ? merged.id : id)))] });
+    }
+    setProblems(p => p.filter(x => !removed.has(x.id)).map(x => x.id === merged.id ? migrateSchedule(saved || merged) : x));
+    setSelectedIds(current => new Set([...current].filter(id => !removed.has(id))));
+    notify(`Merged ${group.length} copies of "${merged.name}".`, { type: 'success' });
+  });
+
+  // Presets save the whole list view (search, filters and sort) as its query string.
+  const currentListQuery = listQueryToSearchParams(listQuery).toString();
+  const activePresetId = searchPresets.find(preset => preset.query === currentListQuery)?.id;
+  const handleSavePreset = (name) => setSearchPresets(presets => [...presets.filter(preset => preset.name !== name), { id: createLocalId(), name, query: currentListQuery }]);
+  const handleApplyPreset = (preset) => setSearchParams(new URLSearchParams(preset.query));
+  const handleDeletePreset = (id) => setSearchPresets(presets => presets.filter(preset => preset.id !== id));
+
+  // --- Revision Reminders ---
+  // The service worker keeps its own copy of the schedule so it can remind
+  // with the app closed; while the app is open it's also nudged at the
+  // reminder time. Logging out leaves it an empty schedule.
+  const [reminderValues, setReminderValues] = useLocalStorageState('cp-reminders', DEFAULT_REMINDERS);
+  const reminders = useMemo(() => normalizeReminders(reminderValues), [reminderValues]);
+  const handleRemindersChange = (changes) => setReminderValues(values => ({ ...normalizeReminders(values), ...changes }));
+  // Bumped when the reminder fires or a new service worker takes over, to re-arm and resend.
+  const [reminderTick, setReminderTick] = useState(0);
+  const schedule = useMemo(() => (userId ? reminderSchedule(problems, lists, reminders) : []), [userId, problems, lists, reminders]);
+  const dueCount = problems.filter(p => p.nextRevisionDate && p.nextRevisionDate <= getTodayDate()).length;
+  // The app badge counts what the reminder covers, the same number the service worker sets.
+  const reminderDueCount = dueInSchedule(schedule).length;
+
+  useEffect(() => {
+    const { enabled, time, quietDays } = reminders;
+    sendToServiceWorker({ type: 'reminder-state', settings: { enabled: enabled && !!userId, time, quietDays }, schedule });
+  }, [reminders, schedule, userId, reminderTick]);
+
+  useEffect(() => {
+    if (!userId || !reminders.enabled) return;
+    const at = nextReminderAt(reminders);
+    if (!at) return;
+    const timer = setTimeout(() => {
+      sendToServiceWorker({ type: 'check' });
+      setReminderTick(t => t + 1);
+    }, Math.min(at - Date.now(), 2 ** 31 - 1));
+    return () => clearTimeout(timer);
+  }, [userId, reminders, reminderTick]);
+
+  useEffect(() => {
+    if (userId) setBackgroundReminders(reminders.enabled);
+  }, [userId, reminders.enabled]);
+
+  useEffect(() => {
+    updateAppBadge(userId ? reminderDueCount : 0);
+  }, [userId, reminderDueCount]);
+
+  // Clicking a reminder asks an open window to show the revision queue.
+  useEffect(() => {
+    const container = navigator.serviceWorker;
+    if (!container) return;
+    const handleMessage = (event) => { if (event.data?.type === 'navigate') navigate(event.data.url); };
+    const handleControllerChange = () => setReminderTick(t => t + 1);
+    container.addEventListener('message', handleMessage);
+    container.addEventListener('controllerchange', handleControllerChange);
+    return () => {
+      container.removeEventListener('message', handleMessage);
+      container.removeEventListener('controllerchange', handleControllerChange);
+    };
+  }, [navigate]);
+
+  // --- Keyboard Shortcuts ---
+  // j/k move a highlight through the rows of the current page (the problem
+  // list, or the revision queue on /revise); e and r act on the highlighted row.
+  const keyboardRows = location.pathname === '/revise' ? dueRevisionProblems(problems) : location.pathname === '/' ? listedProblems : [];
+
+  // Fields to focus are looked up by id once the target page has rendered.
+  useEffect(() => {
+    const element = focusTarget && document.getElementById(focusTarget);
+    if (!element) return;
+    element.focus();
+    setFocusTarget(null);
+  }, [focusTarget, location.pathname]);
+
+  const focusOnProblemsPage = (elementId) => {
+    if (location.pathname !== '/') navigate(listPath);
+    setFocusTarget(elementId);
+  };
+
+  const runShortcut = (action) => {
+    if (!user) return false;
+    if (action === 'palette') { setShowPalette(open => !open); return true; }
+    if (action === 'help') { setShowShortcutHelp(open => !open); return true; }
+    if (showPalette || showShortcutHelp) return false;
+    const index = keyboardRows.findIndex(p => p.id === activeRowId);
+    const active = keyboardRows[index];
+    switch (action) {
+      case 'focusSearch': focusOnProblemsPage('problemSearch'); return true;
+      case 'newProblem': focusOnProblemsPage('problemName'); return true;
+      case 'next':
+      case 'previous': {
+        if (keyboardRows.length === 0) return false;
+        const step = action === 'next' ? 1 : -1;
+        const nextIndex = index === -1 ? (step === 1 ? 0 : keyboardRows.length - 1) : Math.min(keyboardRows.length - 1, Math.max(0, index + step));
+        setActiveRowId(keyboardRows[nextIndex].id);
+        return true;
+      }
+      case 'edit':
+        if (!active) return false;
+        navigate(`/problems/${active.id}/edit`);
+        return true;
+      case 'revise':
+        if (!active) return false;
+        if (!(active.nextRevisionDate && active.nextRevisionDate <= getTodayDate())) { notify(`"${active.name}" isn't due for revision.`, { type: 'info' }); return true; }
+        handleMarkAsRevised(active.id, 'good').then(ok => ok && notify(`Marked "${active.name}" as revised.`, { type: 'success' }));
+        return true;
+      default: return false;
+    }
+  };
+
+  // Registered once; the ref always holds the handler from the latest commit.
+  const shortcutHandler = useRef(runShortcut);
+  useLayoutEffect(() => { shortcutHandler.current = runShortcut; });
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const action = shortcutAction(e);
+      if (action && shortcutHandler.current(action)) e.preventDefault();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const paletteCommands = showPalette ? [
+    { id: 'action:new', label: "Add a new problem", group: "Action", keywords: "create", run: () => focusOnProblemsPage('problemName') },
+    { id: 'action:search', label: "Search problems", group: "Action", keywords: "find filter", run: () => focusOnProblemsPage('problemSearch') },
+    { id: 'action:session', label: "Start a revision session", group: "Action", keywords: "review", run: () => navigate('/revise/session') },
+    { id: 'action:calendar', label: "Open the revision calendar", group: "Action", keywords: "schedule reschedule", run: () => navigate('/revise/calendar') },
+    { id: 'action:sync', label: "Sync pending changes", group: "Action", keywords: "offline upload", run: syncPendingChanges },
+    { id: 'action:help', label: "Show keyboard shortcuts", group: "Action", keywords: "help keys", run: () => setShowShortcutHelp(true) },
+    ...NAV_TABS.map(tab => ({ id: `nav:${tab.path}`, label: `Go to ${tab.label}`, group: "Navigate", run: () => navigate(tab.path === '/' ? listPath : tab.path) })),
+    { id: 'action:logout', label: "Log out", group: "Action", keywords: "sign out", run: handleLogout },
+    ...groups.map(group => ({ id: `group:${group.id}`, label: group.name, group: "Study group", run: () => navigate(`/groups/${group.id}`) })),
+    ...sortLinks(links).map(link => ({ id: `link:${link.id}`, label: link.name, group: "Quick link", keywords: [link.group, link.url].filter(Boolean).join(' '), run: () => window.open(link.url, '_blank', 'noopener,noreferrer') })),
+    ...problems.map(p => ({ id: `problem:${p.id}`, label: p.name, group: "Problem", keywords: [p.source, p.externalId, ...(p.tags || [])].filter(Boolean).join(' '), run: () => navigate(`/problems/${p.id}`) })),
+  ] : [];
+
+  const settingsPage = <SettingsPage onClose={() => navigate(listPath)} preferences={preferences} onPreferencesChange={handlePreferencesChange} links={links} handleAddLink={handleAddLink} handleUpdateLink={handleUpdateLink} handleDeleteLink={handleDeleteLink} handleReorderLinks={handleReorderLinks} reminders={reminders} onRemindersChange={handleRemindersChange} lists={lists} reminderDueCount={reminderDueCount} handleChangePassword={handleChangePassword} operations={operations} user={user} />;
 
   // --- Main Render ---
   // NOTE: Removed blocking render. App renders immediately.
@@ -701,46 +3967,110 @@ export default function App() {
   return (
     <>
       <style>{`[data-animations="true"] * { transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1); } @keyframes fadeIn { from { opacity: 0; } to { opacity: 1; } } [data-animations="true"] .anim-fade-in-up { animation: fadeIn 0.4s ease-out forwards; }`}</style>
-      <div className="min-h-screen bg-gray-100 p-0 md:p-8 text-gray-900" style={{ backgroundImage: backgroundUrl ? `url(${backgroundUrl})` : 'none', backgroundSize: 'cover', backgroundAttachment: 'fixed' }}>
-        <div className={`max-w-6xl mx-auto bg-transparent ${backgroundUrl ? 'bg-gray-100/50 backdrop-blur-sm p-4 rounded-lg' : ''}`}>
+      <div className="min-h-screen bg-gray-100 dark:bg-slate-950 p-0 md:p-8 text-gray-900 dark:text-slate-100" style={{ backgroundImage: backgroundUrl ? `url(${backgroundUrl})` : 'none', backgroundSize: 'cover', backgroundAttachment: 'fixed' }}>
+        <div className={`max-w-6xl mx-auto bg-transparent ${backgroundUrl ? 'bg-gray-100/50 dark:bg-slate-900/50 backdrop-blur-sm p-4 rounded-lg' : ''}`}>
           <header className="p-3 mb-6 flex items-center justify-between">
-            <span className="font-bold text-gray-900 text-2xl">{customHeading}</span>
+            <span className="font-bold text-gray-900 dark:text-slate-100 text-2xl">{customHeading}</span>
             <div className="flex items-center gap-3">
-               {user ? (
+               {user && (
                  <>
-                   <span className="text-sm font-medium text-gray-600">User: {user.username}</span>
-                   <button onClick={handleLogout} className="text-xs text-red-600 hover:underline">Logout</button>
+                   <button onClick={() => setShowShortcutHelp(true)} className="text-xs text-gray-600 dark:text-slate-400 hover:underline" title="Keyboard shortcuts (?)">Shortcuts</button>
+                   <span className="text-sm font-medium text-gray-600 dark:text-slate-400">User: {user.username}</span>
+                   <button onClick={handleLogout} className="text-xs text-red-600 dark:text-red-400 hover:underline">Logout</button>
                  </>
-               ) : (
-                 <button onClick={handleLogin} className="text-sm font-bold text-blue-600 hover:underline">Login</button>
                )}
             </div>
           </header>
 
-          <main className="bg-transparent px-4 md:px-0">
-            <QuickLinksBar links={links} isLoading={isLoadingLinks} error={error} />
-            {editingProblemId ? <ProblemForm problemToEdit={problemToEdit} onSubmit={handleUpdateProblem} onCancel={handleCancelEdit} /> : <ProblemForm onSubmit={handleAddProblem} />}
-            <hr className="my-8 border-gray-300/50" />
-            <RevisionList problems={problems} onMarkAsRevised={handleMarkAsRevised} />
-            <hr className="my-8 border-gray-300/50" />
-            <h2 className="text-2xl font-bold text-gray-900 mb-4">Full Problem List</h2>
-            <ExportImportControls problems={problems} onImportData={handleImportData} />
-            <SearchBar searchTerm={searchTerm} onSearchChange={setSearchTerm} />
-            <FilterControls filterSource={filterSource} onFilterSourceChange={setFilterSource} filterDifficulty={filterDifficulty} onFilterDifficultyChange={setFilterDifficulty} sortConfig={sortConfig} onSortConfigChange={setSortConfig} />
-            {isLoadingProblems && <div className="text-center text-gray-600 p-8">Loading...</div>}
-            {!isLoadingProblems && <ProblemList problems={visibleProblems} onDeleteProblem={handleDeleteProblem} onStartEdit={handleStartEdit} />}
-          </main>
-
-          <footer className="text-center text-xs text-gray-500 mt-8 pb-8 flex justify-between items-center">
+          {!user && (
+            <Routes>
+              <Route path="/settings" element={settingsPage} />
+              <Route path="*" element={<AuthScreen onLogin={handleLogin} onRegister={handleRegister} notice={authNotice} />} />
+            </Routes>
+          )}
+          {user && <main className="bg-transparent px-4 md:px-0">
+            <SyncStatusBanner isServerReachable={isServerReachable} pendingCount={pendingOpCount} isSyncing={isPending('sync')} onSync={syncPendingChanges} />
+            <SyncConflictList conflicts={conflicts} onResolve={handleResolveConflict} operations={operations} />
+            <QuickLinksBar links={links} status={links.length > 0 ? null : operations.loadLinks} onRetry={loadLinks} />
+            <nav className="mb-6 flex flex-wrap gap-2">
+              {NAV_TABS.map(tab => (
+                <GlassButton key={tab.path} onClick={() => navigate(tab.path === '/' ? listPath : tab.path)} className={tab.patterns.some(pattern => matchPath(pattern, location.pathname)) ? 'bg-accent-light border-accent-border text-accent-text hover:bg-accent-light-hover' : ''}>{tab.label}{tab.path === '/revise' && dueCount > 0 && <span className="ml-1.5 px-1.5 rounded-full bg-yellow-500/20 text-yellow-800 dark:text-amber-300 text-xs">{dueCount}</span>}</GlassButton>
+              ))}
+            </nav>
+            <Routes>
+              <Route path="/" element={<>
+                <ProblemForm onSubmit={handleAddProblem} allTags={allTags} existingProblems={problems} isSubmitting={isPending('addProblem')} />
+                <hr className="my-8 border-gray-300/50 dark:border-slate-600/50" />
+                <h2 className="text-2xl font-bold text-gray-900 dark:text-slate-100 mb-4">Full Problem List</h2>
+                <ExportImportControls problems={problems} visibleProblems={visibleProblems} links={links} settings={exportableSettings} onCommitImport={handleCommitImport} isImporting={isPending('importProblems')} />
+                <SearchBar searchTerm={searchTerm} onSearchChange={(value) => updateListQuery({ searchTerm: value })} errors={search.errors} presets={searchPresets} activePresetId={activePresetId} onSavePreset={handleSavePreset} onApplyPreset={handleApplyPreset} onDeletePreset={handleDeletePreset} />
+                <FilterControls filterSource={filterSource} onFilterSourceChange={(value) => updateListQuery({ filterSource: value })} filterDifficulty={filterDifficulty} onFilterDifficultyChange={(value) => updateListQuery({ filterDifficulty: value })} filterTags={filterTags} onFilterTagsChange={(value) => updateListQuery({ filterTags: value })} tagMatchMode={tagMatchMode} onTagMatchModeChange={(value) => updateListQuery({ tagMatchMode: value })} allTags={allTags} sortConfig={sortConfig} onSortConfigChange={(value) => updateListQuery({ sortConfig: value })} />
+                {problems.length === 0 && isPending('loadProblems') && <div className="text-center text-gray-600 dark:text-slate-400 p-8">Loading...</div>}
+                {problems.length === 0 && operations.loadProblems?.status === 'error' && <div className="text-center text-red-600 dark:text-red-400 p-8">Couldn't load your problems. <button onClick={loadProblems} className="underline font-medium">Retry</button></div>}
+                <div className="mb-2 flex flex-wrap items-center justify-between gap-3 text-sm text-gray-700 dark:text-slate-300">
+                  <span>{useServerList ? `${serverPage.data.totalElements} matching on the server` : `Showing ${visibleProblems.length} of ${problems.length}`}{serverPaging && serverPage.status === 'error' && <span className="text-red-700 dark:text-red-300"> · Server paging failed, showing the local list</span>}</span>
+                  <div className="flex items-center gap-4">
+                    <GlassToggle label="Page from server" enabled={serverPaging} setEnabled={setServerPaging} />
+                    <GlassButton onClick={() => setShowDuplicates(v => !v)}>Find Duplicates</GlassButton>
+                    <GlassButton onClick={() => setShowColumnSettings(v => !v)}>Columns</GlassButton>
+                  </div>
+                </div>
+                {showColumnSettings && <ColumnSettings layout={columnLayout} onChange={setColumnLayout} />}
+                {showDuplicates && <DuplicateFinder problems={problems} onMerge={handleMergeDuplicates} onClose={() => setShowDuplicates(false)} operations={operations} />}
+                {lastBulkDelete && (
+                  <p className="mb-3 text-sm text-gray-700 dark:text-slate-300">Deleted {lastBulkDelete.problems.length} problems. <button onClick={handleUndoBulkDelete} disabled={isPending('undoBulkDelete')} className="text-blue-600 dark:text-blue-400 underline font-medium disabled:opacity-50">Undo</button> <button onClick={() => setLastBulkDelete(null)} className="ml-2 text-gray-500 dark:text-slate-500 hover:text-gray-800 dark:hover:text-slate-200">Dismiss</button></p>
+                )}
+                {selectedProblems.length > 0 && <BulkActionBar selectedProblems={selectedProblems} matchingCount={useServerList ? listedProblems.length : visibleProblems.length} matchingScope={useServerList ? "on this page" : "matching"} onSelectAllMatching={() => setSelectedIds(new Set((useServerList ? listedProblems : visibleProblems).map(p => p.id)))} onClear={() => setSelectedIds(new Set())} onUpdate={handleBulkUpdate} onDelete={handleBulkDelete} lists={lists} onAddToList={handleBulkAddToList} groups={groups} onShareToGroup={(groupId) => handleShareToGroup(groupId, selectedProblems)} allTags={allTags} isBusy={isPending('bulkUpdate') || isPending('bulkDelete')} />}
+                {(problems.length > 0 || operations.loadProblems?.status === 'success') && (
+                  <ProblemList
+                    problems={listedProblems}
+                    columnLayout={columnLayout}
+                    sortConfig={sortConfig}
+                    onSortChange={(value) => updateListQuery({ sortConfig: value })}
+                    onDeleteProblem={handleDeleteProblem}
+                    onStartEdit={(id) => navigate(`/problems/${id}/edit`)}
+                    operations={operations}
+                    selectedIds={selectedIds}
+                    onToggleSelect={handleToggleSelect}
+                    onToggleSelectAll={handleToggleSelectAll}
+                    activeId={activeRowId}
+                    footer={useServerList && <PaginationControls page={pageState.page} totalPages={serverPage.data.totalPages} totalElements={serverPage.data.totalElements} pageSize={pageState.size} onPageChange={(page) => setPageState(s => ({ ...s, page }))} onPageSizeChange={(size) => setPageState({ page: 0, size })} isLoading={serverPage.status === 'pending'} />}
+                  />
+                )}
+              </>} />
+              {['/problems/:problemId', '/problems/:problemId/edit'].map(path => (
+                <Route key={path} path={path} element={<ProblemDetailPage problems={problems} lists={lists} contests={contests} isLoading={isPending('loadProblems') || !localStore.ready} isEditing={path.endsWith('/edit')} allTags={allTags} listPath={listPath} onUpdateProblem={handleUpdateProblem} onDeleteProblem={handleDeleteProblem} onMarkAsRevised={handleMarkAsRevised} onUndoRevision={handleUndoRevision} onUpdateList={handleUpdateList} operations={operations} />} />
+              ))}
+              <Route path="/revise" element={<>
+                <RevisionList problems={problems} activeId={activeRowId} onMarkAsRevised={handleMarkAsRevised} onUndoRevision={handleUndoRevision} />
+                <UpsolveQueue problems={problems} contests={contests} onMarkUpsolved={handleMarkUpsolved} operations={operations} />
+              </>} />
+              <Route path="/revise/calendar" element={<RevisionCalendar problems={problems} dailyCap={sessionDailyCap} onReschedule={handleRescheduleRevision} onSpreadBacklog={handleSpreadBacklog} operations={operations} />} />
+              <Route path="/revise/session" element={<RevisionSession problems={problems} dailyCap={sessionDailyCap} onDailyCapChange={setSessionDailyCap} timeLimitMinutes={sessionTimeLimit} onTimeLimitChange={setSessionTimeLimit} onMarkAsRevised={handleMarkAsRevised} onPostpone={handlePostponeRevision} />} />
+              <Route path="/lists" element={<ListsOverview lists={lists} problems={problems} onCreateList={handleCreateList} onImportList={handleImportList} operations={operations} />} />
+              <Route path="/lists/:listId" element={<ListDetailPage lists={lists} problems={problems} groups={groups} isLoading={isPending('loadLists') || !localStore.ready} onUpdateList={handleUpdateList} onDeleteList={handleDeleteList} onAddTodo={handleAddListTodo} onUpdateProblem={handleUpdateProblem} onShareToGroup={handleShareToGroup} operations={operations} />} />
+              <Route path="/contests" element={<ContestsPage contests={contests} problems={problems} onCreateContest={handleCreateContest} operations={operations} />} />
+              <Route path="/contests/:contestId" element={<ContestDetailPage contests={contests} problems={problems} isLoading={isPending('loadContests') || !localStore.ready} onUpdateContest={handleUpdateContest} onDeleteContest={handleDeleteContest} onLinkProblem={handleLinkProblem} onAddContestProblem={handleAddContestProblem} operations={operations} />} />
+              <Route path="/groups" element={<GroupsPage groups={groups} isLoading={isPending('loadGroups')} onCreateGroup={handleCreateGroup} onJoinGroup={handleJoinGroup} operations={operations} />} />
+              <Route path="/groups/:groupId" element={<GroupDetailPage groups={groups} groupDetails={groupDetails} problems={problems} user={user} isLoading={isPending('loadGroups')} onOpenGroup={handleOpenGroup} onLeaveGroup={handleLeaveGroup} onUnshareProblem={handleUnshareGroupProblem} onAddSharedProblem={handleAddSharedProblem} operations={operations} />} />
+              <Route path="/dashboard" element={<Dashboard problems={problems} />} />
+              <Route path="/settings" element={settingsPage} />
+              <Route path="*" element={<Navigate to="/" replace />} />
+            </Routes>
+          </main>}
+          {user && showShortcutHelp && <ShortcutHelp onClose={() => setShowShortcutHelp(false)} />}
+          {user && showPalette && <CommandPalette commands={paletteCommands} onClose={() => setShowPalette(false)} />}
+
+          <footer className="text-center text-xs text-gray-500 dark:text-slate-500 mt-8 pb-8 flex justify-between items-center">
             <span>Powered by React & Spring Boot</span>
-            <button onClick={() => setIsSettingsOpen(true)} className="p-2 rounded-full hover:bg-black/10" title="Settings">
-              <svg className="w-5 h-5 text-gray-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" d="M9.594 3.94c.09-.542.56-.94 1.11-.94h2.593c.55 0 1.02.398 1.11.94l.213 1.281c.063.374.313.686.646.87.074.04.147.083.22.127.324.196.72.257 1.075.124l1.217-.456a1.125 1.125 0 011.37.49l1.296 2.247a1.125 1.125 0 01-.26 1.431l-1.003.827c-.293.24-.438.613-.431.992a6.759 6.759 0 010 1.25c-.007.378.138.75.43.99l1.005.828c.424.35.534.954.26 1.43l-1.298 2.247a1.125 1.125 0 01-1.369.491l-1.217-.456c-.355-.133-.75-.072-1.076.124a6.57 6.57 0 01-.22.128c-.333.183-.582.495-.644.869l-.213 1.28c-.09.543-.56.941-1.11.941h-2.594c-.55 0-1.02-.398-1.11-.94l-.213-1.281c-.063-.374-.313-.686-.646-.87-.074-.04-.147-.083-.22-.127a6.501 6.501 0 01-1.075-.124l-1.217.456a1.125 1.125 0 01-1.37-.49l-1.296-2.247a1.125 1.125 0 01.26-1.431l1.004-.827c.292-.24.437-.613.43-.992a6.759 6.759 0 010-1.25c.007-.378-.138-.75-.43-.99l-1.004-.828a1.125 1.125 0 01-.26-1.43l1.297-2.247a1.125 1.125 0 011.37-.491l1.217.456c.355.133.75.072 1.076-.124.072-.044.146-.087.22-.128.332-.183.582-.495.644-.869l.213-1.28z" /><path strokeLinecap="round" strokeLinejoin="round" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" /></svg>
+            <button onClick={() => navigate('/settings')} className="p-2 rounded-full hover:bg-black/10 dark:hover:bg-white/10" title="Settings" aria-label="Settings">
+              <svg className="w-5 h-5 text-gray-600 dark:text-slate-400" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" d="M9.594 3.94c.09-.542.56-.94 1.11-.94h2.593c.55 0 1.02.398 1.11.94l.213 1.281c.063.374.313.686.646.87.074.04.147.083.22.127.324.196.72.257 1.075.124l1.217-.456a1.125 1.125 0 011.37.49l1.296 2.247a1.125 1.125 0 01-.26 1.431l-1.003.827c-.293.24-.438.613-.431.992a6.759 6.759 0 010 1.25c-.007.378.138.75.43.99l1.005.828c.424.35.534.954.26 1.43l-1.298 2.247a1.125 1.125 0 01-1.369.491l-1.217-.456c-.355-.133-.75-.072-1.076.124a6.57 6.57 0 01-.22.128c-.333.183-.582.495-.644.869l-.213 1.28c-.09.543-.56.941-1.11.941h-2.594c-.55 0-1.02-.398-1.11-.94l-.213-1.281c-.063-.374-.313-.686-.646-.87-.074-.04-.147-.083-.22-.127a6.501 6.501 0 01-1.075-.124l-1.217.456a1.125 1.125 0 01-1.37-.49l-1.296-2.247a1.125 1.125 0 01.26-1.431l1.004-.827c.292-.24.437-.613.43-.992a6.759 6.759 0 010-1.25c.007-.378-.138-.75-.43-.99l-1.004-.828a1.125 1.125 0 01-.26-1.43l1.297-2.247a1.125 1.125 0 011.37-.491l1.217.456c.355.133.75.072 1.076-.124.072-.044.146-.087.22-.128.332-.183.582-.495.644-.869l.213-1.28z" /><path strokeLinecap="round" strokeLinejoin="round" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" /></svg>
             </button>
           </footer>
         </div>
       </div>
       
-      <SettingsModal isOpen={isSettingsOpen} onClose={() => setIsSettingsOpen(false)} customHeading={customHeading} setCustomHeading={setCustomHeading} accentHue={accentHue} setAccentHue={setAccentHue} animationsOn={animationsOn} setAnimationsOn={setAnimationsOn} onBackgroundChange={handleBackgroundChange} onBackgroundClear={handleBackgroundClear} links={links} handleAddLink={handleAddLink} handleDeleteLink={handleDeleteLink} handleChangePassword={handleChangePassword} user={user} />
+      <Toaster />
     </>
   );
 }
\ No newline at end of file
@@ -0,0 +1,95 @@
+import { loadSession } from './auth';
+import { notify } from './notifications';
+
+// --- API Base URLs ---
+export const API_BASE = 'http://localhost:8080/api';
+export const PROBLEMS_API_URL = `${API_BASE}/problems`;
+export const LINKS_API_URL = `${API_BASE}/links`;
+export const LISTS_API_URL = `${API_BASE}/lists`;
+export const CONTESTS_API_URL = `${API_BASE}/contests`;
+export const USERS_API_URL = `${API_BASE}/users`;
+export const GROUPS_API_URL = `${API_BASE}/groups`;
+
+// --- Shared Fetch Layer ---
+let unauthorizedHandler = null;
+
+// Registers the callback run when the server rejects our token (HTTP 401).
+export function setUnauthorizedHandler(handler) {
+  unauthorizedHandler = handler;
+}
+
+// fetch() with JSON headers and the bearer token attached. Pass `skipAuth`
+// for the login/register calls that happen before a token exists.
+export async function apiFetch(url, { headers, skipAuth = false, ...options } = {}) {
+  const session = skipAuth ? null : loadSession();
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(session && { Authorization: `Bearer ${session.token}` }),
+      ...headers,
+    },
+  });
+  if (response.status === 401 && !skipAuth && unauthorizedHandler) unauthorizedHandler();
+  return response;
+}
+
+// --- API Client ---
+export class ApiError extends Error {
+  constructor(message, { status = 0, data = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+
+  // Status 0 means the request never got a response (server down, offline, CORS).
+  get isNetworkError() {
+    return this.status === 0;
+  }
+}
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function parseBody(response) {
+  const text = await response.text();
+  if (!text) return null;
+  try { return JSON.parse(text); } catch (e) { return text; }
+}
+
+function errorMessageFrom(data, status) {
+  if (data && typeof data === 'object') return data.message || data.error || `Request failed (HTTP ${status})`;
+  if (typeof data === 'string' && data.length < 200) return data;
+  return `Request failed (HTTP ${status})`;
+}
+
+// Sends a JSON request and resolves with the parsed response body (null for
+// empty responses). Idempotent methods are retried with backoff when the
+// network fails; HTTP errors are never retried. Failures reject with an
+// ApiError and, unless `silent`, raise an error toast prefixed by `errorMessage`.
+export async function apiRequest(url, { method = 'GET', body, retries, skipAuth = false, silent = false, errorMessage = "Request failed" } = {}) {
+  const maxRetries = retries ?? (IDEMPOTENT_METHODS.includes(method) ? DEFAULT_RETRIES : 0);
+  let response;
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        response = await apiFetch(url, { method, skipAuth, ...(body !== undefined && { body: JSON.stringify(body) }) });
+        break;
+      } catch (err) {
+        if (attempt >= maxRetries) throw new ApiError("Could not reach the server. Check your connection.");
+        await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt);
+      }
+    }
+    const data = await parseBody(response);
+    if (!response.ok) throw new ApiError(errorMessageFrom(data, response.status), { status: response.status, data });
+    return data;
+  } catch (err) {
+    // A 401 already sends the user back to the login screen, so don't pile a toast on top.
+    if (!silent && err.status !== 401) notify(`${errorMessage}: ${err.message}`);
+    throw err;
+  }
+}
@@ -0,0 +1,44 @@
+// --- Session Storage ---
+// The signed-in user is represented by a bearer token with an expiry,
+// persisted in localStorage as { token, expiresAt, user }.
+const SESSION_KEY = 'cp-session';
+const LEGACY_USER_KEY = 'cp-user';
+const DEFAULT_TOKEN_LIFETIME_MS = 60 * 60 * 1000;
+
+export function isSessionExpired(session, now = Date.now()) {
+  return !session || !session.token || !(session.expiresAt > now);
+}
+
+export function loadSession() {
+  // Sessions from the X-User-Id era carry no token and can't be trusted.
+  window.localStorage.removeItem(LEGACY_USER_KEY);
+  try {
+    const session = JSON.parse(window.localStorage.getItem(SESSION_KEY));
+    if (isSessionExpired(session)) {
+      clearSession();
+      return null;
+    }
+    return session;
+  } catch (e) {
+    console.error("Error reading session from localStorage", e);
+    return null;
+  }
+}
+
+export function saveSession(session) {
+  window.localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+export function clearSession() {
+  window.localStorage.removeItem(SESSION_KEY);
+}
+
+// Builds a session from a login/register response. The server may send either
+// an absolute `expiresAt` timestamp or a relative `expiresIn` in seconds.
+export function sessionFromAuthResponse({ token, expiresAt, expiresIn, user }, now = Date.now()) {
+  let expiry = null;
+  if (expiresAt) expiry = typeof expiresAt === 'number' ? expiresAt : Date.parse(expiresAt);
+  else if (expiresIn) expiry = now + expiresIn * 1000;
+  // An expiry we can't read falls back to the default lifetime.
+  return { token, expiresAt: Number.isFinite(expiry) ? expiry : now + DEFAULT_TOKEN_LIFETIME_MS, user };
+}
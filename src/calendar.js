@@ -0,0 +1,103 @@
+import { getTodayDate } from './scheduler';
+import { shiftDateKey, weekStartKey } from './stats';
+
+// --- Revision Calendar ---
+// First day of the month `months` away from the month of `dateKey`.
+export function shiftMonth(dateKey, months) {
+  const date = new Date(`${dateKey.slice(0, 7)}-01T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().slice(0, 10);
+}
+
+// Date keys (YYYY-MM-DD) shown by the calendar: whole Monday-first weeks
+// covering the month of `anchor`, or just the week containing it.
+export function calendarDays(anchor, view) {
+  if (view === 'week') return Array.from({ length: 7 }, (_, i) => shiftDateKey(weekStartKey(anchor), i));
+  const monthEnd = shiftDateKey(shiftMonth(anchor, 1), -1);
+  const days = [];
+  for (let day = weekStartKey(shiftMonth(anchor, 0)); day <= monthEnd || days.length % 7 !== 0; day = shiftDateKey(day, 1)) days.push(day);
+  return days;
+}
+
+// Moves the calendar one month or week forwards or backwards.
+export function shiftPeriod(anchor, view, delta) {
+  return view === 'week' ? shiftDateKey(anchor, delta * 7) : shiftMonth(anchor, delta);
+}
+
+// Scheduled problems grouped by next revision date, in name order.
+export function problemsByDate(problems) {
+  const byDate = new Map();
+  problems
+    .filter(p => p.nextRevisionDate)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(p => byDate.set(p.nextRevisionDate, [...(byDate.get(p.nextRevisionDate) || []), p]));
+  return byDate;
+}
+
+// Spreads overdue problems over `days` days starting today: most overdue
+// first, each onto the day with the lightest load so far (problems already
+// due on those days count towards it). Returns the rescheduled problems.
+export function spreadBacklog(problems, days, today = getTodayDate()) {
+  const window = Array.from({ length: Math.max(1, days) }, (_, i) => shiftDateKey(today, i));
+  const load = new Map(window.map(day => [day, problems.filter(p => p.nextRevisionDate === day).length]));
+  return problems
+    .filter(p => p.nextRevisionDate && p.nextRevisionDate < today)
+    .sort((a, b) => a.nextRevisionDate.localeCompare(b.nextRevisionDate))
+    .map(problem => {
+      const day = window.reduce((best, candidate) => (load.get(candidate) < load.get(best) ? candidate : best));
+      load.set(day, load.get(day) + 1);
+      return { ...problem, nextRevisionDate: day };
+    });
+}
+
+// --- iCalendar Export ---
+const escapeIcsText = (text) => String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+const icsDate = (dateKey) => dateKey.replace(/-/g, '');
+
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+};
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space.
+function foldIcsLine(line) {
+  if ([...line].reduce((total, char) => total + utf8Length(char), 0) <= 75) return line;
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = utf8Length(char);
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// One all-day event per scheduled problem on its next revision date. UIDs
+// are per problem, so re-importing the file moves rescheduled events.
+export function scheduleToIcs(problems, now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const events = problems
+    .filter(p => p.nextRevisionDate)
+    .sort((a, b) => a.nextRevisionDate.localeCompare(b.nextRevisionDate))
+    .flatMap(p => [
+      'BEGIN:VEVENT',
+      `UID:problem-${p.id}@cp-compendium`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(p.nextRevisionDate)}`,
+      `DTEND;VALUE=DATE:${icsDate(shiftDateKey(p.nextRevisionDate, 1))}`,
+      `SUMMARY:${escapeIcsText(`Revise: ${p.name}`)}`,
+      ...(p.url ? [`URL:${p.url}`] : []),
+      `DESCRIPTION:${escapeIcsText([p.source, p.difficulty, p.rating && `rating ${p.rating}`, p.url].filter(Boolean).join(' · '))}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+    ]);
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//CP Compendium//Revision Schedule//EN', 'CALSCALE:GREGORIAN', 'X-WR-CALNAME:CP Revisions', ...events, 'END:VCALENDAR'];
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,9 @@
+// --- Problem Constants ---
+export const PROBLEM_SOURCES = ["LeetCode", "Codeforces", "AtCoder", "HackerRank", "Other"];
+export const PROBLEM_DIFFICULTIES = ["Easy", "Medium", "Hard"];
+// Problems saved before statuses existed count as solved.
+export const PROBLEM_STATUSES = [
+  { value: 'todo', label: "To-do" },
+  { value: 'attempted', label: "Attempted" },
+  { value: 'solved', label: "Solved" },
+];
@@ -0,0 +1,64 @@
+import { getTodayDate } from './scheduler';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- Contest Log ---
+// A contest is { id, platform, name, date, rank, ratingDelta, ratingAfter }
+// where `date` is 'YYYY-MM-DD', `platform` is one of PROBLEM_SOURCES and the
+// optional `ratingAfter` is the rating the platform showed after the contest.
+// Problems point at their contest with `contestId` plus a `contestResult`.
+export const CONTEST_RESULTS = [
+  { value: 'in-contest', label: "Solved in contest" },
+  { value: 'upsolved', label: "Upsolved" },
+  { value: 'pending', label: "Pending upsolve" },
+];
+
+// Solved problems keep their revision schedule; a pending upsolve was only attempted.
+export function contestResultStatus(result) {
+  return result === 'pending' ? 'attempted' : 'solved';
+}
+
+export function sortContests(contests) {
+  return [...contests].sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+}
+
+export function contestProblems(contest, problems) {
+  return problems.filter(p => p.contestId === contest.id);
+}
+
+export function contestSummary(contest, problems) {
+  const linked = contestProblems(contest, problems);
+  const count = (result) => linked.filter(p => p.contestResult === result).length;
+  return { total: linked.length, inContest: count('in-contest'), upsolved: count('upsolved'), pending: count('pending') };
+}
+
+// Problems still waiting to be upsolved as { problem, contest, daysWaiting },
+// oldest contest first.
+export function pendingUpsolves(problems, contests, today = getTodayDate()) {
+  const byId = new Map(contests.map(c => [c.id, c]));
+  return problems
+    .filter(p => p.contestResult === 'pending' && byId.has(p.contestId))
+    .map(problem => {
+      const contest = byId.get(problem.contestId);
+      const daysWaiting = contest.date ? Math.round((Date.parse(`${today}T00:00:00Z`) - Date.parse(`${contest.date}T00:00:00Z`)) / DAY_MS) : 0;
+      return { problem, contest, daysWaiting };
+    })
+    .sort((a, b) => (a.contest.date || '').localeCompare(b.contest.date || ''));
+}
+
+// Rating after each rated contest, per platform, in date order. Contests
+// without `ratingAfter` continue from the previous point by their delta, so a
+// platform with no absolute ratings logged shows the change since the first contest.
+export function ratingHistory(contests) {
+  const byPlatform = new Map();
+  [...contests]
+    .filter(c => c.date && (c.ratingAfter != null || c.ratingDelta != null))
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach(contest => {
+      const points = byPlatform.get(contest.platform) || [];
+      const previous = points.length ? points[points.length - 1].rating : 0;
+      const rating = contest.ratingAfter ?? previous + contest.ratingDelta;
+      byPlatform.set(contest.platform, [...points, { date: contest.date, rating, delta: contest.ratingDelta, name: contest.name }]);
+    });
+  return byPlatform;
+}
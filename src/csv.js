@@ -0,0 +1,50 @@
+// --- CSV Parsing ---
+// RFC 4180 style: comma separated, fields optionally double-quoted, quotes
+// escaped by doubling, CRLF or LF line endings. Returns an array of rows,
+// each an array of strings, with blank lines dropped.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Parses CSV with a header row into objects keyed by the header names.
+export function parseCsvObjects(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map(h => h.trim());
+  return rows.map(row => Object.fromEntries(keys.map((key, i) => [key, (row[i] ?? '').trim()])));
+}
+
+const escapeCsvField = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serializes rows (arrays of values) to CSV text with CRLF line endings.
+export function serializeCsv(rows) {
+  return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n');
+}
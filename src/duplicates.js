@@ -0,0 +1,97 @@
+import { problemKey } from './platforms';
+import { mergeProblems } from './importExport';
+import { problemStatus } from './problemLists';
+
+// --- Duplicate Problems ---
+// Two problems are duplicates when their URLs share a canonical problem key
+// (see platforms.problemKey), or when they carry the same source and
+// external id even though the URLs differ.
+function identityKeys(problem) {
+  const keys = [problemKey(problem.url)];
+  if (problem.source && problem.externalId) keys.push(`${problem.source}:${problem.externalId}`.toLowerCase());
+  return keys.filter(Boolean);
+}
+
+const byAddedAt = (a, b) => String(a.addedAt || '').localeCompare(String(b.addedAt || ''));
+
+// The saved problem another one (the form's draft) would duplicate, if any.
+export function findExistingProblem(problems, draft, ignoreId = null) {
+  const keys = new Set(identityKeys(draft));
+  return problems.find(p => p.id !== ignoreId && identityKeys(p).some(key => keys.has(key))) || null;
+}
+
+// Groups of two or more problems that look like the same problem, each
+// ordered oldest first; groups are ordered by their oldest problem.
+export function findDuplicateGroups(problems) {
+  const groupOf = new Map();
+  const groups = [];
+  problems.forEach(problem => {
+    const keys = identityKeys(problem);
+    const matched = [...new Set(keys.map(key => groupOf.get(key)).filter(Boolean))];
+    const group = matched[0] || [];
+    if (!matched[0]) groups.push(group);
+    // A problem can bridge two groups (one matched by URL, one by id).
+    matched.slice(1).forEach(other => {
+      group.push(...other);
+      groups.splice(groups.indexOf(other), 1);
+      other.forEach(p => identityKeys(p).forEach(key => groupOf.set(key, group)));
+    });
+    group.push(problem);
+    keys.forEach(key => groupOf.set(key, group));
+  });
+  return groups
+    .filter(group => group.length > 1)
+    .map(group => [...group].sort(byAddedAt))
+    .sort((a, b) => byAddedAt(a[0], b[0]));
+}
+
+const lastReview = (problem) => (problem.revisionHistory || []).reduce((latest, entry) => (entry.date > latest ? entry.date : latest), '');
+
+// Folds a duplicate group into the problem with id `keepId`: blank fields are
+// filled in, tags and remarks are combined, extra submission links are listed
+// in the remarks and the revision histories are merged by date. The status is
+// the furthest along of the copies, and the schedule comes from the most
+// recently reviewed copy with that status. Returns the merged
+// record and the ids of the copies to delete.
+export function mergeDuplicateGroup(group, keepId = group[0].id) {
+  const keep = group.find(p => p.id === keepId) || group[0];
+  const others = group.filter(p => p !== keep);
+  let merged = others.reduce((acc, other) => mergeProblems(acc, other), keep);
+
+  const extraLinks = [...new Set(others.map(p => (p.submissionLink || '').trim()))]
+    .filter(link => link && link !== merged.submissionLink && !(merged.remarks || '').includes(link));
+  if (extraLinks.length > 0) {
+    const list = `Other submissions:\n${extraLinks.map(link => `- ${link}`).join('\n')}`;
+    merged.remarks = merged.remarks ? `${merged.remarks}\n\n${list}` : list;
+  }
+
+  const seen = new Set();
+  const revisionHistory = group
+    .flatMap(p => p.revisionHistory || [])
+    .filter(entry => {
+      const key = JSON.stringify(entry);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+  const statuses = group.map(problemStatus);
+  const status = ['solved', 'attempted', 'todo'].find(value => statuses.includes(value));
+  const scheduleSource = group
+    .filter(p => problemStatus(p) === status)
+    .sort((a, b) => lastReview(b).localeCompare(lastReview(a)))[0];
+  merged = {
+    ...merged,
+    revisionHistory,
+    addedAt: [...group].sort(byAddedAt)[0].addedAt,
+    nextRevisionDate: scheduleSource.nextRevisionDate,
+    revisionLevel: scheduleSource.revisionLevel,
+    easeFactor: scheduleSource.easeFactor,
+    intervalDays: scheduleSource.intervalDays,
+    contestId: keep.contestId ?? others.find(p => p.contestId != null)?.contestId ?? null,
+    contestResult: keep.contestId != null ? keep.contestResult : others.find(p => p.contestId != null)?.contestResult ?? null,
+    status,
+  };
+  return { merged, removeIds: others.map(p => p.id) };
+}
@@ -0,0 +1,48 @@
+import { findDuplicateGroups, findExistingProblem } from './duplicates';
+
+const problem = (id, url, extra = {}) => ({ id, name: `P${id}`, url, addedAt: `2024-01-0${id}T00:00:00Z`, ...extra });
+
+describe('findDuplicateGroups', () => {
+  test('groups the same judge problem saved under different URLs, oldest first', () => {
+    const groups = findDuplicateGroups([
+      problem(2, 'https://codeforces.com/contest/4/problem/A'),
+      problem(1, 'https://codeforces.com/problemset/problem/4/A'),
+      problem(3, 'https://codeforces.com/problemset/problem/4/B'),
+    ]);
+    expect(groups.map(group => group.map(p => p.id))).toEqual([[1, 2]]);
+  });
+
+  test('does not group problems that differ only by query string', () => {
+    expect(findDuplicateGroups([
+      problem(1, 'https://acm.timus.ru/problem.aspx?space=1&num=1000'),
+      problem(2, 'https://acm.timus.ru/problem.aspx?space=1&num=1001'),
+      problem(3, 'https://onlinejudge.org/index.php?option=com_onlinejudge&page=show_problem&problem=36'),
+      problem(4, 'https://onlinejudge.org/index.php?option=com_onlinejudge&page=show_problem&problem=37'),
+    ])).toEqual([]);
+  });
+
+  test('groups the same query-string problem whatever the parameter order', () => {
+    const groups = findDuplicateGroups([
+      problem(1, 'https://acm.timus.ru/problem.aspx?space=1&num=1000'),
+      problem(2, 'https://acm.timus.ru/problem.aspx?num=1000&space=1&utm_source=x'),
+    ]);
+    expect(groups.map(group => group.map(p => p.id))).toEqual([[1, 2]]);
+  });
+
+  test('joins problems with the same source and external id', () => {
+    const groups = findDuplicateGroups([
+      problem(1, 'https://example.com/a', { source: 'Other', externalId: 'X1' }),
+      problem(2, 'https://example.com/b', { source: 'Other', externalId: 'X1' }),
+    ]);
+    expect(groups).toHaveLength(1);
+  });
+});
+
+describe('findExistingProblem', () => {
+  test('only matches the same problem', () => {
+    const saved = [problem(1, 'https://acm.timus.ru/problem.aspx?space=1&num=1000')];
+    expect(findExistingProblem(saved, { url: 'https://acm.timus.ru/problem.aspx?space=1&num=1001' })).toBeNull();
+    expect(findExistingProblem(saved, { url: 'https://acm.timus.ru/problem.aspx?num=1000&space=1' })).toBe(saved[0]);
+    expect(findExistingProblem(saved, { url: 'https://acm.timus.ru/problem.aspx?num=1000&space=1' }, 1)).toBeNull();
+  });
+});
@@ -0,0 +1,102 @@
+import { GROUPS_API_URL, apiRequest } from './api';
+import { mockGroupsClient } from './groupsMock';
+import { problemKey } from './platforms';
+import { problemStatus } from './problemLists';
+import { getTodayDate } from './scheduler';
+import { toDateKey, weekStartKey } from './stats';
+
+// --- Study Groups ---
+// A group is { id, name, inviteCode, ownerId, members: [{ userId, username, joinedAt }] }.
+// Members share problems into it as { key, name, url, source, difficulty,
+// rating, tags, sharedBy: { userId, username }, sharedAt, listName } where
+// `key` is platforms.problemKey(url), which is how the same problem is
+// recognised across everyone's collections. Each member publishes a progress
+// report for the shared problems (see progressReport); a group's detail is
+// { group, problems, reports }.
+
+// Set REACT_APP_MOCK_GROUPS=true to run the groups UI against a mock kept in
+// localStorage instead of the server (see groupsMock.js).
+export const USE_MOCK_GROUPS = process.env.REACT_APP_MOCK_GROUPS === 'true';
+
+const httpGroupsClient = {
+  list: () => apiRequest(GROUPS_API_URL, { silent: true }),
+  create: (name) => apiRequest(GROUPS_API_URL, { method: 'POST', body: { name }, silent: true }),
+  join: (inviteCode) => apiRequest(`${GROUPS_API_URL}/join`, { method: 'POST', body: { inviteCode }, silent: true }),
+  leave: (groupId) => apiRequest(`${GROUPS_API_URL}/${groupId}/leave`, { method: 'POST', silent: true }),
+  detail: (groupId) => apiRequest(`${GROUPS_API_URL}/${groupId}`, { silent: true }),
+  share: (groupId, problems) => apiRequest(`${GROUPS_API_URL}/${groupId}/problems`, { method: 'POST', body: { problems }, silent: true }),
+  unshare: (groupId, key) => apiRequest(`${GROUPS_API_URL}/${groupId}/problems/${encodeURIComponent(key)}`, { method: 'DELETE', silent: true }),
+  report: (groupId, report) => apiRequest(`${GROUPS_API_URL}/${groupId}/progress`, { method: 'PUT', body: report, silent: true }),
+};
+
+export const groupsClient = USE_MOCK_GROUPS ? mockGroupsClient : httpGroupsClient;
+
+// Invite codes are compared without case, spaces or dashes.
+export function normalizeInviteCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+// The shared copy of a problem: what teammates need to find and add it, not
+// the sharer's notes or schedule.
+export function shareableProblem(problem, listName = null) {
+  return {
+    key: problemKey(problem.url),
+    name: problem.name,
+    url: problem.url,
+    source: problem.source,
+    difficulty: problem.difficulty,
+    rating: problem.rating ?? null,
+    tags: problem.tags || [],
+    listName,
+  };
+}
+
+// A solved problem counts on the day it was marked solved, or the day it was
+// added if it was logged as solved (see applyStatusSchedule).
+const solvedDate = (problem) => (problemStatus(problem) === 'solved' ? toDateKey(problem.solvedAt || problem.addedAt) : null);
+
+// This user's progress on the group's shared problems, plus their totals for
+// the current week (all problems, not only shared ones) for the leaderboard.
+export function progressReport(problems, sharedKeys, today = getTodayDate()) {
+  const weekStart = weekStartKey(today);
+  const keys = new Set(sharedKeys);
+  const progress = {};
+  problems.forEach(problem => {
+    const key = problemKey(problem.url);
+    if (!keys.has(key)) return;
+    const reviewDates = (problem.revisionHistory || []).map(entry => toDateKey(entry.date)).filter(Boolean).sort();
+    progress[key] = { status: problemStatus(problem), reviews: reviewDates.length, lastRevised: reviewDates[reviewDates.length - 1] || null };
+  });
+  return {
+    weekStart,
+    solvedThisWeek: problems.filter(p => (solvedDate(p) || '') >= weekStart).length,
+    revisionsThisWeek: problems.flatMap(p => p.revisionHistory || []).filter(entry => (toDateKey(entry.date) || '') >= weekStart).length,
+    problems: progress,
+  };
+}
+
+// Rows of the group view: each shared problem with every member's progress
+// on it (null where the problem isn't in their collection).
+export function groupProgressRows(detail) {
+  const reports = new Map((detail.reports || []).map(report => [report.userId, report]));
+  return [...(detail.problems || [])]
+    .sort((a, b) => String(b.sharedAt || '').localeCompare(String(a.sharedAt || '')))
+    .map(problem => ({
+      problem,
+      progress: detail.group.members.map(member => reports.get(member.userId)?.problems?.[problem.key] || null),
+    }));
+}
+
+// This week's standings: problems solved, then revisions done. Reports
+// published in an earlier week count as nothing yet.
+export function weeklyLeaderboard(detail, today = getTodayDate()) {
+  const weekStart = weekStartKey(today);
+  const reports = new Map((detail.reports || []).map(report => [report.userId, report]));
+  return detail.group.members
+    .map(member => {
+      const report = reports.get(member.userId);
+      const current = report?.weekStart === weekStart;
+      return { ...member, solved: current ? report.solvedThisWeek : 0, revisions: current ? report.revisionsThisWeek : 0, reportedAt: report?.reportedAt || null };
+    })
+    .sort((a, b) => b.solved - a.solved || b.revisions - a.revisions || a.username.localeCompare(b.username));
+}
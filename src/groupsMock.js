@@ -0,0 +1,105 @@
+import { ApiError } from './api';
+import { loadSession } from './auth';
+
+// --- Mock Groups Backend ---
+// Implements the groups API in localStorage so the UI can be tried without a
+// server that supports groups. Every account that logs in on this browser
+// sees the same mock data, so logging in as a second user is how to test
+// joining, sharing and the leaderboard. Errors mirror the server's statuses.
+const STORAGE_KEY = 'cp-mock-groups';
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function load() {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || { nextId: 1, groups: [] };
+  } catch (e) {
+    return { nextId: 1, groups: [] };
+  }
+}
+
+function save(data) {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+}
+
+function currentUser() {
+  const user = loadSession()?.user;
+  if (!user) throw new ApiError("Not logged in", { status: 401 });
+  return { userId: user.id, username: user.username };
+}
+
+function inviteCode(groups) {
+  for (;;) {
+    const code = Array.from({ length: 6 }, () => INVITE_ALPHABET[Math.floor(Math.random() * INVITE_ALPHABET.length)]).join('');
+    if (!groups.some(group => group.inviteCode === code)) return code;
+  }
+}
+
+const summary = ({ problems, reports, ...group }) => group;
+const detail = (group) => ({ group: summary(group), problems: group.problems, reports: Object.values(group.reports) });
+
+// Loads the data, finds the user's group and hands both to `change`; the data
+// is saved afterwards, so `change` can modify it in place.
+async function withGroup(groupId, change) {
+  const user = currentUser();
+  const data = load();
+  const group = data.groups.find(g => String(g.id) === String(groupId) && g.members.some(m => m.userId === user.userId));
+  if (!group) throw new ApiError("Group not found", { status: 404 });
+  const result = change(group, user, data);
+  save(data);
+  return result;
+}
+
+export const mockGroupsClient = {
+  list: async () => {
+    const { userId } = currentUser();
+    return load().groups.filter(group => group.members.some(m => m.userId === userId)).map(summary);
+  },
+  create: async (name) => {
+    const user = currentUser();
+    if (!String(name || '').trim()) throw new ApiError("Group name is required", { status: 400 });
+    const data = load();
+    const group = { id: data.nextId++, name: name.trim(), inviteCode: inviteCode(data.groups), ownerId: user.userId, createdAt: new Date().toISOString(), members: [{ ...user, joinedAt: new Date().toISOString() }], problems: [], reports: {} };
+    data.groups.push(group);
+    save(data);
+    return summary(group);
+  },
+  join: async (code) => {
+    const user = currentUser();
+    const data = load();
+    const group = data.groups.find(g => g.inviteCode === String(code || '').toUpperCase());
+    if (!group) throw new ApiError("No group has that invite code", { status: 404 });
+    if (!group.members.some(m => m.userId === user.userId)) group.members.push({ ...user, joinedAt: new Date().toISOString() });
+    save(data);
+    return summary(group);
+  },
+  // The last member out deletes the group; an owner leaving hands it to the
+  // longest-standing member.
+  leave: (groupId) => withGroup(groupId, (group, user, data) => {
+    group.members = group.members.filter(m => m.userId !== user.userId);
+    delete group.reports[user.userId];
+    if (group.members.length === 0) data.groups = data.groups.filter(g => g !== group);
+    else if (group.ownerId === user.userId) group.ownerId = group.members[0].userId;
+    return null;
+  }),
+  detail: (groupId) => withGroup(groupId, detail),
+  // Problems already shared (same key) are left as they are.
+  share: (groupId, problems) => withGroup(groupId, (group, user) => {
+    const sharedAt = new Date().toISOString();
+    problems.forEach(problem => {
+      if (!problem.key || group.problems.some(p => p.key === problem.key)) return;
+      group.problems.push({ ...problem, sharedBy: user, sharedAt });
+    });
+    return detail(group);
+  }),
+  unshare: (groupId, key) => withGroup(groupId, (group, user) => {
+    const problem = group.problems.find(p => p.key === key);
+    if (!problem) throw new ApiError("Problem not found", { status: 404 });
+    if (problem.sharedBy.userId !== user.userId && group.ownerId !== user.userId) throw new ApiError("Only whoever shared it or the group owner can remove it", { status: 403 });
+    group.problems = group.problems.filter(p => p !== problem);
+    return detail(group);
+  }),
+  report: (groupId, report) => withGroup(groupId, (group, user) => {
+    group.reports[user.userId] = { ...report, ...user, reportedAt: new Date().toISOString() };
+    return detail(group);
+  }),
+};
@@ -0,0 +1,182 @@
+import { parseCsv, serializeCsv } from './csv';
+import { normalizeTags } from './tags';
+import { PROBLEM_SOURCES, PROBLEM_DIFFICULTIES, PROBLEM_STATUSES } from './constants';
+import { problemKey } from './platforms';
+
+// --- Import / Export Formats ---
+const BACKUP_FORMAT = 'cp-compendium-backup';
+const BACKUP_VERSION = 2;
+
+// Columns written by the CSV/Markdown exports and offered for CSV column mapping.
+export const EXPORT_FIELDS = [
+  { key: 'name', label: 'Name', aliases: ['title', 'problem', 'problem name'] },
+  { key: 'url', label: 'URL', aliases: ['link', 'problem url', 'problem link'] },
+  { key: 'source', label: 'Source', aliases: ['platform', 'judge', 'site'] },
+  { key: 'difficulty', label: 'Difficulty', aliases: ['level'] },
+  { key: 'status', label: 'Status', aliases: ['state', 'progress'] },
+  { key: 'rating', label: 'Rating', aliases: ['problem rating'] },
+  { key: 'tags', label: 'Tags', aliases: ['topics', 'topic', 'tag'] },
+  { key: 'submissionLink', label: 'Submission', aliases: ['submission link', 'submission url', 'solution'] },
+  { key: 'remarks', label: 'Remarks', aliases: ['notes', 'note', 'comments'] },
+  { key: 'addedAt', label: 'Added At', aliases: ['added', 'date', 'date added', 'solved at'] },
+  { key: 'nextRevisionDate', label: 'Next Revision', aliases: ['next revision date', 'revision date', 'due'] },
+];
+
+const formatCell = (problem, key) => (key === 'tags' ? (problem.tags || []).join('; ') : problem[key] ?? '');
+
+export function problemsToCsv(problems) {
+  return serializeCsv([EXPORT_FIELDS.map(f => f.label), ...problems.map(p => EXPORT_FIELDS.map(f => formatCell(p, f.key)))]);
+}
+
+export function problemsToMarkdown(problems) {
+  const escape = (value) => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  const header = ['Name', 'Source', 'Difficulty', 'Rating', 'Tags', 'Next Revision'];
+  const rows = problems.map(p => [
+    `[${escape(p.name)}](${p.url})`, p.source, p.difficulty, p.rating || '-', escape((p.tags || []).join(', ')), p.nextRevisionDate || 'Done',
+  ]);
+  return [header, header.map(() => '---'), ...rows].map(cells => `| ${cells.join(' | ')} |`).join('\n');
+}
+
+export function createBackupBundle({ problems, links, settings }) {
+  return { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), problems, links, settings };
+}
+
+const isRecord = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Reads an import file. CSV yields { kind: 'csv', headers, rows } for column
+// mapping; JSON yields { kind: 'json', problems, links, settings } and accepts
+// both a full backup bundle and the older bare array of problems.
+export function parseImportFile(fileName, text) {
+  if (/\.csv$/i.test(fileName)) {
+    const [headers = [], ...rows] = parseCsv(text);
+    if (headers.length === 0) throw new Error("The CSV file is empty.");
+    return { kind: 'csv', headers: headers.map(h => h.trim()), rows };
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (Array.isArray(data)) return { kind: 'json', problems: data, links: [], settings: null };
+  if (data?.format === BACKUP_FORMAT && Array.isArray(data.problems)) {
+    const links = Array.isArray(data.links) ? data.links.filter(isRecord) : [];
+    return { kind: 'json', problems: data.problems, links, settings: isRecord(data.settings) ? data.settings : null };
+  }
+  throw new Error("Expected a backup bundle or a JSON array of problems.");
+}
+
+// Maps each field to the CSV header that most likely holds it ('' when none does).
+export function guessColumnMapping(headers) {
+  const lower = headers.map(h => h.toLowerCase());
+  return Object.fromEntries(EXPORT_FIELDS.map(field => {
+    const names = [field.key.toLowerCase(), field.label.toLowerCase(), ...field.aliases];
+    const index = lower.findIndex(h => names.includes(h));
+    return [field.key, index === -1 ? '' : headers[index]];
+  }));
+}
+
+export function csvRowsToProblems(headers, rows, mapping) {
+  return rows.map(row => {
+    const problem = {};
+    EXPORT_FIELDS.forEach(({ key }) => {
+      const column = headers.indexOf(mapping[key]);
+      if (column === -1) return;
+      const value = (row[column] ?? '').trim();
+      problem[key] = key === 'tags' ? value.split(/[;,]/) : value;
+    });
+    return problem;
+  });
+}
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+const matchCase = (value, options) => options.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+
+// Cleans up one imported problem. Returns { problem, errors }; rows with
+// errors are shown in the preview but never imported. Entries that aren't
+// objects at all (a stray null or number in the array) become error rows.
+export function validateImportedProblem(raw) {
+  if (!isRecord(raw)) return { problem: validateImportedProblem({}).problem, errors: [`Not a problem record: ${JSON.stringify(raw) ?? String(raw)}`] };
+  const errors = [];
+  const name = String(raw.name ?? '').trim();
+  const url = String(raw.url ?? '').trim();
+  if (!name) errors.push("Missing name");
+  if (!url) errors.push("Missing URL");
+  else if (!isHttpUrl(url)) errors.push("Invalid URL");
+
+  let rating = null;
+  if (raw.rating !== undefined && raw.rating !== null && String(raw.rating).trim() !== '') {
+    rating = Number(raw.rating);
+    if (!Number.isFinite(rating) || rating <= 0) { errors.push(`Invalid rating "${raw.rating}"`); rating = null; }
+  }
+  let difficulty = PROBLEM_DIFFICULTIES[0];
+  if (raw.difficulty) {
+    difficulty = matchCase(raw.difficulty, PROBLEM_DIFFICULTIES);
+    if (!difficulty) { errors.push(`Unknown difficulty "${raw.difficulty}"`); difficulty = PROBLEM_DIFFICULTIES[0]; }
+  }
+  const source = matchCase(raw.source || 'Other', PROBLEM_SOURCES) || 'Other';
+  const statusText = String(raw.status ?? '').trim().toLowerCase();
+  const status = PROBLEM_STATUSES.find(s => s.value === statusText || s.label.toLowerCase() === statusText)?.value;
+
+  const problem = {
+    ...raw,
+    name,
+    url,
+    source,
+    difficulty,
+    rating,
+    tags: normalizeTags(raw.tags),
+    remarks: raw.remarks || '',
+    submissionLink: raw.submissionLink || '',
+    status,
+  };
+  ['addedAt', 'nextRevisionDate', 'status'].forEach(key => { if (!problem[key]) delete problem[key]; });
+  delete problem.id;
+  return { problem, errors };
+}
+
+// Builds the preview rows: each incoming problem validated and matched
+// against existing problems (and earlier rows of the same file) by its
+// canonical problem key.
+export function buildImportPreview(incoming, existingProblems) {
+  const existingByUrl = new Map(existingProblems.map(p => [problemKey(p.url), p]));
+  const seen = new Set();
+  return incoming.map((raw, index) => {
+    const { problem, errors } = validateImportedProblem(raw);
+    const key = problemKey(problem.url);
+    const duplicateInFile = !errors.length && seen.has(key);
+    seen.add(key);
+    return { index, problem, errors, duplicateOf: existingByUrl.get(key) || null, duplicateInFile };
+  });
+}
+
+// Combines an existing problem with an imported copy: blanks are filled from
+// the import, tags are unioned, distinct remarks are appended, and the
+// existing id and revision schedule are kept.
+export function mergeProblems(existing, incoming) {
+  const merged = { ...existing };
+  ['name', 'url', 'source', 'difficulty', 'rating', 'submissionLink', 'externalId'].forEach(key => {
+    if ((merged[key] == null || merged[key] === '') && incoming[key] != null && incoming[key] !== '') merged[key] = incoming[key];
+  });
+  merged.tags = normalizeTags([...(existing.tags || []), ...(incoming.tags || [])]);
+  const remarks = [existing.remarks, incoming.remarks].map(r => (r || '').trim()).filter(Boolean);
+  merged.remarks = remarks.length === 2 && remarks[0] === remarks[1] ? remarks[0] : remarks.join('\n\n');
+  return merged;
+}
+
+const SCHEDULE_FIELDS = ['addedAt', 'nextRevisionDate', 'revisionLevel', 'easeFactor', 'intervalDays', 'revisionHistory'];
+
+// Replaces an existing problem's details with the imported ones while keeping
+// its identity and revision schedule.
+export function overwriteProblem(existing, incoming) {
+  const details = { ...incoming };
+  SCHEDULE_FIELDS.forEach(key => delete details[key]);
+  return { ...existing, ...details };
+}
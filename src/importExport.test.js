@@ -0,0 +1,37 @@
+import { parseImportFile, validateImportedProblem, buildImportPreview } from './importExport';
+
+describe('parseImportFile', () => {
+  test('accepts a bare array and drops malformed links from a backup', () => {
+    expect(parseImportFile('p.json', '[{"name":"A"}]').problems).toEqual([{ name: 'A' }]);
+    const bundle = parseImportFile('b.json', JSON.stringify({ format: 'cp-compendium-backup', version: 1, problems: [], links: [null, 3, { name: 'L', url: 'https://x.com' }], settings: 7 }));
+    expect(bundle.links).toEqual([{ name: 'L', url: 'https://x.com' }]);
+    expect(bundle.settings).toBeNull();
+  });
+
+  test('rejects JSON that is neither', () => {
+    expect(() => parseImportFile('p.json', '{"a":1}')).toThrow("Expected a backup bundle");
+    expect(() => parseImportFile('p.json', 'nope')).toThrow("not valid JSON");
+  });
+});
+
+describe('validateImportedProblem', () => {
+  test.each([null, 5, 'text', [1]])('turns %p into an error row', (raw) => {
+    const { problem, errors } = validateImportedProblem(raw);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/^Not a problem record/);
+    expect(problem.name).toBe('');
+  });
+
+  test('reports missing and invalid fields', () => {
+    expect(validateImportedProblem({ name: 'A', url: 'ftp://x' }).errors).toEqual(["Invalid URL"]);
+    expect(validateImportedProblem({ url: 'https://x.com', rating: 'abc' }).errors).toEqual(["Missing name", 'Invalid rating "abc"']);
+  });
+});
+
+describe('buildImportPreview', () => {
+  test('survives non-object entries', () => {
+    const rows = buildImportPreview([null, { name: 'A', url: 'https://codeforces.com/contest/4/problem/A' }], [{ id: 1, url: 'https://codeforces.com/problemset/problem/4/A' }]);
+    expect(rows[0].errors).toHaveLength(1);
+    expect(rows[1].duplicateOf.id).toBe(1);
+  });
+});
@@ -1,13 +1,19 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import { BrowserRouter } from 'react-router-dom';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github.css';
 import './index.css';
 import App from './App';
+import { registerServiceWorker } from './reminders';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <BrowserRouter future={{ v7_relativeSplatPath: true }}>
+      <App />
+    </BrowserRouter>
   </React.StrictMode>
 );
 
-
+registerServiceWorker();
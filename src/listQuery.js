@@ -0,0 +1,74 @@
+import { PROBLEM_DIFFICULTIES } from './constants';
+
+// --- Problem List Query String ---
+// The list's search, filter and sort state lives in the URL so a filtered view
+// can be bookmarked or shared. Defaults are left out to keep URLs short.
+export const DEFAULT_LIST_QUERY = {
+  searchTerm: '',
+  filterSource: 'All',
+  filterDifficulty: 'All',
+  filterTags: [],
+  tagMatchMode: 'any',
+  sortConfig: { key: 'addedAt', direction: 'desc' },
+};
+
+export const SORT_KEYS = ['addedAt', 'name', 'source', 'difficulty', 'rating', 'nextRevisionDate', 'revisionLevel'];
+
+export function parseListQuery(searchParams) {
+  const [sortKey, sortDirection] = (searchParams.get('sort') || '').split(':');
+  const tags = searchParams.get('tags');
+  return {
+    searchTerm: searchParams.get('q') || DEFAULT_LIST_QUERY.searchTerm,
+    filterSource: searchParams.get('source') || DEFAULT_LIST_QUERY.filterSource,
+    filterDifficulty: searchParams.get('difficulty') || DEFAULT_LIST_QUERY.filterDifficulty,
+    filterTags: tags ? tags.split(',').filter(Boolean) : DEFAULT_LIST_QUERY.filterTags,
+    tagMatchMode: searchParams.get('match') === 'all' ? 'all' : DEFAULT_LIST_QUERY.tagMatchMode,
+    sortConfig: SORT_KEYS.includes(sortKey) && ['asc', 'desc'].includes(sortDirection)
+      ? { key: sortKey, direction: sortDirection }
+      : DEFAULT_LIST_QUERY.sortConfig,
+  };
+}
+
+export function listQueryToSearchParams(query) {
+  const params = new URLSearchParams();
+  const { searchTerm, filterSource, filterDifficulty, filterTags, tagMatchMode, sortConfig } = query;
+  const defaultSort = DEFAULT_LIST_QUERY.sortConfig;
+  if (searchTerm) params.set('q', searchTerm);
+  if (filterSource !== 'All') params.set('source', filterSource);
+  if (filterDifficulty !== 'All') params.set('difficulty', filterDifficulty);
+  if (filterTags.length > 0) params.set('tags', filterTags.join(','));
+  if (tagMatchMode !== 'any') params.set('match', tagMatchMode);
+  if (sortConfig.key !== defaultSort.key || sortConfig.direction !== defaultSort.direction) params.set('sort', `${sortConfig.key}:${sortConfig.direction}`);
+  return params;
+}
+
+// Sort value for a field: difficulty sorts Easy < Medium < Hard, strings ignore case.
+function sortValue(problem, key) {
+  const value = problem[key];
+  if (value == null || value === '') return null;
+  if (key === 'difficulty') return PROBLEM_DIFFICULTIES.indexOf(value);
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+// Returns a sorted copy; missing values always go last.
+export function sortProblems(problems, { key, direction }) {
+  const sign = direction === 'asc' ? 1 : -1;
+  return problems
+    .map(problem => ({ problem, value: sortValue(problem, key) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+      return a.value < b.value ? -sign : a.value > b.value ? sign : 0;
+    })
+    .map(entry => entry.problem);
+}
+
+// Query string for one server-side page, using Spring Data's page/size/sort
+// parameters next to the list filters.
+export function problemPageSearchParams(query, page, size) {
+  const params = listQueryToSearchParams(query);
+  params.delete('sort');
+  params.set('page', page);
+  params.set('size', size);
+  params.set('sort', `${query.sortConfig.key},${query.sortConfig.direction}`);
+  return params;
+}
@@ -0,0 +1,57 @@
+// --- IndexedDB Local Store ---
+// Each user gets their own database holding cached copies of server records
+// (problems, quick links, problem lists and contests)
+// plus the offline sync queue and any unresolved sync conflicts.
+const DB_VERSION = 3;
+export const STORES = {
+  problems: 'problems',
+  links: 'links',
+  lists: 'lists',
+  contests: 'contests',
+  pendingOps: 'pendingOps',
+  conflicts: 'conflicts',
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export function openLocalStore(userId) {
+  if (!window.indexedDB) return Promise.reject(new Error("IndexedDB is not available"));
+  const request = window.indexedDB.open(`cp-compendium-${userId}`, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORES.problems)) db.createObjectStore(STORES.problems, { keyPath: 'id' });
+    if (!db.objectStoreNames.contains(STORES.links)) db.createObjectStore(STORES.links, { keyPath: 'id' });
+    if (!db.objectStoreNames.contains(STORES.lists)) db.createObjectStore(STORES.lists, { keyPath: 'id' });
+    if (!db.objectStoreNames.contains(STORES.contests)) db.createObjectStore(STORES.contests, { keyPath: 'id' });
+    if (!db.objectStoreNames.contains(STORES.pendingOps)) db.createObjectStore(STORES.pendingOps, { keyPath: 'seq', autoIncrement: true });
+    if (!db.objectStoreNames.contains(STORES.conflicts)) db.createObjectStore(STORES.conflicts, { keyPath: 'id', autoIncrement: true });
+  };
+  return promisify(request);
+}
+
+export function readAll(db, storeName) {
+  return promisify(db.transaction(storeName).objectStore(storeName).getAll());
+}
+
+export function putRecord(db, storeName, record) {
+  return promisify(db.transaction(storeName, 'readwrite').objectStore(storeName).put(record));
+}
+
+export function deleteRecord(db, storeName, key) {
+  return promisify(db.transaction(storeName, 'readwrite').objectStore(storeName).delete(key));
+}
+
+// Replaces the whole contents of a store in a single transaction.
+export function replaceAll(db, storeName, records) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    store.clear();
+    records.forEach(record => store.put(record));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
@@ -0,0 +1,81 @@
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+import katex from 'katex';
+import hljs from 'highlight.js/lib/core';
+import cpp from 'highlight.js/lib/languages/cpp';
+import python from 'highlight.js/lib/languages/python';
+import java from 'highlight.js/lib/languages/java';
+
+// --- Markdown Notes Rendering ---
+// Problem notes are GitHub-flavoured Markdown with fenced code blocks
+// (highlighted for C++, Python and Java) and KaTeX math: $inline$ and
+// $$display$$. The generated HTML is always passed through DOMPurify.
+hljs.registerLanguage('cpp', cpp);
+hljs.registerLanguage('python', python);
+hljs.registerLanguage('java', java);
+
+export const NOTE_LANGUAGES = ['cpp', 'python', 'java'];
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function renderMath(tex, displayMode) {
+  return katex.renderToString(tex, { displayMode, throwOnError: false, strict: 'ignore' });
+}
+
+const blockMath = {
+  name: 'blockMath',
+  level: 'block',
+  start: (src) => src.indexOf('$$'),
+  tokenizer(src) {
+    const match = src.match(/^\$\$([\s\S]+?)\$\$[^\S\n]*(?:\n|$)/);
+    if (match) return { type: 'blockMath', raw: match[0], text: match[1].trim() };
+  },
+  renderer: (token) => `<div class="math-block">${renderMath(token.text, true)}</div>`,
+};
+
+// "$" needs a non-space right after the opening and no digit right after the
+// closing delimiter, so prices like "$5 and $10" stay plain text.
+const inlineMath = {
+  name: 'inlineMath',
+  level: 'inline',
+  start: (src) => src.indexOf('$'),
+  tokenizer(src) {
+    const match = src.match(/^\$\$([^$]+?)\$\$/) || src.match(/^\$(?!\s)((?:\\.|[^\\$\n])+?)\$(?!\d)/);
+    if (match) return { type: 'inlineMath', raw: match[0], text: match[1].trim(), displayMode: match[0].startsWith('$$') };
+  },
+  renderer: (token) => renderMath(token.text, token.displayMode),
+};
+
+const marked = new Marked({
+  gfm: true,
+  breaks: true,
+  extensions: [blockMath, inlineMath],
+  renderer: {
+    code({ text, lang }) {
+      const language = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+      const known = language && hljs.getLanguage(language);
+      const body = known ? hljs.highlight(text, { language, ignoreIllegals: true }).value : escapeHtml(text);
+      return `<pre><code class="hljs${known ? ` language-${escapeHtml(language)}` : ''}">${body}</code></pre>\n`;
+    },
+  },
+});
+
+// Links in notes always open in a new tab without access to this window.
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.hasAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+export function renderMarkdown(text) {
+  if (!text) return '';
+  return DOMPurify.sanitize(marked.parse(text), { ADD_TAGS: ['semantics', 'annotation'], ADD_ATTR: ['target', 'encoding'], FORBID_TAGS: ['style', 'form', 'input', 'button'] });
+}
+
+// First non-empty line of the notes with Markdown markers stripped, for compact previews.
+export function notesSummary(text, maxLength = 100) {
+  const line = (text || '').split('\n').map(l => l.trim()).find(l => l && !l.startsWith('```')) || '';
+  const plain = line.replace(/^(#+|[-*+]|\d+\.|>)\s+/, '').replace(/[*_`~]/g, '');
+  return plain.length > maxLength ? `${plain.slice(0, maxLength - 1)}…` : plain;
+}
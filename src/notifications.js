@@ -0,0 +1,16 @@
+// --- Toast Notifications ---
+// A tiny pub/sub so non-React modules (like the API client) can raise toasts
+// that the <Toaster> in App renders.
+const listeners = new Set();
+let nextToastId = 1;
+
+export function notify(message, { type = 'error', duration = 6000 } = {}) {
+  const toast = { id: nextToastId++, message, type, duration };
+  listeners.forEach(listener => listener(toast));
+  return toast.id;
+}
+
+export function subscribeToToasts(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,106 @@
+// --- Platform URL Parsing ---
+// Recognizes problem URLs from the supported judges and extracts the source,
+// a platform-specific problem id and a sensible default name.
+const titleFromSlug = (slug) => slug.split(/[-_]/).filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+
+// Codeforces contest ids at or above this are gym contests.
+const CODEFORCES_GYM_MIN_ID = 100000;
+
+const codeforcesSection = (contestId) => (contestId >= CODEFORCES_GYM_MIN_ID ? 'gym' : 'contest');
+
+export function codeforcesProblemUrl(contestId, index) {
+  return `https://codeforces.com/${codeforcesSection(contestId)}/${contestId}/problem/${index}`;
+}
+
+export function codeforcesSubmissionUrl(contestId, submissionId) {
+  return `https://codeforces.com/${codeforcesSection(contestId)}/${contestId}/submission/${submissionId}`;
+}
+
+export function atcoderTaskName(taskId) {
+  const [contest, task] = taskId.split('_');
+  return task ? `${contest.toUpperCase()} ${task.toUpperCase()}` : taskId.toUpperCase();
+}
+
+const PARSERS = [
+  {
+    source: 'Codeforces',
+    host: /(^|\.)codeforces\.(com|ml|net)$/,
+    parse: (path) => {
+      const match = path.match(/^\/(?:contest|gym)\/(\d+)\/problem\/(\w+)/) || path.match(/^\/problemset\/(?:gym)?problem\/(\d+)\/(\w+)/);
+      if (!match) return null;
+      const externalId = `${match[1]}${match[2].toUpperCase()}`;
+      return { externalId, name: `CF ${externalId}` };
+    },
+  },
+  {
+    source: 'LeetCode',
+    host: /(^|\.)leetcode\.(com|cn)$/,
+    parse: (path) => {
+      const match = path.match(/^\/(?:contest\/[\w-]+\/)?problems\/([\w-]+)/);
+      return match && { externalId: match[1], name: titleFromSlug(match[1]) };
+    },
+  },
+  {
+    source: 'AtCoder',
+    host: /(^|\.)atcoder\.jp$/,
+    parse: (path) => {
+      const match = path.match(/^\/contests\/[\w-]+\/tasks\/(\w+)/);
+      return match && { externalId: match[1], name: atcoderTaskName(match[1]) };
+    },
+  },
+  {
+    source: 'HackerRank',
+    host: /(^|\.)hackerrank\.com$/,
+    parse: (path) => {
+      const match = path.match(/\/challenges\/([\w-]+)/);
+      return match && { externalId: match[1], name: titleFromSlug(match[1]) };
+    },
+  },
+];
+
+// Returns { source, externalId, name } for a known problem URL, otherwise null.
+export function parseProblemUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(String(rawUrl ?? '').trim());
+  } catch (e) {
+    return null;
+  }
+  for (const parser of PARSERS) {
+    if (!parser.host.test(url.hostname)) continue;
+    const parsed = parser.parse(url.pathname);
+    if (parsed) return { source: parser.source, ...parsed };
+  }
+  return null;
+}
+
+// Query parameters that only track where a visit came from.
+const TRACKING_PARAM = /^(utm_\w+|fbclid|gclid|ref|ref_src)$/i;
+
+// Comparable form of a URL: scheme, "www.", fragment and trailing slashes are
+// dropped and the host and path lowercased. The query string is kept (sorted,
+// without tracking parameters) since on many judges it names the problem, e.g.
+// Timus' problem.aspx?num=1000; so is a "#/..." fragment used for routing.
+export function normalizeUrl(rawUrl) {
+  const text = String(rawUrl ?? '').trim();
+  let url;
+  try {
+    url = new URL(text);
+  } catch (e) {
+    return text.replace(/#(?![/!]).*$/, '').replace(/\/+(?=$|[?#])/, '').toLowerCase();
+  }
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAM.test(name))
+    .sort(([a, av], [b, bv]) => a.localeCompare(b) || av.localeCompare(bv));
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+  const route = /^#[/!]/.test(url.hash) ? url.hash : '';
+  return `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '').toLowerCase()}${query}${route}`;
+}
+
+// Canonical key for the problem behind a URL: "<source>:<problem id>" on the
+// judges parseProblemUrl recognises (so e.g. Codeforces /problemset/ and
+// /contest/ links match), otherwise the normalized URL, query included.
+export function problemKey(rawUrl) {
+  const parsed = parseProblemUrl(rawUrl);
+  return parsed ? `${parsed.source}:${parsed.externalId}`.toLowerCase() : normalizeUrl(rawUrl);
+}
@@ -0,0 +1,36 @@
+import { normalizeUrl, problemKey } from './platforms';
+
+describe('problemKey', () => {
+  test('matches the same judge problem across URL forms', () => {
+    expect(problemKey('https://codeforces.com/problemset/problem/4/A')).toBe('codeforces:4a');
+    expect(problemKey('https://www.codeforces.com/contest/4/problem/A?locale=en')).toBe('codeforces:4a');
+    expect(problemKey('https://leetcode.com/problems/two-sum/description/')).toBe('leetcode:two-sum');
+  });
+
+  test('keeps the query string on hosts without a parser', () => {
+    const timus1000 = problemKey('https://acm.timus.ru/problem.aspx?space=1&num=1000');
+    const timus1001 = problemKey('https://acm.timus.ru/problem.aspx?space=1&num=1001');
+    expect(timus1000).toBe('acm.timus.ru/problem.aspx?num=1000&space=1');
+    expect(timus1000).not.toBe(timus1001);
+
+    const uva = (n) => problemKey(`https://onlinejudge.org/index.php?option=com_onlinejudge&Itemid=8&page=show_problem&problem=${n}`);
+    expect(uva(36)).not.toBe(uva(37));
+  });
+
+  test('ignores parameter order, tracking parameters, fragments and trailing slashes', () => {
+    const key = problemKey('https://acm.timus.ru/problem.aspx?space=1&num=1000');
+    expect(problemKey('http://www.acm.timus.ru/problem.aspx/?num=1000&space=1#statement')).toBe(key);
+    expect(problemKey('https://acm.timus.ru/problem.aspx?utm_source=news&num=1000&space=1&fbclid=x')).toBe(key);
+  });
+
+  test('keeps routing fragments', () => {
+    expect(problemKey('https://judge.example/#/problem/1')).not.toBe(problemKey('https://judge.example/#/problem/2'));
+  });
+});
+
+describe('normalizeUrl', () => {
+  test('handles text that is not a URL', () => {
+    expect(normalizeUrl('Example.com/Problem/?id=3#top')).toBe('example.com/problem?id=3');
+    expect(normalizeUrl(null)).toBe('');
+  });
+});
@@ -0,0 +1,124 @@
+// --- User Preferences ---
+// Appearance and personalization settings, saved per user on the server with
+// a copy in localStorage. The copy is what loads first (and all there is when
+// logged out or offline); on login the more recently edited side wins.
+export const THEME_MODES = [
+  { value: 'light', label: "Light" },
+  { value: 'dark', label: "Dark" },
+  { value: 'system', label: "Match System" },
+];
+
+export const DEFAULT_PREFERENCES = {
+  customHeading: 'Competitive Programming Compendium',
+  accentHue: '210',
+  themeMode: 'system',
+  glassIntensity: 50,
+  animationsOn: true,
+  backgroundUrl: null,
+};
+
+const LOCAL_KEY = 'cp-preferences';
+// Where older versions kept each setting in localStorage.
+const LEGACY_KEYS = { customHeading: 'cp-heading', accentHue: 'cp-accent-hue', animationsOn: 'cp-animations-on', backgroundUrl: 'cp-background-url' };
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+// Known keys with valid values; anything missing or invalid takes its value
+// from `fallback`.
+export function normalizePreferences(values, fallback = DEFAULT_PREFERENCES) {
+  const v = values || {};
+  const hue = Number(v.accentHue);
+  const intensity = Number(v.glassIntensity);
+  return {
+    customHeading: typeof v.customHeading === 'string' ? v.customHeading : fallback.customHeading,
+    accentHue: isSet(v.accentHue) && Number.isFinite(hue) ? String(Math.round(((hue % 360) + 360) % 360)) : fallback.accentHue,
+    themeMode: THEME_MODES.some(mode => mode.value === v.themeMode) ? v.themeMode : fallback.themeMode,
+    glassIntensity: isSet(v.glassIntensity) && Number.isFinite(intensity) ? Math.min(100, Math.max(0, Math.round(intensity))) : fallback.glassIntensity,
+    animationsOn: typeof v.animationsOn === 'boolean' ? v.animationsOn : fallback.animationsOn,
+    backgroundUrl: v.backgroundUrl === null || (typeof v.backgroundUrl === 'string' && /^(data:image\/|https?:)/.test(v.backgroundUrl)) ? v.backgroundUrl : fallback.backgroundUrl,
+  };
+}
+
+// The local copy: { userId, updatedAt, values }. Settings stored under the
+// old per-setting keys are picked up the first time.
+export function loadLocalPreferences() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(LOCAL_KEY));
+    if (stored?.values) return { userId: stored.userId ?? null, updatedAt: stored.updatedAt || null, values: normalizePreferences(stored.values) };
+  } catch (e) {
+    console.error("Error reading preferences from localStorage", e);
+  }
+  const legacy = {};
+  Object.entries(LEGACY_KEYS).forEach(([key, storageKey]) => {
+    try {
+      const raw = window.localStorage.getItem(storageKey);
+      if (raw !== null) legacy[key] = JSON.parse(raw);
+    } catch (e) { /* unreadable old value: use the default */ }
+  });
+  return { userId: null, updatedAt: null, values: normalizePreferences(legacy) };
+}
+
+// Over the storage quota the copy is saved without the background image,
+// which the server still has.
+export function saveLocalPreferences(record) {
+  try {
+    try {
+      window.localStorage.setItem(LOCAL_KEY, JSON.stringify(record));
+    } catch (e) {
+      window.localStorage.setItem(LOCAL_KEY, JSON.stringify({ ...record, values: { ...record.values, backgroundUrl: null } }));
+    }
+    Object.values(LEGACY_KEYS).forEach(key => window.localStorage.removeItem(key));
+  } catch (e) {
+    console.error("Error writing preferences to localStorage", e);
+  }
+}
+
+// Picks between the local copy and the server's (`{ ...values, updatedAt }`,
+// or null when the user has none yet). Returns the record to use and whether
+// it should be sent to the server. A local copy saved by another user never
+// wins; one saved while logged out counts as this user's.
+export function reconcilePreferences(local, server, userId) {
+  const localIsMine = local.userId === null || local.userId === userId;
+  if (!server) return { record: { ...local, userId }, push: localIsMine };
+  const serverRecord = { userId, updatedAt: server.updatedAt || null, values: normalizePreferences(server) };
+  if (localIsMine && local.updatedAt && (!server.updatedAt || local.updatedAt > server.updatedAt)) return { record: { ...local, userId }, push: true };
+  return { record: serverRecord, push: false };
+}
+
+// CSS custom properties for the glass effect: blur grows with intensity and
+// panel tint fades (0 gives solid panels, 100 very clear, blurry glass).
+export function glassVariables(intensity) {
+  return {
+    '--glass-blur': (intensity / 50).toFixed(2),
+    '--glass-tint': (1.5 - intensity / 100).toFixed(2),
+  };
+}
+
+// --- Background Image ---
+const BACKGROUND_MAX_SIZE = 1920;
+const BACKGROUND_QUALITY = 0.8;
+
+// Downscales an uploaded image to at most BACKGROUND_MAX_SIZE pixels on its
+// long side and re-encodes it as WebP (JPEG where the browser can't encode
+// WebP), so a photo straight off a camera doesn't fill the storage quota.
+export function compressBackgroundImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      const scale = Math.min(1, BACKGROUND_MAX_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      const webp = canvas.toDataURL('image/webp', BACKGROUND_QUALITY);
+      resolve(webp.startsWith('data:image/webp') ? webp : canvas.toDataURL('image/jpeg', BACKGROUND_QUALITY));
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("That file isn't an image the browser can read."));
+    };
+    image.src = url;
+  });
+}
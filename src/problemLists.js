@@ -0,0 +1,91 @@
+import { PROBLEM_STATUSES } from './constants';
+import { validateImportedProblem } from './importExport';
+import { problemKey } from './platforms';
+import { resetSchedule } from './scheduler';
+
+// --- Problem Status ---
+export function problemStatus(problem) {
+  return PROBLEM_STATUSES.some(s => s.value === problem.status) ? problem.status : 'solved';
+}
+
+// Only solved problems are scheduled for revision. To-do and attempted ones
+// have no next revision date, and the schedule starts fresh once solved.
+// `solvedAt` records when a problem was marked solved; problems logged as
+// solved don't have one and count as solved when added.
+export function applyStatusSchedule(problem, previous = null, now = Date.now()) {
+  if (problemStatus(problem) !== 'solved') return { ...problem, nextRevisionDate: null, solvedAt: null };
+  if (previous && problemStatus(previous) !== 'solved') return { ...problem, ...resetSchedule(now), solvedAt: new Date(now).toISOString() };
+  return problem;
+}
+
+// --- Problem Lists ---
+// A list (a curated sheet like "Contest prep") is { id, name, description,
+// problemIds }: an ordered selection of problems. A problem can belong to any
+// number of lists; ids of deleted problems are skipped when reading a list.
+const LIST_FORMAT = 'cp-compendium-list';
+const LIST_VERSION = 1;
+const SHARED_FIELDS = ['name', 'url', 'source', 'difficulty', 'rating', 'tags', 'externalId'];
+
+export function listProblems(list, problemsById) {
+  return (list.problemIds || []).map(id => problemsById.get(id)).filter(Boolean);
+}
+
+export function listProgress(list, problemsById) {
+  const entries = listProblems(list, problemsById);
+  const solved = entries.filter(p => problemStatus(p) === 'solved').length;
+  return { solved, total: entries.length, percent: entries.length ? Math.round((solved / entries.length) * 100) : 0 };
+}
+
+export function moveItem(items, from, to) {
+  if (to < 0 || to >= items.length || from === to) return items;
+  const next = [...items];
+  next.splice(to, 0, next.splice(from, 1)[0]);
+  return next;
+}
+
+// A standalone, shareable copy of a list. Only the problem details travel;
+// personal notes, statuses and revision schedules stay behind.
+export function listToExport(list, problemsById) {
+  return {
+    format: LIST_FORMAT,
+    version: LIST_VERSION,
+    exportedAt: new Date().toISOString(),
+    name: list.name,
+    description: list.description || '',
+    problems: listProblems(list, problemsById).map(p => Object.fromEntries(SHARED_FIELDS.map(key => [key, p[key] ?? null]))),
+  };
+}
+
+// Reads an exported list. Returns { name, description, problems, skipped }
+// where `skipped` counts entries that failed validation.
+export function parseListFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (data?.format !== LIST_FORMAT || !Array.isArray(data.problems)) throw new Error("This file is not an exported problem list.");
+  const checked = data.problems.map(raw => validateImportedProblem(raw || {}));
+  const name = String(data.name || '').trim() || "Imported list";
+  return {
+    name,
+    description: String(data.description || ''),
+    problems: checked.filter(c => c.errors.length === 0).map(c => c.problem),
+    skipped: checked.filter(c => c.errors.length > 0).length,
+  };
+}
+
+// Matches the problems of an imported list against existing ones by problem key.
+// Returns the entries in list order, each { existing } or { create }; problems
+// that aren't in the collection yet are created as to-do placeholders.
+export function planListImport(imported, existingProblems) {
+  const byKey = new Map(existingProblems.map(p => [problemKey(p.url), p]));
+  const seen = new Set();
+  return imported.problems.flatMap(problem => {
+    const key = problemKey(problem.url);
+    if (seen.has(key)) return [];
+    seen.add(key);
+    return [byKey.has(key) ? { existing: byKey.get(key) } : { create: { ...problem, status: 'todo', nextRevisionDate: null } }];
+  });
+}
@@ -0,0 +1,115 @@
+import DOMPurify from 'dompurify';
+
+// --- Quick Links ---
+// Links carry an optional `group` name and a `position` that orders them
+// (links saved before ordering existed sort after the rest, in their original
+// order). `logoSvg` holds either inline SVG markup or an image URL.
+export function sortLinks(links) {
+  return links
+    .map((link, index) => ({ link, index }))
+    .sort((a, b) => (a.link.position ?? Infinity) - (b.link.position ?? Infinity) || a.index - b.index)
+    .map(entry => entry.link);
+}
+
+const groupName = (link) => (link.group || '').trim();
+
+// Sorted links split into [{ name, links }]; ungrouped links come first
+// under the name ''.
+export function groupLinks(links) {
+  const groups = new Map([['', []]]);
+  sortLinks(links).forEach(link => {
+    const name = groupName(link);
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(link);
+  });
+  return [...groups.entries()].map(([name, items]) => ({ name, links: items })).filter(group => group.links.length > 0);
+}
+
+export function linkGroupNames(links) {
+  return [...new Set(links.map(groupName).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+}
+
+// Renumbers links in display order (groups kept together) and returns only
+// the links whose position or group changed, ready to be saved.
+function renumber(ordered, original) {
+  const before = new Map(original.map(link => [link.id, link]));
+  return groupLinks(ordered.map((link, index) => ({ ...link, position: index })))
+    .flatMap(group => group.links)
+    .map((link, index) => ({ ...link, position: index }))
+    .filter(link => before.get(link.id)?.position !== link.position || groupName(before.get(link.id)) !== groupName(link));
+}
+
+// Moves `draggedId` just before `targetId` (into the target's group), or to
+// the end of `group` when dropped on a group rather than a link.
+export function moveLink(links, draggedId, { targetId = null, group = '' } = {}) {
+  const dragged = links.find(link => link.id === draggedId);
+  if (!dragged || draggedId === targetId) return [];
+  const rest = sortLinks(links).filter(link => link.id !== draggedId);
+  const target = rest.find(link => link.id === targetId);
+  const moved = { ...dragged, group: target ? target.group || '' : group };
+  const index = target ? rest.indexOf(target) : rest.length;
+  return renumber([...rest.slice(0, index), moved, ...rest.slice(index)], links);
+}
+
+// Swaps a link with its neighbour within its group (`delta` is -1 or 1).
+export function shiftLink(links, id, delta) {
+  const group = groupLinks(links).find(g => g.links.some(link => link.id === id));
+  const index = group.links.findIndex(link => link.id === id);
+  const neighbour = group.links[index + delta];
+  if (!neighbour) return [];
+  const ordered = sortLinks(links).filter(link => link.id !== id);
+  const at = ordered.indexOf(neighbour) + (delta > 0 ? 1 : 0);
+  return renumber([...ordered.slice(0, at), group.links[index], ...ordered.slice(at)], links);
+}
+
+export function nextLinkPosition(links) {
+  return links.reduce((max, link) => Math.max(max, link.position ?? -1), links.length - 1) + 1;
+}
+
+// --- Logos ---
+// Inline SVG is passed through DOMPurify's SVG profile, which drops scripts,
+// event handlers and foreign content. URLs become <img> sources; links
+// without a logo use the site's favicon. Anything else gets a letter icon.
+export function sanitizeLogoSvg(markup) {
+  const clean = DOMPurify.sanitize(String(markup || ''), { USE_PROFILES: { svg: true, svgFilters: true } }).trim();
+  return clean.startsWith('<svg') ? clean : '';
+}
+
+// What gets stored: SVG markup is sanitized before saving (an SVG with
+// nothing usable left is dropped), anything else is kept as typed.
+export function normalizeLinkLogo(logo) {
+  const value = String(logo || '').trim();
+  return value.startsWith('<') ? sanitizeLogoSvg(value) : value;
+}
+
+const isImageUrl = (value) => /^(https?:\/\/|data:image\/(png|jpe?g|gif|webp|svg\+xml|x-icon|vnd\.microsoft\.icon)[;,])/i.test(value);
+
+export function faviconUrl(url) {
+  try {
+    const { protocol, origin } = new URL(url);
+    return /^https?:$/.test(protocol) ? `${origin}/favicon.ico` : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// { kind: 'svg', markup } | { kind: 'image', src } | { kind: 'letter' }
+export function linkLogo(link) {
+  const logo = String(link.logoSvg || '').trim();
+  if (logo.startsWith('<')) {
+    const markup = sanitizeLogoSvg(logo);
+    return markup ? { kind: 'svg', markup } : { kind: 'letter' };
+  }
+  if (isImageUrl(logo)) return { kind: 'image', src: logo };
+  const favicon = !logo && faviconUrl(link.url);
+  return favicon ? { kind: 'image', src: favicon } : { kind: 'letter' };
+}
+
+// First letter or digit of the name, on a colour picked from the name so the
+// same site always gets the same icon.
+export function letterIcon(name) {
+  const text = String(name || '').trim();
+  const letter = (text.match(/[\p{L}\p{N}]/u)?.[0] || '?').toUpperCase();
+  const hue = [...text.toLowerCase()].reduce((hash, char) => (hash * 31 + char.codePointAt(0)) % 360, 7);
+  return { letter, hue };
+}
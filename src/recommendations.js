@@ -0,0 +1,161 @@
+import { getTodayDate } from './scheduler';
+import { toDateKey } from './stats';
+import { problemStatus } from './problemLists';
+
+// --- Practice Recommendations ---
+// Pure scoring over the problems array. The comfort band comes from the
+// ratings of recent solves (problems logged as solved plus successful
+// reviews); candidates are scored by how well their rating fits the band
+// and by why they are worth attempting (to-do, attempted, pending upsolve,
+// or a solved problem whose reviews keep failing).
+const RECENT_SOLVES = 20;
+const STRETCH = 200;         // how far above the band still counts as a good fit
+const FIT_FALLOFF = 400;     // rating distance at which the fit drops to zero
+const BUCKET_SIZE = 100;
+const MIN_REVIEWS = 3;
+const WEAK_FAIL_RATE = 0.4;
+const THIN_SOLVES = 3;
+
+const CANDIDATE_WEIGHTS = { upsolve: 1.3, attempted: 1.2, todo: 1, weak: 0.9 };
+
+const isFailure = (entry) => entry.outcome === 'failed' || entry.grade === 'again';
+const isSuccess = (entry) => !isFailure(entry) && entry.outcome !== 'hints' && entry.grade !== 'hard';
+const bucketOf = (rating) => Math.floor(rating / BUCKET_SIZE) * BUCKET_SIZE;
+
+function percentile(sorted, p) {
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  return sorted[lower] + (sorted[Math.ceil(index)] - sorted[lower]) * (index - lower);
+}
+
+// Rating band the user solves comfortably: the middle half of their recent
+// solve ratings, rounded to 50. Null until at least one rated solve exists.
+export function comfortBand(problems, recentCount = RECENT_SOLVES) {
+  const solves = problems
+    .filter(p => p.rating && problemStatus(p) === 'solved')
+    .flatMap(p => [
+      { date: toDateKey(p.addedAt) || '', rating: p.rating },
+      ...(p.revisionHistory || []).filter(isSuccess).map(entry => ({ date: toDateKey(entry.date) || '', rating: p.rating })),
+    ])
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, recentCount);
+  if (solves.length === 0) return null;
+  const ratings = solves.map(s => s.rating).sort((a, b) => a - b);
+  const round = (value) => Math.round(value / 50) * 50;
+  const median = round(percentile(ratings, 0.5));
+  const [low, high] = ratings.length < 3 ? [median - 100, median + 100] : [round(percentile(ratings, 0.25)), round(percentile(ratings, 0.75))];
+  return { low, high, median, sampleSize: solves.length };
+}
+
+// 1 inside the band (or up to STRETCH above it), falling to 0 further out.
+export function ratingFit(rating, band) {
+  if (!rating || !band) return 0.5;
+  const distance = rating < band.low ? band.low - rating : Math.max(0, rating - (band.high + STRETCH));
+  return Math.max(0, 1 - distance / FIT_FALLOFF);
+}
+
+// Failures among the last `window` reviews of a problem.
+function recentFailures(problem, window = MIN_REVIEWS) {
+  const recent = (problem.revisionHistory || []).slice(-window);
+  return { reviews: recent.length, failures: recent.filter(isFailure).length };
+}
+
+// A solved problem is weak on the same terms as weakAreas, over its own last
+// MIN_REVIEWS reviews.
+function candidateKind(problem) {
+  if (problem.contestResult === 'pending') return 'upsolve';
+  const status = problemStatus(problem);
+  if (status !== 'solved') return status;
+  const { reviews, failures } = recentFailures(problem);
+  return reviews > 0 && failures / reviews >= WEAK_FAIL_RATE ? 'weak' : null;
+}
+
+function ratingReason(rating, band) {
+  if (!rating || !band) return null;
+  if (rating < band.low) return `Rating ${rating} is below your comfort band`;
+  if (rating <= band.high) return `Rating ${rating} is in your comfort band`;
+  return rating <= band.high + STRETCH ? `Rating ${rating} stretches just above your band` : `Rating ${rating} is well above your band`;
+}
+
+// Scored suggestions, best first: [{ problem, score, reasons }]. Problems
+// already due for revision are left to the revision queue.
+export function recommendProblems(problems, { band = comfortBand(problems), limit = 8, today = getTodayDate() } = {}) {
+  return problems
+    .filter(p => !(p.nextRevisionDate && p.nextRevisionDate <= today))
+    .map(problem => ({ problem, kind: candidateKind(problem) }))
+    .filter(c => c.kind)
+    .map(({ problem, kind }) => {
+      const reasons = [];
+      if (kind === 'upsolve') reasons.push("Pending upsolve from a contest");
+      if (kind === 'attempted') reasons.push("You attempted it but haven't solved it yet");
+      if (kind === 'todo') reasons.push("On your to-do list");
+      if (kind === 'weak') {
+        const { reviews, failures } = recentFailures(problem);
+        reasons.push(`Failed ${failures} of the last ${reviews} reviews`);
+      }
+      const fitReason = ratingReason(problem.rating, band);
+      if (fitReason) reasons.push(fitReason);
+      const score = CANDIDATE_WEIGHTS[kind] * (0.4 + 0.6 * ratingFit(problem.rating, band));
+      return { problem, score: Math.round(score * 100) / 100, reasons };
+    })
+    .sort((a, b) => b.score - a.score || (a.problem.rating || 0) - (b.problem.rating || 0))
+    .slice(0, limit);
+}
+
+// Topics and rating buckets whose reviews fail at least WEAK_FAIL_RATE of the
+// time (over at least MIN_REVIEWS reviews), worst first.
+export function weakAreas(problems) {
+  const tally = (keyOf) => {
+    const groups = new Map();
+    problems.forEach(p => {
+      const history = p.revisionHistory || [];
+      if (history.length === 0) return;
+      keyOf(p).forEach(key => {
+        const group = groups.get(key) || { label: key, reviews: 0, failures: 0 };
+        group.reviews += history.length;
+        group.failures += history.filter(isFailure).length;
+        groups.set(key, group);
+      });
+    });
+    return [...groups.values()]
+      .map(group => ({ ...group, failRate: group.failures / group.reviews }))
+      .filter(group => group.reviews >= MIN_REVIEWS && group.failRate >= WEAK_FAIL_RATE)
+      .sort((a, b) => b.failRate - a.failRate || b.reviews - a.reviews);
+  };
+  return {
+    topics: tally(p => p.tags || []),
+    ratings: tally(p => (p.rating ? [bucketOf(p.rating)] : [])),
+  };
+}
+
+// Topics you have touched but solved fewer than THIN_SOLVES problems in, and
+// rating buckets around the comfort band with fewer than THIN_SOLVES solves.
+export function thinCoverage(problems, band = comfortBand(problems)) {
+  const solved = problems.filter(p => problemStatus(p) === 'solved');
+  const topicCounts = new Map();
+  problems.forEach(p => (p.tags || []).forEach(tag => topicCounts.set(tag, topicCounts.get(tag) || 0)));
+  solved.forEach(p => (p.tags || []).forEach(tag => topicCounts.set(tag, topicCounts.get(tag) + 1)));
+  const topics = [...topicCounts.entries()]
+    .filter(([, count]) => count < THIN_SOLVES)
+    .map(([label, count]) => ({ label, solved: count }))
+    .sort((a, b) => a.solved - b.solved || a.label.localeCompare(b.label));
+
+  const ratings = [];
+  if (band) {
+    for (let bucket = bucketOf(band.low); bucket <= bucketOf(band.high + STRETCH); bucket += BUCKET_SIZE) {
+      const count = solved.filter(p => p.rating && bucketOf(p.rating) === bucket).length;
+      if (count < THIN_SOLVES) ratings.push({ label: bucket, solved: count });
+    }
+  }
+  return { topics, ratings };
+}
+
+export function buildRecommendations(problems, today = getTodayDate()) {
+  const band = comfortBand(problems);
+  return {
+    band,
+    next: recommendProblems(problems, { band, today }),
+    weak: weakAreas(problems),
+    thin: thinCoverage(problems, band),
+  };
+}
@@ -0,0 +1,116 @@
+import { comfortBand, ratingFit, recommendProblems, thinCoverage, weakAreas } from './recommendations';
+
+const TODAY = '2026-10-19';
+const BAND = { low: 1200, high: 1600, median: 1400, sampleSize: 5 };
+
+let nextId = 1;
+const problem = (fields) => ({ id: nextId++, name: `Problem ${nextId}`, status: 'solved', tags: [], revisionHistory: [], nextRevisionDate: null, ...fields });
+const review = (result, date = '2026-10-01') => ({ date, ...(result === 'again' || result === 'good' ? { grade: result } : { outcome: result }) });
+
+describe('comfortBand', () => {
+  const solves = [1000, 1200, 1400, 1600, 1800].map((rating, i) => problem({ rating, addedAt: `2026-01-0${i + 1}` }));
+
+  test('is null without rated solves', () => {
+    expect(comfortBand([])).toBeNull();
+    expect(comfortBand([problem({ rating: 1500, status: 'todo' }), problem({ addedAt: '2026-01-01' })])).toBeNull();
+  });
+
+  test('spans the middle half of recent solve ratings', () => {
+    expect(comfortBand([...solves, problem({ rating: 2500, status: 'attempted' })])).toEqual({ low: 1200, high: 1600, median: 1400, sampleSize: 5 });
+  });
+
+  test('uses only the most recent solves, widening to ±100 with fewer than three', () => {
+    expect(comfortBand(solves, 2)).toEqual({ low: 1600, high: 1800, median: 1700, sampleSize: 2 });
+  });
+
+  test('counts successful reviews as solves on the review date', () => {
+    const reviewed = problem({ rating: 800, addedAt: '2025-01-01', revisionHistory: [review('good', '2026-02-01'), review('failed', '2026-03-01')] });
+    expect(comfortBand([...solves, reviewed], 1)).toEqual({ low: 700, high: 900, median: 800, sampleSize: 1 });
+  });
+});
+
+describe('ratingFit', () => {
+  test('is 1 inside the band and up to 200 above it', () => {
+    expect(ratingFit(1400, BAND)).toBe(1);
+    expect(ratingFit(1800, BAND)).toBe(1);
+  });
+
+  test('falls off to 0 over 400 rating points', () => {
+    expect(ratingFit(2000, BAND)).toBe(0.5);
+    expect(ratingFit(1000, BAND)).toBe(0.5);
+    expect(ratingFit(700, BAND)).toBe(0);
+  });
+
+  test('is neutral without a rating or a band', () => {
+    expect(ratingFit(null, BAND)).toBe(0.5);
+    expect(ratingFit(1400, null)).toBe(0.5);
+  });
+});
+
+describe('recommendProblems', () => {
+  const todo = problem({ name: "To-do", status: 'todo', rating: 1400 });
+  const attempted = problem({ name: "Attempted", status: 'attempted', rating: 1400 });
+  const upsolve = problem({ name: "Upsolve", status: 'todo', contestResult: 'pending', rating: 1400 });
+  const weak = problem({ name: "Weak", rating: 1400, revisionHistory: [review('good'), review('failed'), review('again')] });
+  const solid = problem({ name: "Solid", rating: 1400, revisionHistory: [review('failed'), review('good'), review('good')] });
+  const due = problem({ name: "Due", rating: 1400, nextRevisionDate: TODAY, revisionHistory: [review('failed'), review('failed')] });
+
+  test('ranks upsolves, then attempted, to-do and weak problems', () => {
+    const names = recommendProblems([solid, todo, weak, due, attempted, upsolve], { band: BAND, today: TODAY }).map(r => r.problem.name);
+    expect(names).toEqual(["Upsolve", "Attempted", "To-do", "Weak"]);
+  });
+
+  test('explains each suggestion', () => {
+    const [suggestion] = recommendProblems([weak], { band: BAND, today: TODAY });
+    expect(suggestion.score).toBe(0.9);
+    expect(suggestion.reasons).toEqual(["Failed 2 of the last 3 reviews", "Rating 1400 is in your comfort band"]);
+  });
+
+  test('marks a solved problem weak when its recent reviews keep failing', () => {
+    const halfFailed = problem({ rating: 1400, revisionHistory: [review('good'), review('failed')] });
+    expect(recommendProblems([halfFailed, solid], { band: BAND, today: TODAY }).map(r => r.problem)).toEqual([halfFailed]);
+  });
+
+  test('scores ratings far from the band lower and applies the limit', () => {
+    const far = problem({ status: 'todo', rating: 2400 });
+    const results = recommendProblems([far, todo, attempted], { band: BAND, today: TODAY, limit: 2 });
+    expect(results.map(r => r.problem)).toEqual([attempted, todo]);
+    expect(recommendProblems([far], { band: BAND, today: TODAY })[0].score).toBe(0.4);
+  });
+});
+
+describe('weakAreas', () => {
+  test('reports topics and rating buckets failing at least 40% of at least 3 reviews', () => {
+    const problems = [
+      problem({ tags: ['dp'], rating: 1500, revisionHistory: [review('failed'), review('again'), review('good')] }),
+      problem({ tags: ['graphs'], rating: 1550, revisionHistory: [review('good'), review('good'), review('failed')] }),
+      problem({ tags: ['greedy'], rating: 2100, revisionHistory: [review('failed'), review('failed')] }),
+    ];
+    const { topics, ratings } = weakAreas(problems);
+    expect(topics).toEqual([{ label: 'dp', reviews: 3, failures: 2, failRate: 2 / 3 }]);
+    expect(ratings).toEqual([{ label: 1500, reviews: 6, failures: 3, failRate: 0.5 }]);
+  });
+});
+
+describe('thinCoverage', () => {
+  test('lists topics with fewer than 3 solves and thin buckets around the band', () => {
+    const problems = [
+      ...[1200, 1300, 1300, 1300, 1400, 1400, 1400].map(rating => problem({ rating, tags: ['dp'] })),
+      problem({ rating: 1500, tags: ['graphs'] }),
+      problem({ rating: 1600, status: 'todo', tags: ['geometry'] }),
+    ];
+    const { topics, ratings } = thinCoverage(problems, BAND);
+    expect(topics).toEqual([{ label: 'geometry', solved: 0 }, { label: 'graphs', solved: 1 }]);
+    expect(ratings).toEqual([
+      { label: 1200, solved: 1 },
+      { label: 1500, solved: 1 },
+      { label: 1600, solved: 0 },
+      { label: 1700, solved: 0 },
+      { label: 1800, solved: 0 },
+    ]);
+  });
+
+  test('has no rating buckets without a band', () => {
+    expect(thinCoverage([], null)).toEqual({ topics: [], ratings: [] });
+  });
+});
@@ -0,0 +1,112 @@
+import { getTodayDate } from './scheduler';
+
+// --- Revision Reminders ---
+// A daily notification at a chosen local time listing the problems due for
+// revision. The service worker (public/service-worker.js) shows it: the open
+// app asks it to when the time comes, so it works from a background tab, and
+// an installed app with Periodic Background Sync gets it with the app closed
+// too. Settings are per device, like the notification permission itself.
+export const WEEKDAYS = [
+  { value: 1, label: "Mon" }, { value: 2, label: "Tue" }, { value: 3, label: "Wed" }, { value: 4, label: "Thu" },
+  { value: 5, label: "Fri" }, { value: 6, label: "Sat" }, { value: 0, label: "Sun" },
+];
+
+// `quietDays` are Date#getDay() values; no `listIds` means every list.
+export const DEFAULT_REMINDERS = { enabled: false, time: '09:00', quietDays: [], listIds: [] };
+
+export function normalizeReminders(values) {
+  const v = values || {};
+  return {
+    enabled: v.enabled === true,
+    time: /^([01]\d|2[0-3]):[0-5]\d$/.test(v.time) ? v.time : DEFAULT_REMINDERS.time,
+    quietDays: Array.isArray(v.quietDays) ? [...new Set(v.quietDays.filter(day => Number.isInteger(day) && day >= 0 && day <= 6))] : [],
+    listIds: Array.isArray(v.listIds) ? v.listIds : [],
+  };
+}
+
+// Scheduled problems the reminder covers, as { name, date }: the service
+// worker works out from these what is due on the day it fires. Lists chosen
+// earlier and since deleted are ignored; if none are left, every problem counts.
+export function reminderSchedule(problems, lists, settings) {
+  const chosen = lists.filter(list => settings.listIds.includes(list.id));
+  const ids = chosen.length > 0 ? new Set(chosen.flatMap(list => list.problemIds)) : null;
+  return problems
+    .filter(p => p.nextRevisionDate && (!ids || ids.has(p.id)))
+    .map(p => ({ name: p.name, date: p.nextRevisionDate }));
+}
+
+export function dueInSchedule(schedule, today = getTodayDate()) {
+  return schedule.filter(item => item.date <= today);
+}
+
+// The next reminder time after `now` that isn't on a quiet day, or null when
+// every day is quiet.
+export function nextReminderAt(settings, now = new Date()) {
+  const [hours, minutes] = settings.time.split(':').map(Number);
+  for (let i = 0; i <= 7; i++) {
+    const at = new Date(now.getFullYear(), now.getMonth(), now.getDate() + i, hours, minutes);
+    if (at > now && !settings.quietDays.includes(at.getDay())) return at;
+  }
+  return null;
+}
+
+// --- Service Worker & Notifications ---
+const PERIODIC_SYNC_TAG = 'due-reminder';
+const PERIODIC_SYNC_INTERVAL_MS = 12 * 60 * 60 * 1000;
+
+// Production only: the worker serves /static/ from its cache, and the dev
+// server's bundle names carry no content hash, so in development it would keep
+// serving a stale bundle. Development removes any worker left from a build.
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  if (process.env.NODE_ENV !== 'production') {
+    navigator.serviceWorker.getRegistrations().then(registrations => registrations.forEach(registration => registration.unregister()));
+    return;
+  }
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch(err => console.error("Service worker registration failed", err));
+  });
+}
+
+// 'granted', 'denied', 'default', or 'unsupported'.
+export function notificationPermission() {
+  return typeof Notification === 'undefined' || !('serviceWorker' in navigator) ? 'unsupported' : Notification.permission;
+}
+
+export async function requestNotificationPermission() {
+  if (notificationPermission() === 'unsupported') return 'unsupported';
+  return Notification.requestPermission();
+}
+
+// Resolves to false when there's no active service worker to receive it.
+export async function sendToServiceWorker(message) {
+  if (!('serviceWorker' in navigator)) return false;
+  const registration = await navigator.serviceWorker.getRegistration();
+  if (!registration?.active) return false;
+  registration.active.postMessage(message);
+  return true;
+}
+
+// Lets the installed app check for due problems in the background. Browsers
+// without Periodic Background Sync (or that haven't granted it) only remind
+// while the app is open.
+export async function setBackgroundReminders(enabled) {
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (!registration?.periodicSync) return false;
+    if (!enabled) {
+      await registration.periodicSync.unregister(PERIODIC_SYNC_TAG);
+      return false;
+    }
+    await registration.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: PERIODIC_SYNC_INTERVAL_MS });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// The due count on the installed app's icon, where the Badging API exists.
+export function updateAppBadge(count) {
+  if (!navigator.setAppBadge) return;
+  (count > 0 ? navigator.setAppBadge(count) : navigator.clearAppBadge()).catch(() => {});
+}
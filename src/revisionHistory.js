@@ -0,0 +1,82 @@
+import { getTodayDate, scheduleReview } from './scheduler';
+
+// --- Revision History ---
+// Every review appends an entry to `problem.revisionHistory`:
+//   { date, grade, outcome, timeTakenSeconds, note, previousSchedule }
+// `previousSchedule` is the schedule the review replaced, which is what makes
+// "undo last revision" possible. Entries written before outcomes existed only
+// have { date, grade }.
+export const REVIEW_OUTCOMES = [
+  { value: 'solved', label: "Solved" },
+  { value: 'hints', label: "Needed hints" },
+  { value: 'failed', label: "Failed" },
+];
+
+const SCHEDULE_FIELDS = ['revisionLevel', 'easeFactor', 'intervalDays', 'nextRevisionDate'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Returns the problem with its schedule advanced by `grade` and the review logged.
+export function recordReview(problem, { grade, outcome = null, timeTakenSeconds = null, note = '' }, now = new Date()) {
+  const previousSchedule = Object.fromEntries(SCHEDULE_FIELDS.map(key => [key, problem[key] ?? null]));
+  const entry = {
+    date: now.toISOString(),
+    grade,
+    outcome,
+    timeTakenSeconds: timeTakenSeconds > 0 ? Math.round(timeTakenSeconds) : null,
+    note: note.trim(),
+    previousSchedule,
+  };
+  return {
+    ...problem,
+    ...scheduleReview(problem, grade, now),
+    revisionHistory: [...(problem.revisionHistory || []), entry],
+  };
+}
+
+export function canUndoLastReview(problem) {
+  const history = problem.revisionHistory || [];
+  return history.length > 0 && !!history[history.length - 1].previousSchedule;
+}
+
+// Drops the latest review and restores the schedule it replaced, or returns
+// null when the latest entry predates undo support.
+export function undoLastReview(problem) {
+  if (!canUndoLastReview(problem)) return null;
+  const history = problem.revisionHistory;
+  return { ...problem, ...history[history.length - 1].previousSchedule, revisionHistory: history.slice(0, -1) };
+}
+
+export function reviewCount(problem) {
+  return (problem.revisionHistory || []).length;
+}
+
+// Whole days past the due date (0 when due today, negative when not yet due).
+export function daysOverdue(problem, today = getTodayDate()) {
+  if (!problem.nextRevisionDate) return null;
+  return Math.round((Date.parse(`${today}T00:00:00Z`) - Date.parse(`${problem.nextRevisionDate}T00:00:00Z`)) / DAY_MS);
+}
+
+export function formatDuration(seconds) {
+  if (!seconds) return '';
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  if (h) return `${h}h ${m}m`;
+  if (m) return s ? `${m}m ${s}s` : `${m}m`;
+  return `${s}s`;
+}
+
+// Reviews logged on the given 'YYYY-MM-DD' (UTC) day, across all problems.
+export function reviewsOnDate(problems, dateKey) {
+  return problems.reduce((count, p) => count + (p.revisionHistory || []).filter(entry => String(entry.date).slice(0, 10) === dateKey).length, 0);
+}
+
+// Due problems for a focused session, most overdue first, limited to what is
+// left of the daily cap (0 means no cap) after reviews already done today.
+export function buildSessionQueue(problems, { dailyCap = 0, today = getTodayDate() } = {}) {
+  const due = problems
+    .filter(p => p.nextRevisionDate && p.nextRevisionDate <= today)
+    .sort((a, b) => a.nextRevisionDate.localeCompare(b.nextRevisionDate));
+  if (!dailyCap) return due;
+  return due.slice(0, Math.max(0, dailyCap - reviewsOnDate(problems, today)));
+}
@@ -0,0 +1,105 @@
+// --- SM-2 style review scheduler ---
+// Each problem carries an ease factor, the current interval in days and
+// `revisionLevel` (the number of consecutive successful reviews).
+// Grading a review updates all three and yields the next revision date.
+
+export const REVIEW_GRADES = [
+  { value: 'again', label: 'Again' },
+  { value: 'hard', label: 'Hard' },
+  { value: 'good', label: 'Good' },
+  { value: 'easy', label: 'Easy' },
+];
+
+export const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_INTERVAL_DAYS = 365;
+
+// The first two successful reviews use fixed steps, as in SM-2.
+const FIRST_INTERVAL_DAYS = 2;
+const SECOND_INTERVAL_DAYS = 5;
+const AGAIN_INTERVAL_DAYS = 1;
+const HARD_MULTIPLIER = 1.2;
+const EASY_BONUS = 1.3;
+
+// The old fixed schedule, kept only to migrate problems that predate ease factors.
+const LEGACY_INTERVALS_DAYS = [2, 3, 5, 7, 11, 20, 30];
+
+export function getTodayDate() {
+  return new Date().toISOString().split('T')[0];
+}
+
+export function addDays(days, baseDate = Date.now()) {
+  const newDate = new Date(baseDate);
+  newDate.setDate(newDate.getDate() + days);
+  return newDate.toISOString().split('T')[0];
+}
+
+const clampInterval = (days) => Math.min(MAX_INTERVAL_DAYS, Math.max(1, Math.round(days)));
+
+// Fills in scheduling fields for problems saved before the scheduler existed.
+// Their interval is the legacy step that led to the current date; retired
+// ("Done") problems keep a null date until they are graded again.
+export function migrateSchedule(problem) {
+  if (problem.easeFactor != null && problem.intervalDays != null) return problem;
+  const level = problem.revisionLevel || 0;
+  const legacyInterval = level > 0 ? LEGACY_INTERVALS_DAYS[Math.min(level, LEGACY_INTERVALS_DAYS.length) - 1] : 0;
+  return {
+    ...problem,
+    revisionLevel: level,
+    easeFactor: problem.easeFactor ?? DEFAULT_EASE,
+    intervalDays: problem.intervalDays ?? legacyInterval,
+  };
+}
+
+// Returns the scheduling fields that result from grading a review.
+export function scheduleReview(problem, grade, baseDate = Date.now()) {
+  const { revisionLevel, easeFactor, intervalDays } = migrateSchedule(problem);
+  let nextLevel = revisionLevel + 1;
+  let nextEase = easeFactor;
+  let nextInterval;
+
+  switch (grade) {
+    case 'again':
+      nextLevel = 0;
+      nextEase = easeFactor - 0.2;
+      nextInterval = AGAIN_INTERVAL_DAYS;
+      break;
+    case 'hard':
+      nextEase = easeFactor - 0.15;
+      nextInterval = revisionLevel === 0 ? FIRST_INTERVAL_DAYS : Math.max(intervalDays + 1, intervalDays * HARD_MULTIPLIER);
+      break;
+    case 'good':
+      if (revisionLevel === 0) nextInterval = FIRST_INTERVAL_DAYS;
+      else if (revisionLevel === 1) nextInterval = SECOND_INTERVAL_DAYS;
+      else nextInterval = intervalDays * easeFactor;
+      break;
+    case 'easy':
+      nextEase = easeFactor + 0.15;
+      if (revisionLevel === 0) nextInterval = FIRST_INTERVAL_DAYS * 2;
+      else if (revisionLevel === 1) nextInterval = SECOND_INTERVAL_DAYS * EASY_BONUS;
+      else nextInterval = intervalDays * easeFactor * EASY_BONUS;
+      break;
+    default:
+      throw new Error(`Unknown review grade: ${grade}`);
+  }
+
+  nextInterval = clampInterval(nextInterval);
+  return {
+    revisionLevel: nextLevel,
+    easeFactor: Math.round(Math.max(MIN_EASE, nextEase) * 100) / 100,
+    intervalDays: nextInterval,
+    nextRevisionDate: addDays(nextInterval, baseDate),
+  };
+}
+
+// Schedule fields for starting over as if the problem had just been added.
+export function resetSchedule(baseDate = Date.now()) {
+  return { revisionLevel: 0, easeFactor: DEFAULT_EASE, intervalDays: 0, nextRevisionDate: addDays(FIRST_INTERVAL_DAYS, baseDate) };
+}
+
+// Short label for the interval a grade would produce, e.g. "6d" or "2mo".
+export function formatInterval(days) {
+  if (days < 30) return `${days}d`;
+  if (days < 365) return `${Math.round(days / 30)}mo`;
+  return `${Math.round(days / 365)}y`;
+}
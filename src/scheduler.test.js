@@ -0,0 +1,96 @@
+import { DEFAULT_EASE, REVIEW_GRADES, migrateSchedule, resetSchedule, scheduleReview } from './scheduler';
+
+const NOW = new Date('2026-10-19T12:00:00Z').getTime();
+
+// [revisionLevel, easeFactor, intervalDays] after each grade.
+const outcomes = (problem) => Object.fromEntries(REVIEW_GRADES.map(({ value }) => {
+  const { revisionLevel, easeFactor, intervalDays } = scheduleReview(problem, value, NOW);
+  return [value, [revisionLevel, easeFactor, intervalDays]];
+}));
+
+describe('scheduleReview', () => {
+  test('uses the fixed first step for a new problem', () => {
+    expect(outcomes({ revisionLevel: 0, easeFactor: DEFAULT_EASE, intervalDays: 0 })).toEqual({
+      again: [0, 2.3, 1],
+      hard: [1, 2.35, 2],
+      good: [1, 2.5, 2],
+      easy: [1, 2.65, 4],
+    });
+  });
+
+  test('uses the fixed second step after one successful review', () => {
+    expect(outcomes({ revisionLevel: 1, easeFactor: DEFAULT_EASE, intervalDays: 2 })).toEqual({
+      again: [0, 2.3, 1],
+      hard: [2, 2.35, 3],
+      good: [2, 2.5, 5],
+      easy: [2, 2.65, 7],
+    });
+  });
+
+  test('multiplies the interval by the ease factor from the third review on', () => {
+    expect(outcomes({ revisionLevel: 2, easeFactor: DEFAULT_EASE, intervalDays: 5 })).toEqual({
+      again: [0, 2.3, 1],
+      hard: [3, 2.35, 6],
+      good: [3, 2.5, 13],
+      easy: [3, 2.65, 16],
+    });
+    expect(outcomes({ revisionLevel: 4, easeFactor: 2, intervalDays: 10 })).toMatchObject({ hard: [5, 1.85, 12], good: [5, 2, 20] });
+  });
+
+  test('returns the next revision date for the new interval', () => {
+    expect(scheduleReview({ revisionLevel: 1, easeFactor: DEFAULT_EASE, intervalDays: 2 }, 'good', NOW).nextRevisionDate).toBe('2026-10-24');
+  });
+
+  test('resets the level and reviews again tomorrow on "again"', () => {
+    expect(scheduleReview({ revisionLevel: 6, easeFactor: 2.2, intervalDays: 120 }, 'again', NOW)).toEqual({
+      revisionLevel: 0, easeFactor: 2, intervalDays: 1, nextRevisionDate: '2026-10-20',
+    });
+  });
+
+  test('never lets the ease factor drop below 1.3', () => {
+    expect(scheduleReview({ revisionLevel: 3, easeFactor: 1.4, intervalDays: 10 }, 'again', NOW).easeFactor).toBe(1.3);
+    expect(scheduleReview({ revisionLevel: 3, easeFactor: 1.3, intervalDays: 10 }, 'hard', NOW).easeFactor).toBe(1.3);
+  });
+
+  test('caps the interval at 365 days', () => {
+    expect(scheduleReview({ revisionLevel: 5, easeFactor: DEFAULT_EASE, intervalDays: 200 }, 'good', NOW)).toMatchObject({ intervalDays: 365, nextRevisionDate: '2027-10-19' });
+    expect(scheduleReview({ revisionLevel: 5, easeFactor: DEFAULT_EASE, intervalDays: 365 }, 'easy', NOW).intervalDays).toBe(365);
+  });
+
+  test('schedules problems saved before ease factors as if migrated', () => {
+    expect(scheduleReview({ revisionLevel: 3 }, 'good', NOW)).toMatchObject({ revisionLevel: 4, intervalDays: 13 });
+  });
+
+  test('rejects unknown grades', () => {
+    expect(() => scheduleReview({}, 'perfect', NOW)).toThrow("Unknown review grade: perfect");
+  });
+});
+
+describe('migrateSchedule', () => {
+  test('takes the interval from the legacy step for the revision level', () => {
+    expect(migrateSchedule({ id: 1, revisionLevel: 3, nextRevisionDate: '2026-10-25' })).toEqual({
+      id: 1, revisionLevel: 3, easeFactor: DEFAULT_EASE, intervalDays: 5, nextRevisionDate: '2026-10-25',
+    });
+  });
+
+  test('starts problems without a level at level 0', () => {
+    expect(migrateSchedule({ nextRevisionDate: '2026-10-21' })).toMatchObject({ revisionLevel: 0, easeFactor: DEFAULT_EASE, intervalDays: 0 });
+  });
+
+  test('keeps retired problems (level 7 and above) without a revision date', () => {
+    expect(migrateSchedule({ revisionLevel: 7, nextRevisionDate: null })).toMatchObject({ intervalDays: 30, nextRevisionDate: null });
+    expect(migrateSchedule({ revisionLevel: 9, nextRevisionDate: null })).toMatchObject({ revisionLevel: 9, intervalDays: 30, nextRevisionDate: null });
+  });
+
+  test('leaves scheduled problems alone and keeps a saved ease factor', () => {
+    const scheduled = { revisionLevel: 2, easeFactor: 1.9, intervalDays: 8 };
+    expect(migrateSchedule(scheduled)).toBe(scheduled);
+    expect(migrateSchedule({ revisionLevel: 2, easeFactor: 1.9 })).toMatchObject({ easeFactor: 1.9, intervalDays: 3 });
+  });
+});
+
+describe('resetSchedule', () => {
+  test('starts over at level 0 with the default ease, due after the first step', () => {
+    expect(resetSchedule(NOW)).toEqual({ revisionLevel: 0, easeFactor: DEFAULT_EASE, intervalDays: 0, nextRevisionDate: '2026-10-21' });
+  });
+});
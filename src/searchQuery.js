@@ -0,0 +1,155 @@
+import { getTodayDate } from './scheduler';
+import { shiftDateKey, toDateKey } from './stats';
+import { problemStatus } from './problemLists';
+
+// --- Search Query Language ---
+// A query is a list of space-separated terms, all of which must match:
+//   segment tree          free text: any field contains it, or a fuzzy match on the name
+//   "segment tree"        exact phrase
+//   -easy                 negation (works on every kind of term)
+//   source:codeforces     field match (substring, case-insensitive)
+//   rating:>=1600         numeric comparison (>, >=, <, <=, =) or range rating:1600..1900
+//   due:overdue           today | overdue | week | none | any
+//   added:>=2024-01-01    date comparison on the date the problem was added
+export const SEARCH_FIELDS = {
+  name: { kind: 'text', get: p => [p.name] },
+  source: { kind: 'text', get: p => [p.source] },
+  difficulty: { kind: 'text', get: p => [p.difficulty] },
+  status: { kind: 'text', get: p => [problemStatus(p)] },
+  tag: { kind: 'text', get: p => p.tags || [] },
+  url: { kind: 'text', get: p => [p.url, p.submissionLink] },
+  notes: { kind: 'text', get: p => [p.remarks] },
+  id: { kind: 'text', get: p => [p.externalId] },
+  rating: { kind: 'number', get: p => p.rating },
+  reviews: { kind: 'number', get: p => (p.revisionHistory || []).length },
+  added: { kind: 'date', get: p => toDateKey(p.addedAt) },
+  next: { kind: 'date', get: p => p.nextRevisionDate || null },
+  due: { kind: 'due' },
+};
+
+const FIELD_ALIASES = { diff: 'difficulty', tags: 'tag', remarks: 'notes', note: 'notes', platform: 'source', review: 'reviews' };
+const DUE_VALUES = ['today', 'overdue', 'week', 'none', 'any'];
+const TEXT_FIELDS = ['name', 'source', 'difficulty', 'tag', 'url', 'notes', 'id'];
+
+// Splits on whitespace, keeping "quoted phrases" (also after a field: prefix) together.
+function tokenize(query) {
+  const tokens = [];
+  const pattern = /(-?)(?:([a-zA-Z]+):)?(?:"([^"]*)"?|(\S+))?/g;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    const [raw, negate, field, quoted, bare] = match;
+    if (!raw) { pattern.lastIndex++; continue; }
+    tokens.push({ raw, negate: !!negate, field: field ? field.toLowerCase() : null, value: quoted ?? bare ?? '', quoted: quoted !== undefined });
+  }
+  return tokens;
+}
+
+function parseComparison(value, parse) {
+  const range = value.match(/^(.+?)\.\.(.+)$/);
+  if (range) {
+    const [min, max] = [parse(range[1]), parse(range[2])];
+    return min === null || max === null ? null : { op: 'range', min, max };
+  }
+  const [, op = '=', operand] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+  const parsed = parse(operand);
+  return parsed === null ? null : { op, operand: parsed };
+}
+
+const parseNumber = (text) => (text.trim() !== '' && Number.isFinite(Number(text)) ? Number(text) : null);
+const parseDate = (text) => (/^\d{4}-\d{2}-\d{2}$/.test(text) ? text : null);
+
+// Returns { terms, errors }. Terms that fail to parse are reported and ignored.
+export function parseSearchQuery(query) {
+  const terms = [];
+  const errors = [];
+  tokenize(query || '').forEach(token => {
+    const field = token.field && (FIELD_ALIASES[token.field] || token.field);
+    const spec = field && SEARCH_FIELDS[field];
+    if (!spec) {
+      // Unknown prefixes (e.g. "c++:") are searched for literally.
+      const text = token.field ? `${token.field}:${token.value}` : token.value;
+      if (text) terms.push({ kind: 'free', negate: token.negate, value: text.toLowerCase(), exact: token.quoted });
+      return;
+    }
+    if (!token.value) { errors.push(`"${token.raw}" is missing a value`); return; }
+    if (spec.kind === 'text') {
+      terms.push({ kind: 'text', field, negate: token.negate, value: token.value.toLowerCase() });
+    } else if (spec.kind === 'due') {
+      const value = token.value.toLowerCase();
+      if (DUE_VALUES.includes(value)) terms.push({ kind: 'due', field, negate: token.negate, value });
+      else errors.push(`due: expects one of ${DUE_VALUES.join(', ')}`);
+    } else {
+      const comparison = parseComparison(token.value, spec.kind === 'number' ? parseNumber : parseDate);
+      if (comparison) terms.push({ kind: spec.kind, field, negate: token.negate, ...comparison });
+      else errors.push(`"${token.raw}" needs a ${spec.kind === 'number' ? 'number' : 'YYYY-MM-DD date'}, e.g. ${field}:>=${spec.kind === 'number' ? '1600' : '2024-01-01'}`);
+    }
+  });
+  return { terms, errors };
+}
+
+// Scores `pattern` as an in-order subsequence of `text`: consecutive and
+// word-start hits score higher. Returns null when it isn't a subsequence or
+// the match is too scattered to be meaningful.
+export function fuzzyScore(pattern, text) {
+  const p = pattern.toLowerCase();
+  const t = (text || '').toLowerCase();
+  if (!p) return 0;
+  let score = 0;
+  let ti = 0;
+  let previous = -2;
+  let first = -1;
+  for (const char of p) {
+    if (char === ' ') continue;
+    ti = t.indexOf(char, ti);
+    if (ti === -1) return null;
+    if (first === -1) first = ti;
+    score += ti === previous + 1 ? 3 : 1;
+    if (ti === 0 || /[\s\-_]/.test(t[ti - 1])) score += 2;
+    previous = ti;
+    ti++;
+  }
+  const span = previous - first + 1;
+  return span > p.length * 3 ? null : score;
+}
+
+function compare(value, term) {
+  if (value === null || value === undefined || value === '') return false;
+  if (term.op === 'range') return value >= term.min && value <= term.max;
+  switch (term.op) {
+    case '>': return value > term.operand;
+    case '>=': return value >= term.operand;
+    case '<': return value < term.operand;
+    case '<=': return value <= term.operand;
+    default: return value === term.operand;
+  }
+}
+
+function matchesDue(problem, value, today) {
+  const next = problem.nextRevisionDate;
+  switch (value) {
+    case 'none': return !next;
+    case 'any': return !!next;
+    case 'overdue': return !!next && next < today;
+    case 'today': return !!next && next <= today;
+    default: return !!next && next <= shiftDateKey(today, 7);
+  }
+}
+
+const includesText = (values, needle) => values.some(v => v != null && String(v).toLowerCase().includes(needle));
+
+function matchesTerm(problem, term, today) {
+  switch (term.kind) {
+    case 'free': {
+      const values = TEXT_FIELDS.flatMap(field => SEARCH_FIELDS[field].get(problem));
+      if (includesText(values, term.value)) return true;
+      return !term.exact && !term.negate && term.value.length >= 3 && fuzzyScore(term.value, problem.name) !== null;
+    }
+    case 'text': return includesText(SEARCH_FIELDS[term.field].get(problem), term.value);
+    case 'due': return matchesDue(problem, term.value, today);
+    default: return compare(SEARCH_FIELDS[term.field].get(problem), term);
+  }
+}
+
+export function matchesSearch(problem, terms, today = getTodayDate()) {
+  return terms.every(term => matchesTerm(problem, term, today) !== term.negate);
+}
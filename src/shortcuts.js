@@ -0,0 +1,45 @@
+import { fuzzyScore } from './searchQuery';
+
+// --- Keyboard Shortcuts ---
+// Single-key shortcuts only fire outside text fields; the palette shortcut
+// (Ctrl+K, or Cmd+K on macOS) works everywhere.
+export const SHORTCUTS = [
+  { key: '/', action: 'focusSearch', description: "Focus the search box" },
+  { key: 'n', action: 'newProblem', description: "Add a new problem" },
+  { key: 'j', action: 'next', description: "Move to the next row" },
+  { key: 'k', action: 'previous', description: "Move to the previous row" },
+  { key: 'e', action: 'edit', description: "Edit the highlighted problem" },
+  { key: 'r', action: 'revise', description: "Mark the highlighted due problem revised (Good)" },
+  { key: '?', action: 'help', description: "Show keyboard shortcuts" },
+  { key: 'Ctrl+K', action: 'palette', description: "Open the command palette" },
+];
+
+export function isEditableTarget(target) {
+  return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+// The shortcut action a keydown event triggers, or null.
+export function shortcutAction(event) {
+  if (event.defaultPrevented) return null;
+  if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'k') return 'palette';
+  if (event.ctrlKey || event.metaKey || event.altKey || isEditableTarget(event.target)) return null;
+  return SHORTCUTS.find(shortcut => shortcut.key === event.key)?.action || null;
+}
+
+// Palette commands ({ label, keywords? }) ranked by a fuzzy match on the label
+// (keyword matches rank a little lower). An empty query keeps the given order.
+export function rankCommands(commands, query, limit = 12) {
+  const text = query.trim();
+  if (!text) return commands.slice(0, limit);
+  return commands
+    .map((command, index) => {
+      const labelScore = fuzzyScore(text, command.label);
+      const keywordScore = command.keywords ? fuzzyScore(text, command.keywords) : null;
+      const score = Math.max(labelScore ?? -1, keywordScore === null ? -1 : keywordScore - 1);
+      return { command, index, score };
+    })
+    .filter(entry => entry.score >= 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(entry => entry.command);
+}
@@ -0,0 +1,98 @@
+import { getTodayDate } from './scheduler';
+
+// --- Dashboard Statistics ---
+// Pure aggregations over the in-memory problems array. Dates are handled as
+// 'YYYY-MM-DD' keys in UTC, matching how revision dates are stored.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function toDateKey(value) {
+  if (!value) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString().slice(0, 10);
+}
+
+export function shiftDateKey(dateKey, days) {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Monday of the week containing the given date key.
+export function weekStartKey(dateKey) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  const offset = (date.getUTCDay() + 6) % 7;
+  return new Date(date.getTime() - offset * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function revisionDates(problems) {
+  return problems.flatMap(p => (p.revisionHistory || []).map(entry => toDateKey(entry.date)).filter(Boolean));
+}
+
+export function problemsAddedPerWeek(problems, weeks = 26, today = getTodayDate()) {
+  const currentWeek = weekStartKey(today);
+  const buckets = [];
+  for (let i = weeks - 1; i >= 0; i--) buckets.push({ label: shiftDateKey(currentWeek, -7 * i), count: 0 });
+  const index = new Map(buckets.map((bucket, i) => [bucket.label, i]));
+  problems.forEach(p => {
+    const key = toDateKey(p.addedAt);
+    if (!key) return;
+    const i = index.get(weekStartKey(key));
+    if (i !== undefined) buckets[i].count++;
+  });
+  return buckets;
+}
+
+export function ratingHistogram(problems, bucketSize = 100) {
+  const counts = new Map();
+  problems.forEach(p => {
+    if (!p.rating) return;
+    const bucket = Math.floor(p.rating / bucketSize) * bucketSize;
+    counts.set(bucket, (counts.get(bucket) || 0) + 1);
+  });
+  return [...counts.keys()].sort((a, b) => a - b).map(bucket => ({ label: String(bucket), count: counts.get(bucket) }));
+}
+
+// Counts problems per value of a field, in the order of `knownValues` first.
+export function countBy(problems, field, knownValues = []) {
+  const counts = new Map(knownValues.map(value => [value, 0]));
+  problems.forEach(p => {
+    const value = p[field] || 'Unknown';
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts.entries()].filter(([, count]) => count > 0).map(([label, count]) => ({ label, count }));
+}
+
+// Problems added plus revisions done per day, for the activity heatmap.
+export function dailyActivity(problems) {
+  const activity = new Map();
+  const bump = (key) => { if (key) activity.set(key, (activity.get(key) || 0) + 1); };
+  problems.forEach(p => bump(toDateKey(p.addedAt)));
+  revisionDates(problems).forEach(bump);
+  return activity;
+}
+
+// Consecutive days with at least one revision, ending today. A streak that
+// ended yesterday still counts until today is over.
+export function revisionStreak(problems, today = getTodayDate()) {
+  const days = new Set(revisionDates(problems));
+  let cursor = days.has(today) ? today : shiftDateKey(today, -1);
+  let streak = 0;
+  while (days.has(cursor)) {
+    streak++;
+    cursor = shiftDateKey(cursor, -1);
+  }
+  return streak;
+}
+
+// Revisions due per day for the next `days` days; anything overdue counts as due today.
+export function dueForecast(problems, days = 30, today = getTodayDate()) {
+  const forecast = [];
+  for (let i = 0; i < days; i++) forecast.push({ label: shiftDateKey(today, i), count: 0 });
+  const index = new Map(forecast.map((day, i) => [day.label, i]));
+  problems.forEach(p => {
+    if (!p.nextRevisionDate) return;
+    const key = p.nextRevisionDate < today ? today : p.nextRevisionDate;
+    const i = index.get(key);
+    if (i !== undefined) forecast[i].count++;
+  });
+  return forecast;
+}
@@ -0,0 +1,143 @@
+import { parseCsvObjects } from './csv';
+import { normalizeTags } from './tags';
+import { PROBLEM_DIFFICULTIES } from './constants';
+import { codeforcesProblemUrl, codeforcesSubmissionUrl, atcoderTaskName } from './platforms';
+
+// --- Submission History Importers ---
+// Turn each judge's downloadable submission history into problem DTOs, one
+// per distinct accepted problem, linked to its earliest accepted submission.
+
+function difficultyFromRating(rating) {
+  if (!rating) return 'Medium';
+  if (rating < 1200) return 'Easy';
+  if (rating < 1900) return 'Medium';
+  return 'Hard';
+}
+
+// Keeps the earliest submission per problem key.
+function earliestPerProblem(items, keyOf, timeOf) {
+  const byKey = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    const existing = byKey.get(key);
+    if (!existing || timeOf(item) < timeOf(existing)) byKey.set(key, item);
+  });
+  return [...byKey.values()];
+}
+
+const isRecord = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Codeforces: the JSON returned by https://codeforces.com/api/user.status?handle=<handle>
+// Problems outside a contest (e.g. acmsguru) have no contestId and so no URL
+// to link to; they are skipped and counted.
+function importCodeforces(data) {
+  const accepted = (Array.isArray(data) ? data : data.result).filter(s => isRecord(s) && s.verdict === 'OK' && isRecord(s.problem));
+  const submissions = accepted.filter(s => s.problem.contestId);
+  const skipped = new Set(accepted.filter(s => !s.problem.contestId).map(s => `${s.problem.problemsetName}${s.problem.index}`)).size;
+  const problems = earliestPerProblem(submissions, s => `${s.problem.contestId}${s.problem.index}`, s => s.creationTimeSeconds).map(s => {
+    const { contestId, index, name, rating, tags } = s.problem;
+    return {
+      source: 'Codeforces',
+      externalId: `${contestId}${index}`,
+      name: `${contestId}${index} - ${name}`,
+      url: codeforcesProblemUrl(contestId, index),
+      submissionLink: codeforcesSubmissionUrl(contestId, s.id),
+      difficulty: difficultyFromRating(rating),
+      rating: rating || null,
+      tags: normalizeTags(tags),
+      remarks: '',
+      addedAt: new Date(s.creationTimeSeconds * 1000).toISOString(),
+    };
+  });
+  return { problems, skipped };
+}
+
+// AtCoder: the JSON from the AtCoder Problems submissions API
+// (https://kenkoooo.com/atcoder/atcoder-api/v3/user/submissions?user=<user>&from_second=0)
+function importAtCoder(submissions) {
+  const accepted = submissions.filter(s => isRecord(s) && s.result === 'AC');
+  return earliestPerProblem(accepted, s => s.problem_id, s => s.epoch_second).map(s => ({
+    source: 'AtCoder',
+    externalId: s.problem_id,
+    name: atcoderTaskName(s.problem_id),
+    url: `https://atcoder.jp/contests/${s.contest_id}/tasks/${s.problem_id}`,
+    submissionLink: `https://atcoder.jp/contests/${s.contest_id}/submissions/${s.id}`,
+    difficulty: 'Medium',
+    rating: null,
+    tags: [],
+    remarks: '',
+    addedAt: new Date(s.epoch_second * 1000).toISOString(),
+  }));
+}
+
+// LeetCode has no official export; the common CSV exporters all include some
+// of these columns, so headers are matched loosely.
+const LEETCODE_COLUMNS = {
+  title: ['title', 'question', 'question title', 'problem', 'problem name'],
+  slug: ['title slug', 'titleslug', 'slug', 'question slug', 'url', 'problem url', 'link'],
+  difficulty: ['difficulty', 'level'],
+  status: ['status', 'status display', 'result', 'verdict'],
+  submission: ['submission id', 'submission url', 'submission link', 'submission', 'id'],
+  time: ['timestamp', 'date', 'submitted at', 'submission date', 'time'],
+};
+
+function pickColumn(row, names) {
+  const key = Object.keys(row).find(k => names.includes(k.toLowerCase()));
+  return key ? row[key] : '';
+}
+
+function importLeetCodeCsv(text) {
+  const rows = parseCsvObjects(text).map(row => Object.fromEntries(
+    Object.entries(LEETCODE_COLUMNS).map(([field, names]) => [field, pickColumn(row, names)])
+  ));
+  const accepted = rows.filter(r => (r.title || r.slug) && (!r.status || /^(accepted|ac|solved)$/i.test(r.status)));
+  const slugOf = (r) => {
+    const fromUrl = r.slug.match(/problems\/([\w-]+)/);
+    if (fromUrl) return fromUrl[1];
+    return r.slug || r.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  };
+  const timeOf = (r) => (/^\d+$/.test(r.time) ? Number(r.time) * 1000 : Date.parse(r.time)) || Infinity;
+
+  return earliestPerProblem(accepted, slugOf, timeOf).map(r => {
+    const slug = slugOf(r);
+    const time = timeOf(r);
+    const difficulty = PROBLEM_DIFFICULTIES.find(d => d.toLowerCase() === r.difficulty.toLowerCase()) || 'Medium';
+    let submissionLink = '';
+    if (/^https?:/.test(r.submission)) submissionLink = r.submission;
+    else if (/^\d+$/.test(r.submission)) submissionLink = `https://leetcode.com/submissions/detail/${r.submission}/`;
+    return {
+      source: 'LeetCode',
+      externalId: slug,
+      name: r.title || slug,
+      url: `https://leetcode.com/problems/${slug}/`,
+      submissionLink,
+      difficulty,
+      rating: null,
+      tags: [],
+      remarks: '',
+      ...(Number.isFinite(time) && { addedAt: new Date(time).toISOString() }),
+    };
+  });
+}
+
+// Detects the format of an uploaded history file and converts it.
+// Returns { platform, problems, skipped }, where `skipped` counts accepted
+// problems that couldn't be imported; throws if the format isn't recognized.
+export function importSubmissionHistory(fileName, text) {
+  if (/\.csv$/i.test(fileName)) return { platform: 'LeetCode', problems: importLeetCodeCsv(text), skipped: 0 };
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("The file is neither CSV nor valid JSON.");
+  }
+  const codeforcesSubmissions = Array.isArray(data) ? data : data?.result;
+  if (Array.isArray(codeforcesSubmissions) && codeforcesSubmissions.some(s => isRecord(s) && s.problem && 'verdict' in s)) {
+    return { platform: 'Codeforces', ...importCodeforces(data) };
+  }
+  if (Array.isArray(data) && data.some(s => isRecord(s) && 'problem_id' in s && 'epoch_second' in s)) {
+    return { platform: 'AtCoder', problems: importAtCoder(data), skipped: 0 };
+  }
+  throw new Error("Unrecognized submission history. Supported: Codeforces API JSON, AtCoder Problems JSON, LeetCode CSV.");
+}
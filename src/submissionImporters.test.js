@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import { importSubmissionHistory } from './submissionImporters';
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '__fixtures__', 'submissions', name), 'utf8');
+
+describe('importSubmissionHistory', () => {
+  test('imports Codeforces API JSON, one problem per earliest accepted submission', () => {
+    const { platform, problems, skipped } = importSubmissionHistory('user.status.json', fixture('codeforces.json'));
+    expect(platform).toBe('Codeforces');
+    expect(problems.map(p => p.externalId)).toEqual(['4A', '1900F', '104000B']);
+    expect(problems[0]).toEqual({
+      source: 'Codeforces',
+      externalId: '4A',
+      name: '4A - Watermelon',
+      url: 'https://codeforces.com/contest/4/problem/A',
+      submissionLink: 'https://codeforces.com/contest/4/submission/250000002',
+      difficulty: 'Easy',
+      rating: 800,
+      tags: ['brute force', 'math'],
+      remarks: '',
+      addedAt: new Date(1700000200 * 1000).toISOString(),
+    });
+    expect(problems[1]).toMatchObject({ difficulty: 'Hard', rating: 2400 });
+    expect(problems[2]).toMatchObject({ url: 'https://codeforces.com/gym/104000/problem/B', difficulty: 'Medium', rating: null });
+    expect(skipped).toBe(1);
+  });
+
+  test('skips Codeforces problems without a contest instead of linking to /contest/undefined', () => {
+    const { problems } = importSubmissionHistory('cf.json', fixture('codeforces.json'));
+    expect(problems.some(p => p.url.includes('undefined') || p.submissionLink.includes('undefined'))).toBe(false);
+  });
+
+  test('accepts a bare Codeforces result array', () => {
+    const { result } = JSON.parse(fixture('codeforces.json'));
+    expect(importSubmissionHistory('cf.json', JSON.stringify(result)).problems).toHaveLength(3);
+  });
+
+  test('imports AtCoder Problems JSON', () => {
+    const { platform, problems, skipped } = importSubmissionHistory('submissions.json', fixture('atcoder.json'));
+    expect(platform).toBe('AtCoder');
+    expect(skipped).toBe(0);
+    expect(problems.map(p => p.name)).toEqual(['ABC300 A', 'ARC170 C']);
+    expect(problems[0]).toMatchObject({
+      url: 'https://atcoder.jp/contests/abc300/tasks/abc300_a',
+      submissionLink: 'https://atcoder.jp/contests/abc300/submissions/48000001',
+      addedAt: new Date(1700000100 * 1000).toISOString(),
+    });
+  });
+
+  test('imports LeetCode CSV with loosely matched columns', () => {
+    const { platform, problems } = importSubmissionHistory('leetcode.csv', fixture('leetcode.csv'));
+    expect(platform).toBe('LeetCode');
+    expect(problems).toEqual([
+      expect.objectContaining({
+        name: 'Two Sum',
+        url: 'https://leetcode.com/problems/two-sum/',
+        submissionLink: 'https://leetcode.com/submissions/detail/1100000001/',
+        difficulty: 'Easy',
+        addedAt: new Date(1700000100 * 1000).toISOString(),
+      }),
+      expect.objectContaining({
+        externalId: 'lru-cache',
+        difficulty: 'Medium',
+        submissionLink: 'https://leetcode.com/submissions/detail/1100000004/',
+        addedAt: '2023-11-14T22:13:20.000Z',
+      }),
+    ]);
+  });
+
+  test('ignores null and primitive entries', () => {
+    const { result } = JSON.parse(fixture('codeforces.json'));
+    expect(importSubmissionHistory('cf.json', JSON.stringify([null, 7, 'x', ...result])).problems).toHaveLength(3);
+    const atcoder = JSON.parse(fixture('atcoder.json'));
+    expect(importSubmissionHistory('ac.json', JSON.stringify([null, true, ...atcoder])).problems).toHaveLength(2);
+  });
+
+  test('rejects files it does not recognize', () => {
+    expect(() => importSubmissionHistory('data.json', 'not json')).toThrow("neither CSV nor valid JSON");
+    expect(() => importSubmissionHistory('data.json', '[null, 1, "x"]')).toThrow("Unrecognized submission history");
+    expect(() => importSubmissionHistory('data.json', 'null')).toThrow("Unrecognized submission history");
+  });
+});
@@ -0,0 +1,191 @@
+import { PROBLEMS_API_URL, LINKS_API_URL, LISTS_API_URL, CONTESTS_API_URL, apiRequest } from './api';
+import { notify } from './notifications';
+import { STORES, readAll, putRecord, deleteRecord } from './localStore';
+
+// --- Offline Sync Queue ---
+// Changes made while the server is unreachable are stored as pending
+// operations { seq, entity, action, recordId, payload, base, queuedAt } and
+// replayed in order once it is back. `base` is the server copy the user
+// started editing from, used to detect changes made elsewhere in the meantime.
+const ENTITY_URLS = {
+  problems: PROBLEMS_API_URL,
+  links: LINKS_API_URL,
+  lists: LISTS_API_URL,
+  contests: CONTESTS_API_URL,
+};
+
+const LOCAL_ID_PREFIX = 'local-';
+export const isLocalId = (id) => typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+export const createLocalId = () => `${LOCAL_ID_PREFIX}${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const IGNORED_FIELDS = ['id', 'updatedAt'];
+
+// Fields holding ids of records in another entity, e.g. the problems in a
+// list (an array of ids) or the contest a problem came from (a single id).
+const ID_REFERENCES = [
+  { entity: 'lists', field: 'problemIds', target: 'problems' },
+  { entity: 'problems', field: 'contestId', target: 'contests' },
+];
+
+const refersTo = (value, id) => (Array.isArray(value) ? value.includes(id) : value === id);
+
+// Swaps a local id for the server id it was given in every reference field of
+// `record` that points at `targetEntity`.
+export function remapReferences(entity, record, targetEntity, localId, serverId) {
+  return ID_REFERENCES
+    .filter(ref => ref.entity === entity && ref.target === targetEntity && record && refersTo(record[ref.field], localId))
+    .reduce((updated, ref) => {
+      const value = updated[ref.field];
+      return { ...updated, [ref.field]: Array.isArray(value) ? value.map(id => (id === localId ? serverId : id)) : serverId };
+    }, record);
+}
+
+// Once a record created offline has synced, queued changes that still refer
+// to it by its local id are rewritten to use the server id.
+async function remapPendingReferences(db, targetEntity, localId, serverId) {
+  const pending = await readAll(db, STORES.pendingOps);
+  for (const op of pending) {
+    const payload = remapReferences(op.entity, op.payload, targetEntity, localId, serverId);
+    if (payload !== op.payload) await putRecord(db, STORES.pendingOps, { ...op, payload });
+  }
+}
+
+// Names of the fields whose values differ between two versions of a record.
+export function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys].filter(key => !IGNORED_FIELDS.includes(key) && JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]));
+}
+
+// Queues a change, folding it into any operation already pending for the same
+// record so each record has at most one queued operation.
+export async function queueOperation(db, { entity, action, recordId, payload = null, base = null }) {
+  const pending = await readAll(db, STORES.pendingOps);
+  const existing = pending.find(op => op.entity === entity && op.recordId === recordId);
+  if (!existing) return putRecord(db, STORES.pendingOps, { entity, action, recordId, payload, base, queuedAt: Date.now() });
+
+  if (action === 'delete') {
+    // A record created offline never reached the server, so deleting it needs no request at all.
+    if (existing.action === 'create') return deleteRecord(db, STORES.pendingOps, existing.seq);
+    return putRecord(db, STORES.pendingOps, { ...existing, action: 'delete', payload: null, queuedAt: Date.now() });
+  }
+  return putRecord(db, STORES.pendingOps, { ...existing, payload, queuedAt: Date.now() });
+}
+
+export async function loadPendingOperations(db) {
+  return (await readAll(db, STORES.pendingOps)).sort((a, b) => a.seq - b.seq);
+}
+
+export async function countPendingOperations(db) {
+  return (await readAll(db, STORES.pendingOps)).length;
+}
+
+// Layers still-queued changes over a fresh server snapshot so a reload
+// doesn't hide edits that haven't synced yet.
+export function applyPendingOperations(entity, records, pending) {
+  return pending.filter(op => op.entity === entity).reduce((list, op) => {
+    if (op.action === 'create') return [...list, op.payload];
+    if (op.action === 'update') return list.map(record => record.id === op.recordId ? op.payload : record);
+    return list.filter(record => record.id !== op.recordId);
+  }, records);
+}
+
+// Sends one change straight to the server. Resolves to the saved record (null for deletes).
+export function sendOperation({ entity, action, recordId, payload }, options = {}) {
+  const baseUrl = ENTITY_URLS[entity];
+  if (action === 'create') {
+    const { id, ...body } = payload;
+    return apiRequest(baseUrl, { ...options, method: 'POST', body });
+  }
+  if (action === 'update') return apiRequest(`${baseUrl}/${recordId}`, { ...options, method: 'PUT', body: payload });
+  return apiRequest(`${baseUrl}/${recordId}`, { ...options, method: 'DELETE' });
+}
+
+async function replayUpdate(db, op, { onSaved, onConflict }) {
+  const url = `${ENTITY_URLS[op.entity]}/${op.recordId}`;
+  let server = null;
+  try {
+    server = await apiRequest(url, { silent: true });
+  } catch (err) {
+    if (err.status !== 404) throw err;
+  }
+
+  const localChanges = changedFields(op.base, op.payload);
+  const serverChanges = server ? changedFields(op.base, server) : [];
+  const clashes = server
+    ? localChanges.filter(key => serverChanges.includes(key) && JSON.stringify(op.payload[key]) !== JSON.stringify(server[key]))
+    : localChanges;
+
+  if (!server || clashes.length > 0) {
+    const conflict = { entity: op.entity, recordId: op.recordId, local: op.payload, server, fields: clashes, detectedAt: Date.now() };
+    conflict.id = await putRecord(db, STORES.conflicts, conflict);
+    await deleteRecord(db, STORES.pendingOps, op.seq);
+    onConflict(conflict);
+    return;
+  }
+
+  // Changes to different fields merge cleanly: keep the server's edits and apply ours on top.
+  const merged = { ...server };
+  localChanges.forEach(key => { merged[key] = op.payload[key]; });
+  const saved = await apiRequest(url, { method: 'PUT', body: merged, silent: true });
+  await deleteRecord(db, STORES.pendingOps, op.seq);
+  onSaved(op.entity, op.recordId, saved);
+}
+
+async function replayOperation(db, op, handlers) {
+  if (op.action === 'create') {
+    const saved = await sendOperation(op, { silent: true });
+    await deleteRecord(db, STORES.pendingOps, op.seq);
+    if (saved?.id != null) await remapPendingReferences(db, op.entity, op.recordId, saved.id);
+    handlers.onSaved(op.entity, op.recordId, saved);
+  } else if (op.action === 'update') {
+    await replayUpdate(db, op, handlers);
+  } else if (op.action === 'delete') {
+    try {
+      await sendOperation(op, { silent: true });
+    } catch (err) {
+      if (err.status !== 404) throw err;
+    }
+    await deleteRecord(db, STORES.pendingOps, op.seq);
+  }
+}
+
+// Replays queued operations in order. Stops at the first network or server
+// error so the rest can be retried later; an operation the server rejects
+// outright (4xx) is dropped with a toast since retrying it can't succeed.
+// `onSaved(entity, recordId, savedRecord)` runs for every record the server
+// accepted (recordId is the local id for records created offline).
+export async function replayPendingOperations(db, handlers) {
+  const pending = await loadPendingOperations(db);
+  for (const op of pending) {
+    try {
+      await replayOperation(db, op, handlers);
+    } catch (err) {
+      if (err.isNetworkError || err.status >= 500 || err.status === 401) break;
+      notify(`A change made offline was rejected by the server: ${err.message}`);
+      await deleteRecord(db, STORES.pendingOps, op.seq);
+    }
+  }
+  return countPendingOperations(db);
+}
+
+export function loadConflicts(db) {
+  return readAll(db, STORES.conflicts);
+}
+
+// Settles a conflict by keeping either the local or the server version.
+// Resolves to the record that now stands, or null if it no longer exists.
+export async function resolveConflict(db, conflict, keep) {
+  let record = conflict.server;
+  if (keep === 'local') {
+    const baseUrl = ENTITY_URLS[conflict.entity];
+    if (conflict.server) {
+      record = await apiRequest(`${baseUrl}/${conflict.recordId}`, { method: 'PUT', body: { ...conflict.server, ...conflict.local }, errorMessage: "Couldn't save your version" });
+    } else {
+      // Deleted on the server while we edited it: recreate it from our copy.
+      const { id, ...payload } = conflict.local;
+      record = await apiRequest(baseUrl, { method: 'POST', body: payload, errorMessage: "Couldn't restore your version" });
+    }
+  }
+  await deleteRecord(db, STORES.conflicts, conflict.id);
+  return record;
+}
@@ -0,0 +1,25 @@
+// --- Tag Helpers ---
+// Tags are stored lowercase with single spaces so "Binary  Search" and
+// "binary search" are the same topic.
+export function normalizeTag(tag) {
+  return String(tag).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+// Every tag in use, most frequent first (ties alphabetical).
+export function collectTags(problems) {
+  const counts = new Map();
+  problems.forEach(p => (p.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+}
+
+// mode 'any' keeps problems with at least one of the tags, 'all' only those with every tag.
+export function matchesTags(problem, tags, mode = 'any') {
+  if (tags.length === 0) return true;
+  const problemTags = problem.tags || [];
+  return mode === 'all' ? tags.every(tag => problemTags.includes(tag)) : tags.some(tag => problemTags.includes(tag));
+}